@@ -0,0 +1,125 @@
+// Local stand-in for the Gemini API: replays the responses in tests/fixtures/gemini
+//
+//   npm run mock:gemini                         replay, fixture chosen by request kind + image size
+//   npm run mock:gemini -- --fixture test3      always answer with test3.jig / test3.slots
+//   npm run mock:gemini -- --record --fixture test3
+//                                               forward to the real API and save the answers
+//
+// Then set the app's "API base URL" (or VITE_GEMINI_BASE_URL) to http://localhost:8787.
+// POST /__mock/fixture?name=test2 switches the fixture without restarting.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { FIXTURE_DIR, loadFixtures, requestKind, requestSize, selectFixture } from '../tests/mockGemini.js';
+
+const UPSTREAM = 'https://generativelanguage.googleapis.com';
+
+function parseArgs(argv) {
+  const args = { port: 8787, fixture: null, record: false, upstream: UPSTREAM };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = Number(argv[++i]);
+    else if (argv[i] === '--fixture') args.fixture = argv[++i];
+    else if (argv[i] === '--record') args.record = true;
+    else if (argv[i] === '--upstream') args.upstream = argv[++i];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+let fixtures = loadFixtures();
+let selected = args.fixture;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+  res.end(JSON.stringify(body));
+}
+
+// Same error shape as the real API so the client maps it to a typed error
+function sendError(res, status, message) {
+  send(res, status, { error: { code: status, message, status: 'MOCK_ERROR' } });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function record(url, raw, body, res) {
+  const upstream = await fetch(`${args.upstream}${url.pathname}${url.search}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: raw,
+  });
+  const json = await upstream.json();
+  if (upstream.ok) {
+    const kind = requestKind(body);
+    const size = requestSize(body) || {};
+    const name = `${selected || `recorded-${Date.now()}`}.${kind}`;
+    const fixture = {
+      image: selected ? `${selected}.jpeg` : null,
+      kind,
+      model: url.pathname.match(/models\/([^:]+):/)?.[1] || null,
+      width: size.width,
+      height: size.height,
+      recordedAt: new Date().toISOString(),
+      synthetic: false,
+      response: json,
+    };
+    fs.writeFileSync(path.join(FIXTURE_DIR, `${name}.json`), JSON.stringify(fixture, null, 2) + '\n');
+    fixtures = loadFixtures();
+    console.log(`Recorded ${name}`);
+  }
+  send(res, upstream.status, json);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+
+  if (url.pathname === '/__mock/fixtures') {
+    return send(res, 200, { selected, fixtures: [...fixtures.keys()] });
+  }
+  if (url.pathname === '/__mock/fixture' && req.method === 'POST') {
+    selected = url.searchParams.get('name') || null;
+    console.log(`Fixture: ${selected || '(by image size)'}`);
+    return send(res, 200, { selected });
+  }
+
+  if (req.method !== 'POST' || !/\/models\/[^/]+:generateContent$/.test(url.pathname)) {
+    return sendError(res, 404, `No mock route for ${req.method} ${url.pathname}`);
+  }
+
+  try {
+    const raw = await readBody(req);
+    const body = JSON.parse(raw);
+    if (args.record) return await record(url, raw, body, res);
+
+    const match = selectFixture(fixtures, body, selected);
+    if (!match) {
+      const size = requestSize(body);
+      return sendError(res, 404, `No ${requestKind(body) || 'matching'} fixture for ${size ? `${size.width}×${size.height}` : 'this request'}${selected ? ` named "${selected}"` : ''}.`);
+    }
+    console.log(`${url.pathname} → ${match.name}${match.fixture.synthetic ? ' (synthetic)' : ''}`);
+    send(res, 200, match.fixture.response);
+  } catch (err) {
+    sendError(res, 500, err.message);
+  }
+});
+
+server.listen(args.port, () => {
+  console.log(`Mock Gemini on http://localhost:${args.port} (${args.record ? `recording from ${args.upstream}` : `${fixtures.size} fixtures`})`);
+});
@@ -1,8 +1,26 @@
 import { useState, useRef, useEffect } from 'react';
-import { Upload, Ruler, Trash2, RefreshCcw, Info, Check, AlertTriangle, Calculator, Cylinder, Crosshair, Loader2, Circle, FileImage, Move } from 'lucide-react';
-import { analyzeJigImage } from './geminiJig.js';
+import { Upload, Ruler, Trash2, RefreshCcw, Info, Check, AlertTriangle, Calculator, Cylinder, Crosshair, Loader2, Circle, FileImage, Move, Printer, X, Save, FolderOpen, Undo2, Redo2, Layers, RotateCw, QrCode, TriangleRight, Pentagon, Camera } from 'lucide-react';
+import { analyzeJigImage, buildRulerFromTicks } from './geminiJig.js';
 import { analyzeJigSlots, GEMINI_MODELS, PROMPT_VERSIONS } from './geminiSlots.js';
+import { DEFAULT_TIMEOUT_MS, GEMINI_BASE_URL } from './geminiClient.js';
 import stripsConfig from './config/strips.json';
+import { detectJigSlotsLocal } from './localSlots.js';
+import { detectRulerLocal, RULER_MIN_CONFIDENCE } from './localRuler.js';
+import { detectDrillsLocal } from './localDrills.js';
+import { detectCircleReferenceLocal } from './localCircle.js';
+import { detectMarkersLocal, MIN_MARKERS } from './localMarkers.js';
+import { detectObjectsLocal } from './localObjects.js';
+import { detectPaperLocal } from './localPaper.js';
+import { readImageScaled } from './cvUtils.js';
+import { MARKER_SHEET, markerCells } from './markerSheet.js';
+import { projectOntoLine, rulerPixelToMm, rulerDistanceMm, rulerTickResiduals } from './rulerCalibration.js';
+import { serializeProject, parseProject, loadImage } from './projectFile.js';
+import { runWithConcurrency, combineInventory } from './batch.js';
+import { measurePaper, matchPaperSize, assessFrontoParallel } from './paperCalibration.js';
+import { loadCalibrationPresets, saveCalibrationPresets, createPreset, validatePreset, presetReferenceCorners, presetDrift } from './calibrationPresets.js';
+import { BUILTIN_REFERENCES, loadCustomReferences, saveCustomReferences, validateReference, createReference, rectangleSizes, circleReferences } from './referenceLibrary.js';
+import { getDistance, orderCorners, rotateCorners, alignCornersToPaper, computeHomography, applyHomography, applyInverseHomography, angleDeg, polygonArea, polygonPerimeter, simplifyPath, ellipseHandles, moveEllipseHandle, ellipseMajorAxis } from './geometry.js';
+import { COATINGS, getCoating, getSlotCoatingId, countOccupiedByCoating } from './coatings.js';
 
 // Track OpenCV loading state outside component to survive StrictMode double-mount
 let cvLoadingStarted = false;
@@ -16,6 +34,8 @@ const PhotoScaleApp = () => {
   const [scaleFactor, setScaleFactor] = useState(null); // pixels per unit
   const [referenceLine, setReferenceLine] = useState(null); // { start, end, realLength, unit, isDiameter }
   const [measurements, setMeasurements] = useState([]); // Array of { start, end, value, id }
+  const [angleMeasurements, setAngleMeasurements] = useState([]); // Array of { id, a, vertex, b, degrees, rectified }
+  const [areaMeasurements, setAreaMeasurements] = useState([]); // Array of { id, points } (image px); values via measurePolygon()
 
   // CV State
   const [cvReady, setCvReady] = useState(false);
@@ -30,6 +50,12 @@ const PhotoScaleApp = () => {
   // Interaction State
   const [isDrawing, setIsDrawing] = useState(false);
   const [currentLine, setCurrentLine] = useState(null); // { start, end }
+  const [measureTool, setMeasureTool] = useState('line'); // 'line' | 'angle' | 'area'
+  const [anglePoints, setAnglePoints] = useState([]); // Clicks of the angle being placed: arm end, vertex
+  const [toolCursor, setToolCursor] = useState(null); // Mouse position while placing an angle or polygon
+  const [areaDraft, setAreaDraft] = useState(null); // { points, freehand } of the outline being drawn
+  const [draggingVertex, setDraggingVertex] = useState(null); // { id, index } of an area vertex being dragged
+  const FREEHAND_STEP_PX = 6; // Spacing of the vertices a freehand outline is thinned to
   const [inputModalOpen, setInputModalOpen] = useState(false);
   const [resetModalOpen, setResetModalOpen] = useState(false);
 
@@ -41,13 +67,48 @@ const PhotoScaleApp = () => {
   // Perspective Correction State
   const [paperCorners, setPaperCorners] = useState(null); // [{x,y}, {x,y}, {x,y}, {x,y}] - TL, TR, BR, BL
   const [correctedImage, setCorrectedImage] = useState(null); // Corrected Image object
-  const [paperSize, setPaperSize] = useState('a4'); // 'a4', 'letter', 'custom'
+  const [paperSize, setPaperSize] = useState('a4'); // id of a rectangle in the reference library
   const [isDetectingPaper, setIsDetectingPaper] = useState(false);
   const [draggingCorner, setDraggingCorner] = useState(null); // Index of corner being dragged
+  const cornerDragMovedRef = useRef(false); // The drag's undo entry is pushed on its first move
   const [showGrid, setShowGrid] = useState(true); // Show perspective grid overlay
+  const [paperCalibration, setPaperCalibration] = useState(null); // measurePaper() + corners + size match of the last calibrate/flatten
+  const [isDetectingMarkers, setIsDetectingMarkers] = useState(false);
+  const [markerDetection, setMarkerDetection] = useState(null); // { corners, markers, rmsMm }; corners is the paperCorners array it produced
+  const [markerSheetOpen, setMarkerSheetOpen] = useState(false);
+
+  // Camera Capture State (live preview with the Detect Paper outline)
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+  const [cameraQuad, setCameraQuad] = useState(null); // { corners (video px, TL TR BR BL), frontoParallel, sideMismatch, angleErrorDeg }
+  const videoRef = useRef(null);
+  const cameraOverlayRef = useRef(null);
+  const CAMERA_DETECT_INTERVAL_MS = 300;
+  const CAMERA_DETECT_DIM = 640; // frames are downscaled to this longest side for the live detection
+
+  // Calibration Presets State (persist in localStorage, one list for both modes)
+  const [calibrationPresets, setCalibrationPresets] = useState(loadCalibrationPresets);
+  const [selectedPresetId, setSelectedPresetId] = useState(''); // kept across photos so the next one is one click
+  const [newPresetName, setNewPresetName] = useState('');
+  const [presetError, setPresetError] = useState(null);
+  const [appliedPreset, setAppliedPreset] = useState(null); // { preset, corners } — paper found when applied; undefined while checking or when the preset has none
+
+  // Reference Library State (user-defined entries persist in localStorage)
+  const [customReferences, setCustomReferences] = useState(loadCustomReferences);
+  const [referenceLibraryOpen, setReferenceLibraryOpen] = useState(false);
+  const [newReference, setNewReference] = useState({ label: '', shape: 'rectangle', width: '', height: '', diameter: '' });
+  const [newReferenceError, setNewReferenceError] = useState(null);
+
+  // Circle Reference State
+  const [circleEllipse, setCircleEllipse] = useState(null); // { center, a, b, angle } in canvas px, see ellipseHandles()
+  const [circleDiameter, setCircleDiameter] = useState(''); // mm
+  const [isDetectingCircle, setIsDetectingCircle] = useState(false);
+  const [draggingEllipseHandle, setDraggingEllipseHandle] = useState(null); // Index into ellipseHandles()
 
   // Object Detection State
-  const [detectedObject, setDetectedObject] = useState(null); // { rect: {x,y,width,height,angle}, heightMm, widthMm }
+  const [detectedObjects, setDetectedObjects] = useState([]); // Array of { id, center, size, angle, vertices, widthMm, heightMm }
+  const [selectedObjectId, setSelectedObjectId] = useState(null);
+  const [objectMinAreaMm2, setObjectMinAreaMm2] = useState(20); // Smaller contours are dust or print noise
   const [isDetectingObject, setIsDetectingObject] = useState(false);
 
   // --- Jig Mode State ---
@@ -57,6 +118,10 @@ const PhotoScaleApp = () => {
   const [xRuler, setXRuler] = useState(null);
   // { line: {start,end}, ticks: [{px,mm}], scalePxPerMm: Number, length: Number }
   const [yRuler, setYRuler] = useState(null);
+  const [yRulerConfidence, setYRulerConfidence] = useState(null); // 0–1 from local detection, null for Gemini/manual
+  // Guided manual ruler calibration (fallback when no ticks were detected)
+  const [manualRuler, setManualRuler] = useState(null);
+  // { axis: 'y'|'x', line: {start,end}|null, ticks: [{ x, y, cm: String }] }
 
   // Base Line
   const [baseLine, setBaseLine] = useState(null);
@@ -75,6 +140,12 @@ const PhotoScaleApp = () => {
     mediumMax: 300,  // mm — below = B, above = C
   });
 
+  // Local drill detection filters (PRD FR 4.0)
+  const [drillDetectParams, setDrillDetectParams] = useState({
+    minArea: 1000,  // px — minimum contour area
+    minAspect: 3,   // height/width — elongated objects only
+  });
+
   // Base line dragging
   const [draggingBaseLine, setDraggingBaseLine] = useState(false);
   // Manual drill addition mode
@@ -84,22 +155,50 @@ const PhotoScaleApp = () => {
   const [geminiApiKey, setGeminiApiKey] = useState(
     () => import.meta.env.VITE_GEMINI_API_KEY || localStorage.getItem('gemini_api_key') || ''
   );
-  const [geminiError, setGeminiError] = useState(null);
+  const [geminiError, setGeminiError] = useState(null); // Error (GeminiError carries `kind`)
+  const [geminiIssues, setGeminiIssues] = useState([]); // validation issues in the last jig response
+  const [geminiTimeoutS, setGeminiTimeoutS] = useState(
+    () => Number(localStorage.getItem('gemini_timeout_s')) || DEFAULT_TIMEOUT_MS / 1000
+  );
+  const [geminiBaseUrl, setGeminiBaseUrl] = useState(
+    () => localStorage.getItem('gemini_base_url') || GEMINI_BASE_URL
+  );
+  const [jigAbort, setJigAbort] = useState(null); // AbortController of the running jig analysis
+  const [slotAbort, setSlotAbort] = useState(null); // AbortController of the running slot detection
 
   // Slot Detection State
   const [slotDetectionResult, setSlotDetectionResult] = useState(null);
   const [slotDetectionError, setSlotDetectionError] = useState(null);
+  const [slotIssues, setSlotIssues] = useState([]); // validation issues in the last slot response
   const [isDetectingSlots, setIsDetectingSlots] = useState(false);
+  const [slotDetector, setSlotDetector] = useState('gemini'); // 'gemini' | 'local' (OpenCV)
   const [slotGeminiModel, setSlotGeminiModel] = useState('gemini-3-flash-preview');
   const [slotPromptVersion, setSlotPromptVersion] = useState('v1');
   const [slotImages, setSlotImages] = useState([]); // additional reference images for slot detection
 
-  // Paper size definitions in mm
-  const PAPER_SIZES = {
-    a4: { width: 210, height: 297, label: 'A4 (210×297mm)' },
-    letter: { width: 215.9, height: 279.4, label: 'US Letter (8.5×11in)' },
-    a5: { width: 148, height: 210, label: 'A5 (148×210mm)' },
-  };
+  // Werkbon (work order) report
+  const [werkbonOpen, setWerkbonOpen] = useState(false);
+  const [werkbonSnapshot, setWerkbonSnapshot] = useState(null); // annotated canvas as data URL
+  const [werkbonFields, setWerkbonFields] = useState({ customer: '', orderNumber: '', date: '' });
+
+  // Batch processing: many jig photos, each reviewable in the main view
+  const [batchOpen, setBatchOpen] = useState(false);
+  const [batchItems, setBatchItems] = useState([]);
+  // [{ id, name, image, status: 'queued'|'running'|'done'|'error', message, xRuler, yRuler, baseLine, drills, slotResult }]
+  const [batchConcurrency, setBatchConcurrency] = useState(2);
+  const [isBatchRunning, setIsBatchRunning] = useState(false);
+  const [batchReviewId, setBatchReviewId] = useState(null); // batch item currently loaded in the main view
+
+  // Undo / Redo: snapshots of the editable canvas state
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const HISTORY_LIMIT = 50;
+
+  // Reference sizes in mm: built-in paper, cards, coins and drills plus the user's own
+  const referenceLibrary = [...BUILTIN_REFERENCES, ...customReferences];
+  const PAPER_SIZES = rectangleSizes(referenceLibrary);
+  const CIRCLE_REFERENCES = circleReferences(referenceLibrary);
+  // A project may name a custom reference that is not in this browser's library
+  const selectedPaper = PAPER_SIZES[paperSize] || PAPER_SIZES.a4;
 
   // --- OpenCV Loading ---
   useEffect(() => {
@@ -140,6 +239,29 @@ const PhotoScaleApp = () => {
   }, []);
 
   // --- Image Handling ---
+  const startNewImage = (img) => {
+    setImage(img);
+    // Reset all state on new image
+    setReferenceLine(null);
+    setScaleFactor(null);
+    setMeasurements([]);
+    setAngleMeasurements([]);
+    setAnglePoints([]);
+    setAreaMeasurements([]);
+    setAreaDraft(null);
+    setCurrentLine(null);
+    setCalcDiameterId('');
+    setCalcLengthId('');
+    // Reset perspective state
+    setPaperCorners(null);
+    setCorrectedImage(null);
+    setPaperCalibration(null);
+    setCircleEllipse(null);
+    setAppliedPreset(null);
+    setHistory({ past: [], future: [] });
+    setBatchReviewId(null);
+  };
+
   const handleImageUpload = (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -147,24 +269,318 @@ const PhotoScaleApp = () => {
     const reader = new FileReader();
     reader.onload = (event) => {
       const img = new Image();
-      img.onload = () => {
-        setImage(img);
-        // Reset all state on new image
-        setReferenceLine(null);
-        setScaleFactor(null);
-        setMeasurements([]);
-        setCurrentLine(null);
-        setCalcDiameterId('');
-        setCalcLengthId('');
-        // Reset perspective state
-        setPaperCorners(null);
-        setCorrectedImage(null);
-      };
+      img.onload = () => startNewImage(img);
       img.src = event.target.result;
     };
     reader.readAsDataURL(file);
   };
 
+  // --- Camera Capture ---
+  // Open the rear camera while the dialog is shown; the tracks stop when it closes
+  useEffect(() => {
+    if (!cameraOpen) return;
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraError("This browser has no camera access. The page must be opened over HTTPS.");
+      return;
+    }
+
+    let stream = null;
+    let cancelled = false;
+    navigator.mediaDevices.getUserMedia({
+      video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 } },
+      audio: false,
+    }).then(s => {
+      if (cancelled) {
+        s.getTracks().forEach(t => t.stop());
+        return;
+      }
+      stream = s;
+      if (videoRef.current) videoRef.current.srcObject = s;
+    }).catch(e => {
+      console.error(e);
+      if (!cancelled) setCameraError(e.name === 'NotAllowedError' ? "Camera permission was denied." : "Could not start the camera.");
+    });
+
+    return () => {
+      cancelled = true;
+      if (stream) stream.getTracks().forEach(t => t.stop());
+    };
+  }, [cameraOpen]);
+
+  // Run the Detect Paper pipeline on downscaled preview frames and draw the outline over the video
+  useEffect(() => {
+    if (!cameraOpen || !cvReady) return;
+    const frame = document.createElement('canvas');
+
+    const interval = setInterval(() => {
+      const video = videoRef.current;
+      const overlay = cameraOverlayRef.current;
+      if (!video || !overlay || video.readyState < 2 || !video.videoWidth) return;
+
+      const scale = Math.min(1, CAMERA_DETECT_DIM / Math.max(video.videoWidth, video.videoHeight));
+      frame.width = Math.round(video.videoWidth * scale);
+      frame.height = Math.round(video.videoHeight * scale);
+      frame.getContext('2d', { willReadFrequently: true }).drawImage(video, 0, 0, frame.width, frame.height);
+
+      let quad = null;
+      try {
+        const cv = window.cv;
+        const src = cv.imread(frame);
+        try {
+          const points = detectPaperLocal(cv, src);
+          if (points) {
+            const corners = orderCorners(points.map(p => ({ x: p.x / scale, y: p.y / scale })));
+            quad = { corners, ...assessFrontoParallel(corners) };
+          }
+        } finally {
+          src.delete();
+        }
+      } catch (e) {
+        console.error(e);
+      }
+      setCameraQuad(quad);
+
+      overlay.width = video.videoWidth;
+      overlay.height = video.videoHeight;
+      const ctx = overlay.getContext('2d');
+      ctx.clearRect(0, 0, overlay.width, overlay.height);
+      if (!quad) return;
+      const color = quad.frontoParallel ? '#22c55e' : '#f59e0b';
+      ctx.beginPath();
+      quad.corners.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.fillStyle = quad.frontoParallel ? 'rgba(34, 197, 94, 0.15)' : 'rgba(245, 158, 11, 0.15)';
+      ctx.fill();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = Math.max(3, overlay.width / 300);
+      ctx.stroke();
+      ctx.fillStyle = color;
+      quad.corners.forEach(p => {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, ctx.lineWidth * 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }, CAMERA_DETECT_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cameraOpen, cvReady]);
+
+  const openCamera = () => {
+    setCameraError(null);
+    setCameraQuad(null);
+    setCameraOpen(true);
+  };
+
+  const closeCamera = () => {
+    setCameraOpen(false);
+    setCameraQuad(null);
+  };
+
+  // Grab the full-resolution frame; the outline from the last preview detection becomes the paper corners
+  const captureCameraFrame = () => {
+    const video = videoRef.current;
+    if (!video || !cameraQuad?.frontoParallel) return;
+    const corners = alignCornersToPaper(cameraQuad.corners, jigMode ? PAPER_SIZES.a4 : selectedPaper);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+
+    const img = new Image();
+    img.onload = () => {
+      startNewImage(img);
+      setPaperCorners(corners);
+    };
+    img.src = canvas.toDataURL('image/jpeg', 0.92);
+    closeCamera();
+  };
+
+  // --- Reference Library ---
+  const addCustomReference = () => {
+    const ref = {
+      label: newReference.label,
+      shape: newReference.shape,
+      width_mm: parseFloat(newReference.width),
+      height_mm: parseFloat(newReference.height),
+      diameter_mm: parseFloat(newReference.diameter),
+    };
+    const error = validateReference(ref);
+    setNewReferenceError(error);
+    if (error) return;
+    const next = [...customReferences, createReference(ref)];
+    setCustomReferences(next);
+    saveCustomReferences(next);
+    setNewReference({ label: '', shape: newReference.shape, width: '', height: '', diameter: '' });
+  };
+
+  const deleteCustomReference = (id) => {
+    const next = customReferences.filter(r => r.id !== id);
+    setCustomReferences(next);
+    saveCustomReferences(next);
+    if (paperSize === id) setPaperSize('a4');
+  };
+
+  // Known diameter picked from the library for Auto-Detect Drill
+  const applyCircleReference = (id) => {
+    const ref = CIRCLE_REFERENCES.find(r => r.id === id);
+    if (!ref) return;
+    setAutoDiameter(String(ref.diameter_mm));
+    setAutoUnit('mm');
+  };
+
+  // --- Calibration Presets ---
+  const savePreset = () => {
+    if (!image) return;
+    const preset = createPreset({
+      name: newPresetName,
+      mode: jigMode ? 'jig' : 'standard',
+      imageWidth: image.naturalWidth,
+      imageHeight: image.naturalHeight,
+      state: {
+        scaleFactor, referenceLine, paperSize, paperCalibration, objectMinAreaMm2,
+        xRuler, yRuler, yRulerConfidence, paperCorners, baseLine, categoryThresholds, drillDetectParams,
+      },
+    });
+    const error = validatePreset(preset);
+    setPresetError(error);
+    if (error) return;
+    const next = [...calibrationPresets, preset];
+    setCalibrationPresets(next);
+    saveCalibrationPresets(next);
+    setSelectedPresetId(preset.id);
+    setNewPresetName('');
+  };
+
+  const deletePreset = (id) => {
+    const next = calibrationPresets.filter(p => p.id !== id);
+    setCalibrationPresets(next);
+    saveCalibrationPresets(next);
+    if (selectedPresetId === id) setSelectedPresetId('');
+    if (appliedPreset?.preset.id === id) setAppliedPreset(null);
+  };
+
+  // Restore the preset's calibration, then look for the paper in this photo to check the camera has not moved
+  const applyPreset = () => {
+    const preset = calibrationPresets.find(p => p.id === selectedPresetId);
+    if (!preset || !image) return;
+    pushHistory();
+    const setters = {
+      scaleFactor: setScaleFactor,
+      referenceLine: setReferenceLine,
+      paperSize: setPaperSize,
+      paperCalibration: setPaperCalibration,
+      objectMinAreaMm2: setObjectMinAreaMm2,
+      xRuler: setXRuler,
+      yRuler: setYRuler,
+      yRulerConfidence: setYRulerConfidence,
+      paperCorners: setPaperCorners,
+      baseLine: setBaseLine,
+      categoryThresholds: setCategoryThresholds,
+      drillDetectParams: setDrillDetectParams,
+    };
+    Object.entries(preset.state).forEach(([key, value]) => setters[key](value));
+    // Standard presets are calibrated, like after Calibrate: no corners left to drag
+    if (!jigMode) setPaperCorners(null);
+    setPresetError(null);
+    setAppliedPreset({ preset, corners: undefined });
+
+    if (!window.cv || !cvReady || !presetReferenceCorners(preset)) return;
+    setTimeout(() => {
+      let corners = null;
+      try {
+        const cv = window.cv;
+        const { src, scale } = readImageScaled(cv, image, 1600);
+        try {
+          const points = detectPaperLocal(cv, src);
+          if (points) corners = orderCorners(points.map(p => ({ x: p.x / scale, y: p.y / scale })));
+        } finally {
+          src.delete();
+        }
+      } catch (e) {
+        console.error(e);
+      }
+      setAppliedPreset(a => (a && a.preset.id === preset.id ? { ...a, corners } : a));
+    }, 100);
+  };
+
+  // --- Project Save / Open ---
+  const saveProject = () => {
+    if (!image) return;
+    const json = serializeProject({
+      imageSrc: image.src,
+      correctedImageSrc: correctedImage ? correctedImage.src : null,
+      state: {
+        scaleFactor, referenceLine, measurements, angleMeasurements, areaMeasurements, calcDiameterId, calcLengthId, autoDiameter, autoUnit,
+        paperCorners, paperSize, showGrid, paperCalibration, detectedObjects, objectMinAreaMm2,
+        jigMode, xRuler, yRuler, yRulerConfidence, baseLine, detectedDrills, categoryThresholds,
+        drillDetectParams, slotDetector, slotGeminiModel, slotPromptVersion, slotDetectionResult, werkbonFields,
+      },
+    });
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `photoscale-project-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const openProject = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { imageSrc, correctedImageSrc, state } = parseProject(await file.text());
+      const img = await loadImage(imageSrc);
+      const corrected = correctedImageSrc ? await loadImage(correctedImageSrc) : null;
+
+      // Start from a clean slate, then restore exactly what was saved
+      resetStandardState();
+      resetJigState();
+
+      const setters = {
+        scaleFactor: setScaleFactor,
+        referenceLine: setReferenceLine,
+        measurements: setMeasurements,
+        angleMeasurements: setAngleMeasurements,
+        areaMeasurements: setAreaMeasurements,
+        calcDiameterId: setCalcDiameterId,
+        calcLengthId: setCalcLengthId,
+        autoDiameter: setAutoDiameter,
+        autoUnit: setAutoUnit,
+        paperCorners: setPaperCorners,
+        paperSize: setPaperSize,
+        showGrid: setShowGrid,
+        paperCalibration: setPaperCalibration,
+        detectedObjects: setDetectedObjects,
+        objectMinAreaMm2: setObjectMinAreaMm2,
+        jigMode: setJigMode,
+        xRuler: setXRuler,
+        yRuler: setYRuler,
+        yRulerConfidence: setYRulerConfidence,
+        baseLine: setBaseLine,
+        detectedDrills: setDetectedDrills,
+        categoryThresholds: setCategoryThresholds,
+        drillDetectParams: setDrillDetectParams,
+        slotDetector: setSlotDetector,
+        slotGeminiModel: setSlotGeminiModel,
+        slotPromptVersion: setSlotPromptVersion,
+        slotDetectionResult: setSlotDetectionResult,
+        werkbonFields: setWerkbonFields,
+      };
+      Object.entries(state).forEach(([key, value]) => setters[key](value));
+
+      setImage(img);
+      setCorrectedImage(corrected);
+      setHistory({ past: [], future: [] });
+    } catch (err) {
+      console.error('Project open error:', err);
+      alert('Could not open project: ' + err.message);
+    }
+  };
+
   // --- CV Logic: Detect Drill ---
   const detectDrill = () => {
     if (!window.cv || !cvReady || !image) return;
@@ -247,6 +663,7 @@ const PhotoScaleApp = () => {
                 const inputD = parseFloat(autoDiameter);
                 if (inputD > 0) {
                      const factor = diameterPx / inputD;
+                     pushHistory();
                      setScaleFactor(factor);
 
                      setReferenceLine({
@@ -280,188 +697,70 @@ const PhotoScaleApp = () => {
     }, 100);
   };
 
-  // --- CV Logic: Detect Paper ---
-  const detectPaper = () => {
+  // --- CV Logic: Detect Circle Reference ---
+  // Fits an ellipse to a known-diameter disc; its handles can be adjusted before applying the scale
+  const detectCircleReference = () => {
     if (!window.cv || !cvReady || !image) return;
-    setIsDetectingPaper(true);
+    setIsDetectingCircle(true);
 
     setTimeout(() => {
       try {
-        const cv = window.cv;
-        const src = cv.imread(canvasRef.current);
-        const gray = new cv.Mat();
-        const blurred = new cv.Mat();
-        const edges = new cv.Mat();
-        const dilated = new cv.Mat();
-        const hsv = new cv.Mat();
-        const whiteMask = new cv.Mat();
-        const maskedGray = new cv.Mat();
-
-        // 1. Create a mask for white/light colored regions (paper detection)
-        cv.cvtColor(src, hsv, cv.COLOR_RGBA2RGB);
-        cv.cvtColor(hsv, hsv, cv.COLOR_RGB2HSV);
-
-        // White/light paper: very lenient to include shadowed areas
-        // saturation < 100, value > 80
-        const lowWhite = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [0, 0, 80, 0]);
-        const highWhite = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [180, 100, 255, 0]);
-        cv.inRange(hsv, lowWhite, highWhite, whiteMask);
-        lowWhite.delete();
-        highWhite.delete();
-
-        // Morphological operations to clean up the mask - larger kernel to fill gaps from marker
-        const maskKernel = cv.Mat.ones(15, 15, cv.CV_8U);
-        // Close holes (multiple iterations to fill larger gaps)
-        cv.morphologyEx(whiteMask, whiteMask, cv.MORPH_CLOSE, maskKernel, new cv.Point(-1, -1), 3);
-        // Open to remove noise
-        cv.morphologyEx(whiteMask, whiteMask, cv.MORPH_OPEN, maskKernel);
-        maskKernel.delete();
-
-        // 2. Convert to grayscale
-        cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
-
-        // 3. Apply the white mask to focus on paper region
-        cv.bitwise_and(gray, whiteMask, maskedGray);
-
-        // 4. Apply stronger Gaussian blur to reduce texture noise (wood grain, etc.)
-        cv.GaussianBlur(maskedGray, blurred, new cv.Size(9, 9), 0);
-
-        // Try multiple detection strategies
-        let paperContour = null;
-        let maxArea = 0;
-
-        // STRATEGY 0: Find contours directly on the white mask (most reliable for white paper)
-        {
-          const contours = new cv.MatVector();
-          const hierarchy = new cv.Mat();
-          cv.findContours(whiteMask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-
-          for (let i = 0; i < contours.size(); i++) {
-            const cnt = contours.get(i);
-            const peri = cv.arcLength(cnt, true);
-            const approx = new cv.Mat();
-            cv.approxPolyDP(cnt, approx, 0.02 * peri, true);
-
-            if (approx.rows === 4) {
-              const area = cv.contourArea(cnt);
-              if (area > maxArea && area > (src.rows * src.cols * 0.02)) {
-                const pts = [];
-                for (let j = 0; j < 4; j++) {
-                  pts.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
-                }
-                const width1 = Math.sqrt(Math.pow(pts[0].x - pts[1].x, 2) + Math.pow(pts[0].y - pts[1].y, 2));
-                const width2 = Math.sqrt(Math.pow(pts[2].x - pts[3].x, 2) + Math.pow(pts[2].y - pts[3].y, 2));
-                const height1 = Math.sqrt(Math.pow(pts[1].x - pts[2].x, 2) + Math.pow(pts[1].y - pts[2].y, 2));
-                const height2 = Math.sqrt(Math.pow(pts[3].x - pts[0].x, 2) + Math.pow(pts[3].y - pts[0].y, 2));
-                const avgWidth = (width1 + width2) / 2;
-                const avgHeight = (height1 + height2) / 2;
-                const aspectRatio = avgWidth / avgHeight;
-
-                if (aspectRatio > 0.3 && aspectRatio < 3.0) {
-                  maxArea = area;
-                  paperContour = approx;
-                }
-              }
-            }
-          }
-          contours.delete();
-          hierarchy.delete();
+        const ellipse = detectCircleReferenceLocal(window.cv, correctedImage || image);
+        if (ellipse) {
+          pushHistory();
+          setCircleEllipse(ellipse);
+        } else {
+          alert("Could not find a circular reference. Place the coin or washer on a plain, contrasting background.");
         }
+      } catch (e) {
+        console.error(e);
+        alert("Error detecting circle reference.");
+      }
+      setIsDetectingCircle(false);
+    }, 100);
+  };
 
-        // Strategy configs: [cannyLow, cannyHigh, dilateIterations, approxEpsilon]
-        const strategies = [
-          [30, 100, 2, 0.02],   // Lower thresholds with dilation
-          [50, 150, 1, 0.02],   // Medium thresholds with some dilation
-          [20, 80, 3, 0.03],    // Very low thresholds with more dilation
-          [75, 200, 0, 0.02],   // Original strategy (fallback)
-        ];
-
-        for (const [cannyLow, cannyHigh, dilateIter, epsilon] of strategies) {
-          if (paperContour) break;
-
-          // 3. Canny edge detection
-          cv.Canny(blurred, edges, cannyLow, cannyHigh);
-
-          // 4. Dilate to connect broken edges
-          if (dilateIter > 0) {
-            const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
-            cv.dilate(edges, dilated, kernel, new cv.Point(-1, -1), dilateIter);
-            kernel.delete();
-          } else {
-            edges.copyTo(dilated);
-          }
-
-          // 5. Find contours
-          const contours = new cv.MatVector();
-          const hierarchy = new cv.Mat();
-          cv.findContours(dilated, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
-
-          // 6. Find the largest 4-sided contour (the paper)
-          for (let i = 0; i < contours.size(); i++) {
-            const cnt = contours.get(i);
-            const peri = cv.arcLength(cnt, true);
-            const approx = new cv.Mat();
-            cv.approxPolyDP(cnt, approx, epsilon * peri, true);
-
-            // Check if it's a quadrilateral with significant area (lowered to 2%)
-            if (approx.rows === 4) {
-              const area = cv.contourArea(cnt);
-              if (area > maxArea && area > (src.rows * src.cols * 0.02)) {
-                // Additional check: make sure it's roughly rectangular (not too skewed)
-                const pts = [];
-                for (let j = 0; j < 4; j++) {
-                  pts.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
-                }
-
-                // Check aspect ratio is reasonable (between 0.3 and 3.0)
-                const width1 = Math.sqrt(Math.pow(pts[0].x - pts[1].x, 2) + Math.pow(pts[0].y - pts[1].y, 2));
-                const width2 = Math.sqrt(Math.pow(pts[2].x - pts[3].x, 2) + Math.pow(pts[2].y - pts[3].y, 2));
-                const height1 = Math.sqrt(Math.pow(pts[1].x - pts[2].x, 2) + Math.pow(pts[1].y - pts[2].y, 2));
-                const height2 = Math.sqrt(Math.pow(pts[3].x - pts[0].x, 2) + Math.pow(pts[3].y - pts[0].y, 2));
+  const applyCircleScale = () => {
+    const diameter = parseFloat(circleDiameter);
+    if (!circleEllipse || !(diameter > 0)) return;
+    const major = ellipseMajorAxis(circleEllipse);
 
-                const avgWidth = (width1 + width2) / 2;
-                const avgHeight = (height1 + height2) / 2;
-                const aspectRatio = avgWidth / avgHeight;
+    pushHistory();
+    setScaleFactor(major.lengthPx / diameter);
+    setReferenceLine({
+      start: major.start,
+      end: major.end,
+      realLength: diameter,
+      unit: 'mm',
+      isDiameter: true
+    });
+    setCircleEllipse(null);
+  };
 
-                if (aspectRatio > 0.3 && aspectRatio < 3.0) {
-                  maxArea = area;
-                  paperContour = approx;
-                }
-              }
-            }
-          }
+  // --- CV Logic: Detect Paper ---
+  const detectPaper = () => {
+    if (!window.cv || !cvReady || !image) return;
+    setIsDetectingPaper(true);
 
-          contours.delete();
-          hierarchy.delete();
+    setTimeout(() => {
+      try {
+        const cv = window.cv;
+        const src = cv.imread(canvasRef.current);
+        let points;
+        try {
+          points = detectPaperLocal(cv, src);
+        } finally {
+          src.delete();
         }
 
-        if (paperContour) {
-          // Extract the 4 corner points
-          const points = [];
-          for (let i = 0; i < 4; i++) {
-            points.push({
-              x: paperContour.data32S[i * 2],
-              y: paperContour.data32S[i * 2 + 1]
-            });
-          }
-
-          // Order corners: top-left, top-right, bottom-right, bottom-left
-          const orderedCorners = orderCorners(points);
+        if (points) {
+          // Order corners TL, TR, BR, BL with the paper's short side as TL→TR
+          const orderedCorners = alignCornersToPaper(orderCorners(points), jigMode ? PAPER_SIZES.a4 : selectedPaper);
+          pushHistory();
           setPaperCorners(orderedCorners);
         } else {
           alert("Could not detect paper. Try adjusting paper position or manually drag corners after clicking 'Detect Paper' again.");
         }
-
-        // Cleanup
-        src.delete();
-        gray.delete();
-        blurred.delete();
-        edges.delete();
-        dilated.delete();
-        hsv.delete();
-        whiteMask.delete();
-        maskedGray.delete();
-
       } catch (e) {
         console.error(e);
         alert("Error detecting paper. Please try again.");
@@ -470,14 +769,43 @@ const PhotoScaleApp = () => {
     }, 100);
   };
 
-  // Order corners: top-left, top-right, bottom-right, bottom-left
-  const orderCorners = (points) => {
-    // Sort by Y first (top vs bottom)
-    const sorted = [...points].sort((a, b) => a.y - b.y);
-    const top = sorted.slice(0, 2).sort((a, b) => a.x - b.x);
-    const bottom = sorted.slice(2, 4).sort((a, b) => a.x - b.x);
+  // --- CV Logic: Detect Marker Sheet ---
+  // The printed sheet's markers give the paper corners through their own homography, without the white-paper mask
+  const detectMarkers = () => {
+    if (!window.cv || !cvReady || !image) return;
+    setIsDetectingMarkers(true);
+
+    setTimeout(() => {
+      try {
+        const result = detectMarkersLocal(window.cv, image);
+        if (result.sheetCorners) {
+          pushHistory();
+          setPaperCorners(result.sheetCorners);
+          if (!jigMode) setPaperSize('a4');
+          setMarkerDetection({ corners: result.sheetCorners, markers: result.markers.length, rmsMm: result.rmsMm });
+        } else {
+          alert(`Found ${result.markers.length} of ${MARKER_SHEET.origins.length} markers; at least ${MIN_MARKERS} must be visible. Print the marker sheet at 100% scale and keep it flat and in focus.`);
+        }
+      } catch (e) {
+        console.error(e);
+        alert("Error detecting markers.");
+      }
+      setIsDetectingMarkers(false);
+    }, 100);
+  };
+
+  // Marker fit summary while the paper corners are still the ones the markers produced (dragging replaces the array)
+  const markerSummary = () => (
+    markerDetection && markerDetection.corners === paperCorners
+      ? `${markerDetection.markers}/${MARKER_SHEET.origins.length} markers, fit ±${markerDetection.rmsMm.toFixed(2)} mm`
+      : null
+  );
 
-    return [top[0], top[1], bottom[1], bottom[0]]; // TL, TR, BR, BL
+  // Shift the corner labels one corner clockwise, for when detection put TL on the wrong corner
+  const rotateCornerLabels = () => {
+    if (!paperCorners) return;
+    pushHistory();
+    setPaperCorners(rotateCorners(paperCorners, 1));
   };
 
   // Apply perspective correction
@@ -490,11 +818,12 @@ const PhotoScaleApp = () => {
         const cv = window.cv;
         const src = cv.imread(canvasRef.current);
 
-        const paper = PAPER_SIZES[paperSize];
+        // Output follows the sheet's orientation as labelled (landscape when TL→TR is the long side)
+        const calibration = describePaperCorners(paperCorners);
         // Use a scale factor for output resolution (pixels per mm)
         const scale = 3; // 3 pixels per mm = reasonable resolution
-        const dstWidth = Math.round(paper.width * scale);
-        const dstHeight = Math.round(paper.height * scale);
+        const dstWidth = Math.round(calibration.acrossMm * scale);
+        const dstHeight = Math.round(calibration.downMm * scale);
 
         // Source points (detected corners)
         const srcTri = cv.matFromArray(4, 1, cv.CV_32FC2, [
@@ -529,16 +858,18 @@ const PhotoScaleApp = () => {
         // Create new Image from the corrected canvas
         const newImg = new Image();
         newImg.onload = () => {
+          pushHistory();
           setCorrectedImage(newImg);
           // Auto-set scale factor based on paper size (pixels per mm)
           setScaleFactor(scale);
           setReferenceLine({
             start: { x: 0, y: 0 },
             end: { x: dstWidth, y: 0 },
-            realLength: paper.width,
+            realLength: calibration.acrossMm,
             unit: 'mm',
             isDiameter: false
           });
+          setPaperCalibration(calibration);
           setPaperCorners(null); // Clear corners after applying
         };
         newImg.src = tempCanvas.toDataURL();
@@ -562,52 +893,65 @@ const PhotoScaleApp = () => {
   const resetPerspective = () => {
     setCorrectedImage(null);
     setPaperCorners(null);
+    setPaperCalibration(null);
+    setCircleEllipse(null);
     setReferenceLine(null);
     setScaleFactor(null);
     setMeasurements([]);
-    setDetectedObject(null);
+    setAngleMeasurements([]);
+    setAnglePoints([]);
+    setAreaMeasurements([]);
+    setAreaDraft(null);
+    setDetectedObjects([]);
+    setSelectedObjectId(null);
+    setAppliedPreset(null);
+  };
+
+  // Orientation, per-axis px/mm and whether the corners fit the selected paper size (else which size they do fit)
+  const describePaperCorners = (corners) => {
+    const match = matchPaperSize(corners, PAPER_SIZES, paperSize);
+    return {
+      ...measurePaper(corners, selectedPaper),
+      corners,
+      paperSize,
+      matchedSize: match.key,
+      measuredAspect: match.measuredAspect,
+    };
+  };
+
+  // Image px → paper-plane mm after Calibrate (a flattened image is already in that plane)
+  const paperPlaneHomography = () => {
+    if (correctedImage || !paperCalibration?.corners) return null;
+    const { corners, acrossMm, downMm } = paperCalibration;
+    return computeHomography(corners, [
+      { x: 0, y: 0 }, { x: acrossMm, y: 0 }, { x: acrossMm, y: downMm }, { x: 0, y: downMm }
+    ]);
   };
 
   // Calibrate scale from paper corners without applying perspective correction
   const calibrateFromPaper = () => {
     if (!paperCorners) return;
 
-    const paper = PAPER_SIZES[paperSize];
-
-    // Calculate paper dimensions in pixels from detected corners
-    // Top edge: TL to TR
-    const topEdgePx = getDistance(paperCorners[0], paperCorners[1]);
-    // Bottom edge: BL to BR
-    const bottomEdgePx = getDistance(paperCorners[3], paperCorners[2]);
-    // Left edge: TL to BL
-    const leftEdgePx = getDistance(paperCorners[0], paperCorners[3]);
-    // Right edge: TR to BR
-    const rightEdgePx = getDistance(paperCorners[1], paperCorners[2]);
+    // Each labelled direction is matched to the paper side of the inferred orientation
+    const calibration = describePaperCorners(paperCorners);
 
-    // Average width and height in pixels
-    const avgWidthPx = (topEdgePx + bottomEdgePx) / 2;
-    const avgHeightPx = (leftEdgePx + rightEdgePx) / 2;
-
-    // Calculate pixels per mm (average of horizontal and vertical)
-    const pxPerMmWidth = avgWidthPx / paper.width;
-    const pxPerMmHeight = avgHeightPx / paper.height;
-    const avgPxPerMm = (pxPerMmWidth + pxPerMmHeight) / 2;
-
-    setScaleFactor(avgPxPerMm);
+    pushHistory();
+    setScaleFactor(calibration.pxPerMm);
     setReferenceLine({
       start: paperCorners[0],
       end: paperCorners[1],
-      realLength: paper.width,
+      realLength: calibration.acrossMm,
       unit: 'mm',
       isDiameter: false
     });
+    setPaperCalibration(calibration);
 
     // Clear paper corners overlay but keep the scale
     setPaperCorners(null);
   };
 
-  // --- CV Logic: Detect Object ---
-  const detectObject = () => {
+  // --- CV Logic: Detect Objects ---
+  const detectObjects = () => {
     if (!window.cv || !cvReady || !image) return;
     // Need either corrected image OR calibrated scale from paper
     if (!correctedImage && !scaleFactor) return;
@@ -615,210 +959,477 @@ const PhotoScaleApp = () => {
 
     setTimeout(() => {
       try {
-        const cv = window.cv;
-        const src = cv.imread(canvasRef.current);
-        const hsv = new cv.Mat();
-        const objectMask = new cv.Mat();
-
-        // Convert to HSV
-        cv.cvtColor(src, hsv, cv.COLOR_RGBA2RGB);
-        cv.cvtColor(hsv, hsv, cv.COLOR_RGB2HSV);
-
-        // Find non-white regions (objects on paper)
-        // White: low saturation, high value. Object: NOT white
-        const lowWhite = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [0, 0, 180, 0]);
-        const highWhite = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [180, 40, 255, 0]);
-        cv.inRange(hsv, lowWhite, highWhite, objectMask);
-        lowWhite.delete();
-        highWhite.delete();
-
-        // Invert: we want the object (non-white)
-        cv.bitwise_not(objectMask, objectMask);
-
-        // Clean up mask
-        const kernel = cv.Mat.ones(5, 5, cv.CV_8U);
-        cv.morphologyEx(objectMask, objectMask, cv.MORPH_OPEN, kernel);
-        cv.morphologyEx(objectMask, objectMask, cv.MORPH_CLOSE, kernel);
-        kernel.delete();
-
-        // Find contours
-        const contours = new cv.MatVector();
-        const hierarchy = new cv.Mat();
-        cv.findContours(objectMask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-
-        // Find largest contour
-        let maxArea = 0;
-        let maxContour = null;
-
-        for (let i = 0; i < contours.size(); i++) {
-          const cnt = contours.get(i);
-          const area = cv.contourArea(cnt);
-          // Filter small noise (minimum 100 pixels)
-          if (area > maxArea && area > 100) {
-            maxArea = area;
-            maxContour = cnt;
-          }
-        }
-
-        if (maxContour) {
-          // Get rotated bounding rectangle
-          const rect = cv.minAreaRect(maxContour);
-
-          // Calculate dimensions in mm (scale = 3 px/mm from perspective correction)
-          const scale = scaleFactor || 3; // pixels per mm
-          const widthMm = Math.min(rect.size.width, rect.size.height) / scale;
-          const heightMm = Math.max(rect.size.width, rect.size.height) / scale;
-
-          // Get corner points of the rotated rect
-          const vertices = cv.RotatedRect.points(rect);
-
-          setDetectedObject({
-            center: { x: rect.center.x, y: rect.center.y },
-            size: { width: rect.size.width, height: rect.size.height },
-            angle: rect.angle,
-            vertices: vertices,
-            widthMm: widthMm,
-            heightMm: heightMm
-          });
-        } else {
-          alert("No object detected on paper.");
-          setDetectedObject(null);
+        const scale = scaleFactor || 3; // pixels per mm (3 px/mm after perspective correction)
+        const objects = detectObjectsLocal(window.cv, correctedImage || image, {
+          minArea: objectMinAreaMm2 * scale * scale,
+        });
+        pushHistory();
+        setDetectedObjects(objects.map(obj => ({
+          ...obj,
+          widthMm: Math.min(obj.size.width, obj.size.height) / scale,
+          heightMm: Math.max(obj.size.width, obj.size.height) / scale,
+        })));
+        setSelectedObjectId(null);
+        if (objects.length === 0) {
+          alert("No objects detected on paper. Try lowering the minimum area.");
         }
-
-        // Cleanup
-        src.delete();
-        hsv.delete();
-        objectMask.delete();
-        contours.delete();
-        hierarchy.delete();
-
       } catch (e) {
         console.error(e);
-        alert("Error detecting object.");
+        alert("Error detecting objects.");
       }
       setIsDetectingObject(false);
     }, 100);
   };
 
+  const deleteDetectedObject = (id) => {
+    pushHistory();
+    setDetectedObjects(detectedObjects.filter(obj => obj.id !== id));
+    if (selectedObjectId === id) setSelectedObjectId(null);
+  };
+
   // --- Jig Mode: Gemini Analysis ---
   const analyzeWithGemini = async () => {
     if (!image || !geminiApiKey) return;
+    const controller = new AbortController();
+    setJigAbort(controller);
     setIsProcessing(true);
     setJigProcessingMsg('Analyzing with Gemini AI...');
     setGeminiError(null);
+    setGeminiIssues([]);
 
     try {
-      const result = await analyzeJigImage(geminiApiKey, image, categoryThresholds);
+      const result = await analyzeJigImage(geminiApiKey, image, categoryThresholds, {
+        signal: controller.signal,
+        timeoutMs: geminiTimeoutS * 1000,
+        baseUrl: geminiBaseUrl,
+        onRetry: (attempt, delayMs, err) => setJigProcessingMsg(
+          `${err.message} Retrying in ${Math.round(delayMs / 1000)}s (attempt ${attempt + 1})...`
+        ),
+      });
       setXRuler(result.xRuler);
       setYRuler(result.yRuler);
+      setYRulerConfidence(null);
       setBaseLine(result.baseLine);
-      setDetectedDrills(result.drills);
+      setDetectedDrills(correctDrillHeights(result.drills, result.yRuler));
+      setGeminiIssues(result.issues);
+      // No ruler ticks came back — heights need a ruler, so start manual calibration
+      if (!result.yRuler) startManualRuler('y');
     } catch (err) {
       console.error('Gemini analysis error:', err);
-      setGeminiError(err.message);
-      alert('Gemini analysis failed: ' + err.message);
+      setGeminiError(err);
+      setGeminiIssues(err.issues || []);
+      if (err.kind !== 'cancelled') alert('Gemini analysis failed: ' + err.message);
     } finally {
+      setJigAbort(null);
+      setIsProcessing(false);
+    }
+  };
+
+  // --- Jig Mode: Local Ruler Detection ---
+  const detectRulerWithCv = () => {
+    if (!window.cv || !cvReady || !image) return;
+    setIsProcessing(true);
+    setJigProcessingMsg('Detecting ruler ticks...');
+
+    setTimeout(() => {
+      try {
+        const result = detectRulerLocal(window.cv, image);
+        setYRulerConfidence(result.confidence);
+        if (result.yRuler && result.confidence >= RULER_MIN_CONFIDENCE) {
+          setYRuler(result.yRuler);
+        } else {
+          // Low confidence: fall back to calibrating the ruler by hand
+          startManualRuler('y');
+        }
+      } catch (e) {
+        console.error(e);
+        alert("Error detecting ruler. Calibrate it manually instead.");
+        startManualRuler('y');
+      }
+      setIsProcessing(false);
+    }, 100);
+  };
+
+  // --- Jig Mode: Local Multi-Drill Detection ---
+  const detectDrillsWithCv = () => {
+    if (!window.cv || !cvReady || !image || !yRuler) return;
+    setIsProcessing(true);
+    setJigProcessingMsg('Detecting drills...');
+
+    setTimeout(() => {
+      try {
+        const drills = detectDrillsLocal(window.cv, image, {
+          yRuler,
+          baseLine,
+          thresholds: categoryThresholds,
+          ...drillDetectParams,
+        });
+        setDetectedDrills(correctDrillHeights(drills));
+        setSelectedDrillId(null);
+        if (drills.length === 0) {
+          alert("No drills detected. Try lowering the minimum area or aspect ratio.");
+        }
+      } catch (e) {
+        console.error(e);
+        alert("Error detecting drills.");
+      }
       setIsProcessing(false);
+    }, 100);
+  };
+
+  // --- Jig Mode: Manual Ruler Calibration ---
+  const startManualRuler = (axis) => {
+    setJigAddingDrill(false);
+    setManualRuler({ axis, line: null, ticks: [] });
+  };
+
+  // Ticks are snapped onto the drawn ruler line
+  const addManualRulerTick = (coords) => {
+    setManualRuler(prev => ({
+      ...prev,
+      ticks: [...prev.ticks, { ...projectOntoLine(prev.line, coords), cm: '' }],
+    }));
+  };
+
+  const getManualRulerTicks = () => {
+    if (!manualRuler) return [];
+    return manualRuler.ticks
+      .map(t => ({ ...t, cmValue: parseFloat(t.cm) }))
+      .filter(t => !isNaN(t.cmValue));
+  };
+
+  const canApplyManualRuler = () => {
+    const ticks = getManualRulerTicks();
+    return !!manualRuler?.line && ticks.length >= 2 && new Set(ticks.map(t => t.cmValue)).size === ticks.length;
+  };
+
+  const applyManualRuler = () => {
+    if (!canApplyManualRuler()) return;
+    const { axis, line } = manualRuler;
+    const ticks = getManualRulerTicks().map(t => (
+      axis === 'x' ? { cm: t.cmValue, pixelX: t.x } : { cm: t.cmValue, pixelY: t.y }
+    ));
+    const ruler = buildRulerFromTicks({ ticks }, axis);
+    if (!ruler) return;
+
+    // Draw the overlay along the user's line rather than the image edge
+    const along = (p) => axis === 'x' ? p.x : p.y;
+    const lineAt = (pixel) => {
+      const d = along(line.end) - along(line.start);
+      const t = d === 0 ? 0 : (pixel - along(line.start)) / d;
+      return {
+        x: line.start.x + t * (line.end.x - line.start.x),
+        y: line.start.y + t * (line.end.y - line.start.y),
+      };
+    };
+    ruler.line = { start: lineAt(ruler.points[0].pixel), end: lineAt(ruler.points[ruler.points.length - 1].pixel) };
+
+    if (axis === 'x') {
+      setXRuler(ruler);
+    } else {
+      setYRuler(ruler);
+      setYRulerConfidence(null);
     }
+    setManualRuler(null);
   };
 
   const analyzeSlots = async () => {
-    if (!image || !geminiApiKey) return;
+    if (!image) return;
+    if (slotDetector === 'local' ? !cvReady : !geminiApiKey) return;
     setIsDetectingSlots(true);
     setSlotDetectionError(null);
+    setSlotIssues([]);
 
     try {
-      const allImages = [image, ...slotImages];
-      const result = await analyzeJigSlots(geminiApiKey, allImages, slotGeminiModel, slotPromptVersion);
+      let result;
+      if (slotDetector === 'local') {
+        // Give UI a moment to show the spinner before the synchronous CV work (it cannot be cancelled, so no Cancel button)
+        await new Promise(resolve => setTimeout(resolve, 100));
+        result = detectJigSlotsLocal(window.cv, image);
+      } else {
+        const controller = new AbortController();
+        setSlotAbort(controller);
+        const allImages = [image, ...slotImages];
+        const { issues, ...slots } = await analyzeJigSlots(geminiApiKey, allImages, slotGeminiModel, slotPromptVersion, {
+          signal: controller.signal,
+          timeoutMs: geminiTimeoutS * 1000,
+          baseUrl: geminiBaseUrl,
+        });
+        setSlotIssues(issues);
+        result = slots;
+      }
       setSlotDetectionResult(result);
     } catch (err) {
       console.error('Slot detection error:', err);
-      setSlotDetectionError(err.message);
-      alert('Slot detection failed: ' + err.message);
+      setSlotDetectionError(err);
+      setSlotIssues(err.issues || []);
+      if (err.kind !== 'cancelled') alert('Slot detection failed: ' + err.message);
     } finally {
+      setSlotAbort(null);
       setIsDetectingSlots(false);
     }
   };
 
-  // --- Geometry Helpers ---
-  const getDistance = (p1, p2) => {
-    return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+  // --- Coating Assignment ---
+  const setStripCoating = (stripIdx, coatingId) => {
+    setSlotDetectionResult(prev => ({
+      ...prev,
+      strips: prev.strips.map((s, i) => i === stripIdx ? { ...s, coating_id: coatingId || null } : s),
+    }));
   };
 
-  // --- Homography Utilities (for grid projection) ---
-  const solveLinearSystem = (A, b) => {
-    const n = A.length;
-    const M = A.map((row, i) => [...row, b[i]]);
-
-    for (let i = 0; i < n; i++) {
-      let pivotRow = i;
-      for (let j = i + 1; j < n; j++) {
-        if (Math.abs(M[j][i]) > Math.abs(M[pivotRow][i])) pivotRow = j;
-      }
-      const temp = M[i];
-      M[i] = M[pivotRow];
-      M[pivotRow] = temp;
-
-      if (Math.abs(M[i][i]) < 1e-12) return null;
+  // Per-slot override; null falls back to the strip coating
+  const setSlotCoating = (stripIdx, slotIndex, coatingId) => {
+    setSlotDetectionResult(prev => ({
+      ...prev,
+      strips: prev.strips.map((s, i) => i === stripIdx ? {
+        ...s,
+        slots: s.slots.map(sl => sl.index === slotIndex ? { ...sl, coating_id: coatingId || null } : sl),
+      } : s),
+    }));
+  };
 
-      const pivot = M[i][i];
-      for (let j = i; j <= n; j++) M[i][j] /= pivot;
+  // --- Batch Processing ---
+  const readImageFile = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => loadImage(event.target.result).then(resolve, reject);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
 
-      for (let k = 0; k < n; k++) {
-        if (k !== i) {
-          const factor = M[k][i];
-          for (let j = i; j <= n; j++) M[k][j] -= factor * M[i][j];
-        }
+  const addBatchFiles = async (files) => {
+    const imageFiles = [...files]
+      .filter(f => f.type.startsWith('image/'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const items = [];
+    for (const file of imageFiles) {
+      try {
+        const img = await readImageFile(file);
+        items.push({
+          id: `${Date.now()}-${items.length}-${file.name}`,
+          name: file.webkitRelativePath || file.name,
+          image: img,
+          status: 'queued',
+          message: '',
+          xRuler: null,
+          yRuler: null,
+          baseLine: null,
+          drills: [],
+          slotResult: null,
+        });
+      } catch (err) {
+        console.error('Batch image load error:', file.name, err);
       }
     }
-    return M.map(row => row[n]);
-  };
-
-  const computeHomography = (srcPoints, dstPoints) => {
-    if (srcPoints.length !== 4 || dstPoints.length !== 4) return null;
-    const A = [];
-    const b = [];
-    for (let i = 0; i < 4; i++) {
-      const sx = srcPoints[i].x;
-      const sy = srcPoints[i].y;
-      const dx = dstPoints[i].x;
-      const dy = dstPoints[i].y;
-      A.push([sx, sy, 1, 0, 0, 0, -sx * dx, -sy * dx]);
-      b.push(dx);
-      A.push([0, 0, 0, sx, sy, 1, -sx * dy, -sy * dy]);
-      b.push(dy);
-    }
-    const h = solveLinearSystem(A, b);
-    if (!h) return null;
-    return [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+    setBatchItems(prev => [...prev, ...items]);
   };
 
-  const applyHomography = (H, p) => {
-    const rho = H[2][0] * p.x + H[2][1] * p.y + H[2][2];
-    return {
-      x: (H[0][0] * p.x + H[0][1] * p.y + H[0][2]) / rho,
-      y: (H[1][0] * p.x + H[1][1] * p.y + H[1][2]) / rho
-    };
+  // Dropped folders arrive as directory entries; walk them for files
+  const collectDroppedFiles = async (dataTransfer) => {
+    const readEntry = (entry) => new Promise((resolve) => {
+      if (entry.isFile) {
+        entry.file(f => resolve([f]), () => resolve([]));
+      } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+        const all = [];
+        const readBatch = () => reader.readEntries(async (entries) => {
+          if (entries.length === 0) {
+            const nested = await Promise.all(all.map(readEntry));
+            resolve(nested.flat());
+          } else {
+            all.push(...entries);
+            readBatch();
+          }
+        }, () => resolve([]));
+        readBatch();
+      } else {
+        resolve([]);
+      }
+    });
+
+    const entries = [...dataTransfer.items]
+      .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+      .filter(Boolean);
+    if (entries.length === 0) return [...dataTransfer.files];
+    return (await Promise.all(entries.map(readEntry))).flat();
   };
 
-  const applyInverseHomography = (H, p) => {
-    const det = (
-      H[0][0] * (H[1][1] * H[2][2] - H[1][2] * H[2][1]) -
-      H[0][1] * (H[1][0] * H[2][2] - H[1][2] * H[2][0]) +
-      H[0][2] * (H[1][0] * H[2][1] - H[1][1] * H[2][0])
-    );
-    if (Math.abs(det) < 1e-12) return null;
-    const invH = [
-      [(H[1][1] * H[2][2] - H[1][2] * H[2][1]) / det, (H[0][2] * H[2][1] - H[0][1] * H[2][2]) / det, (H[0][1] * H[1][2] - H[0][2] * H[1][1]) / det],
-      [(H[1][2] * H[2][0] - H[1][0] * H[2][2]) / det, (H[0][0] * H[2][2] - H[0][2] * H[2][0]) / det, (H[0][2] * H[1][0] - H[0][0] * H[1][2]) / det],
-      [(H[1][0] * H[2][1] - H[1][1] * H[2][0]) / det, (H[0][1] * H[2][0] - H[0][0] * H[2][1]) / det, (H[0][0] * H[1][1] - H[0][1] * H[1][0]) / det]
-    ];
-    return applyHomography(invH, p);
+  const handleBatchDrop = async (e) => {
+    e.preventDefault();
+    addBatchFiles(await collectDroppedFiles(e.dataTransfer));
   };
 
-  const getCanvasCoordinates = (e) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return { x: 0, y: 0 };
+  const updateBatchItem = (id, patch) => {
+    setBatchItems(prev => prev.map(b => b.id === id ? { ...b, ...patch } : b));
+  };
+
+  // Height analysis (Gemini with an API key, otherwise local CV) + slot detection for one photo
+  const processBatchItem = async (item) => {
+    updateBatchItem(item.id, { status: 'running', message: '' });
+    const requestOptions = {
+      timeoutMs: geminiTimeoutS * 1000,
+      baseUrl: geminiBaseUrl,
+      onRetry: (attempt, delayMs, err) => updateBatchItem(item.id, {
+        message: `${err.message} Retry ${attempt} in ${Math.round(delayMs / 1000)}s`,
+      }),
+    };
+    const errors = [];
+    const notes = []; // response validation issues; the photo still counts as processed
+
+    let heights = { xRuler: null, yRuler: null, baseLine: null, drills: [] };
+    try {
+      if (geminiApiKey) {
+        const { issues, ...jig } = await analyzeJigImage(geminiApiKey, item.image, categoryThresholds, requestOptions);
+        heights = jig;
+        if (issues.length > 0) notes.push(`Heights: ${issues.length} response issue(s)`);
+      } else {
+        if (!cvReady) throw new Error('OpenCV not ready');
+        const ruler = detectRulerLocal(window.cv, item.image);
+        if (!ruler.yRuler || ruler.confidence < RULER_MIN_CONFIDENCE) {
+          throw new Error('Ruler not detected — review and calibrate manually');
+        }
+        heights = {
+          xRuler: null,
+          yRuler: ruler.yRuler,
+          baseLine: null,
+          drills: detectDrillsLocal(window.cv, item.image, {
+            yRuler: ruler.yRuler,
+            baseLine: null,
+            thresholds: categoryThresholds,
+            ...drillDetectParams,
+          }),
+        };
+      }
+    } catch (err) {
+      errors.push(`Heights: ${err.message}`);
+    }
+
+    let slotResult = null;
+    try {
+      if (slotDetector === 'local') {
+        if (!cvReady) throw new Error('OpenCV not ready');
+        slotResult = detectJigSlotsLocal(window.cv, item.image);
+      } else {
+        if (!geminiApiKey) throw new Error('No Gemini API key');
+        const { issues, ...slots } = await analyzeJigSlots(geminiApiKey, [item.image], slotGeminiModel, slotPromptVersion, requestOptions);
+        slotResult = slots;
+        if (issues.length > 0) notes.push(`Slots: ${issues.length} response issue(s)`);
+      }
+    } catch (err) {
+      errors.push(`Slots: ${err.message}`);
+    }
+
+    updateBatchItem(item.id, {
+      ...heights,
+      slotResult,
+      status: errors.length ? 'error' : 'done',
+      message: [...errors, ...notes].join(' · '),
+    });
+  };
+
+  const runBatch = async () => {
+    const pending = batchItems.filter(b => b.status === 'queued' || b.status === 'error');
+    if (pending.length === 0) return;
+    setIsBatchRunning(true);
+    await runWithConcurrency(pending.map(item => () => processBatchItem(item)), batchConcurrency);
+    setIsBatchRunning(false);
+  };
+
+  // Load a batch result into the main view; edits there flow back into the batch item
+  const reviewBatchItem = (item) => {
+    setImage(item.image);
+    setXRuler(item.xRuler);
+    setYRuler(item.yRuler);
+    setYRulerConfidence(null);
+    setManualRuler(null);
+    setPaperCorners(null);
+    setBaseLine(item.baseLine);
+    setDetectedDrills(item.drills);
+    setSelectedDrillId(null);
+    setSlotDetectionResult(item.slotResult);
+    setSlotDetectionError(null);
+    setSlotIssues([]);
+    setGeminiError(null);
+    setGeminiIssues([]);
+    setHistory({ past: [], future: [] });
+    setBatchReviewId(item.id);
+    setBatchOpen(false);
+  };
+
+  useEffect(() => {
+    if (batchReviewId == null) return;
+    setBatchItems(prev => prev.map(b => b.id === batchReviewId
+      ? { ...b, xRuler, yRuler, baseLine, drills: detectedDrills, slotResult: slotDetectionResult }
+      : b));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [batchReviewId, detectedDrills, slotDetectionResult]);
+
+  const copyBatchInventory = () => {
+    const inv = combineInventory(batchItems);
+    const stripRows = inv.strips.map(r =>
+      `${r.stripId || r.colorName + '?'}\t${r.diameterMm ?? ''}\t${r.occupied}\t${r.total}\t${r.photos}`);
+    const sections = [
+      `Strip\tØ mm\tOccupied\tSlots\tPhotos\n${stripRows.join('\n')}`,
+      `Category\tCount\nA\t${inv.categories.A}\nB\t${inv.categories.B}\nC\t${inv.categories.C}`,
+    ];
+    navigator.clipboard.writeText(sections.join('\n\n'));
+  };
+
+  // --- Werkbon Report ---
+  const openWerkbon = () => {
+    if (!canvasRef.current) return;
+    setWerkbonSnapshot(canvasRef.current.toDataURL('image/jpeg', 0.9));
+    setWerkbonFields(f => ({ ...f, date: f.date || new Date().toISOString().slice(0, 10) }));
+    setWerkbonOpen(true);
+  };
+
+  // --- Jig Mode: Ground-Plane Perspective Correction ---
+  // The A4 sheet on the table defines a ground-plane homography. An upright drill's
+  // px/mm follows the horizontal ground scale at its foot, so the ratio of that scale
+  // at the ruler's foot to the scale at the drill's base corrects for depth.
+  const getJigGroundHomography = (corners = paperCorners) => {
+    if (!corners) return null;
+    const paper = PAPER_SIZES.a4; // short side faces the camera
+    return computeHomography(
+      corners.map(c => ({ x: c.x, y: c.y })),
+      [
+        { x: 0, y: 0 },
+        { x: paper.width, y: 0 },
+        { x: paper.width, y: paper.height },
+        { x: 0, y: paper.height }
+      ]
+    );
+  };
+
+  // Image px per ground mm along the image X direction at point p
+  const groundScaleAt = (H, p) => {
+    const mmPerPx = getDistance(applyHomography(H, p), applyHomography(H, { x: p.x + 1, y: p.y }));
+    return mmPerPx > 0 && isFinite(mmPerPx) ? 1 / mmPerPx : null;
+  };
+
+  // Recompute heights through the ruler calibration, then apply the per-drill depth factor.
+  // A ruler without an image position (`line` null) has no foot to compare against, so
+  // its heights stay uncorrected.
+  const correctDrillHeights = (drills, ruler = yRuler, corners = paperCorners) => {
+    if (!ruler) return drills;
+    const H = getJigGroundHomography(corners);
+    const rulerFoot = ruler.line && (ruler.line.start.y > ruler.line.end.y ? ruler.line.start : ruler.line.end);
+    const refScale = H && rulerFoot ? groundScaleAt(H, rulerFoot) : null;
+
+    return drills.map(drill => {
+      const rawMm = rulerDistanceMm(ruler, drill.topY, drill.bottomY);
+      const drillScale = refScale ? groundScaleAt(H, { x: drill.centerX, y: drill.bottomY }) : null;
+      const perspectiveFactor = drillScale ? refScale / drillScale : null;
+      const heightMm = perspectiveFactor ? rawMm * perspectiveFactor : rawMm;
+      const category = heightMm < categoryThresholds.shortMax ? 'A'
+        : heightMm < categoryThresholds.mediumMax ? 'B' : 'C';
+      return { ...drill, heightPx: drill.bottomY - drill.topY, heightMm, perspectiveFactor, category };
+    });
+  };
+
+  const getCanvasCoordinates = (e) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return { x: 0, y: 0 };
 
     const rect = canvas.getBoundingClientRect();
     const scaleX = canvas.width / rect.width;
@@ -833,6 +1444,75 @@ const PhotoScaleApp = () => {
     };
   };
 
+  // --- Undo / Redo ---
+  // Call pushHistory() right before any edit that should be undoable
+  const captureSnapshot = () => ({
+    measurements, referenceLine, scaleFactor, calcDiameterId, calcLengthId,
+    paperCorners, correctedImage, paperCalibration, baseLine, detectedDrills, slotDetectionResult, circleEllipse, angleMeasurements, areaMeasurements, detectedObjects,
+  });
+
+  const restoreSnapshot = (snap) => {
+    setMeasurements(snap.measurements);
+    setReferenceLine(snap.referenceLine);
+    setScaleFactor(snap.scaleFactor);
+    setCalcDiameterId(snap.calcDiameterId);
+    setCalcLengthId(snap.calcLengthId);
+    setPaperCorners(snap.paperCorners);
+    setCorrectedImage(snap.correctedImage);
+    setPaperCalibration(snap.paperCalibration);
+    setBaseLine(snap.baseLine);
+    setDetectedDrills(snap.detectedDrills);
+    setSlotDetectionResult(snap.slotDetectionResult);
+    setCircleEllipse(snap.circleEllipse);
+    setAngleMeasurements(snap.angleMeasurements);
+    setAreaMeasurements(snap.areaMeasurements);
+    setDetectedObjects(snap.detectedObjects);
+    setSelectedDrillId(null);
+  };
+
+  const pushHistory = () => {
+    const snap = captureSnapshot();
+    setHistory(h => ({ past: [...h.past, snap].slice(-HISTORY_LIMIT), future: [] }));
+  };
+
+  const undo = () => {
+    if (history.past.length === 0) return;
+    const prev = history.past[history.past.length - 1];
+    setHistory({ past: history.past.slice(0, -1), future: [captureSnapshot(), ...history.future] });
+    restoreSnapshot(prev);
+  };
+
+  const redo = () => {
+    if (history.future.length === 0) return;
+    const [next, ...rest] = history.future;
+    setHistory({ past: [...history.past, captureSnapshot()], future: rest });
+    restoreSnapshot(next);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except while typing in a field;
+  // Escape drops a half-placed angle or outline, Enter closes a polygon
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape' && (anglePoints.length > 0 || areaDraft)) {
+        setAnglePoints([]);
+        setAreaDraft(null);
+        setToolCursor(null);
+        return;
+      }
+      if (e.key === 'Enter' && areaDraft) {
+        closeAreaDraft();
+        return;
+      }
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
   // --- Corner Dragging Handlers ---
   const findNearestCorner = (coords, threshold = 30) => {
     if (!paperCorners) return null;
@@ -845,43 +1525,101 @@ const PhotoScaleApp = () => {
 
   const handleCornerDrag = (e) => {
     if (draggingCorner === null || !paperCorners) return;
+    if (!cornerDragMovedRef.current) {
+      cornerDragMovedRef.current = true;
+      pushHistory();
+    }
     const coords = getCanvasCoordinates(e);
     const newCorners = [...paperCorners];
     newCorners[draggingCorner] = coords;
     setPaperCorners(newCorners);
   };
 
+  const findNearestEllipseHandle = (coords, threshold = 20) => {
+    if (!circleEllipse) return null;
+    const handles = ellipseHandles(circleEllipse);
+    for (let i = 0; i < handles.length; i++) {
+      if (getDistance(coords, handles[i]) < threshold) return i;
+    }
+    return null;
+  };
+
   // --- Drawing Handlers ---
   const startDrawing = (e) => {
     if (!image) return;
     const coords = getCanvasCoordinates(e);
 
+    // Circle reference handles, then nothing else until the scale is applied or discarded
+    if (circleEllipse) {
+      const handleIdx = findNearestEllipseHandle(coords);
+      if (handleIdx !== null) {
+        pushHistory();
+        setDraggingEllipseHandle(handleIdx);
+      }
+      return;
+    }
+
     // Check if clicking on a corner for dragging
     if (paperCorners) {
       const cornerIdx = findNearestCorner(coords);
       if (cornerIdx !== null) {
+        cornerDragMovedRef.current = false;
         setDraggingCorner(cornerIdx);
         return;
       }
     }
 
-    // Don't allow drawing while corners are shown
-    if (paperCorners) return;
+    // Don't allow drawing while corners are shown (Jig Mode keeps the A4 corners as its ground plane)
+    if (paperCorners && !jigMode) return;
+
+    if (!jigMode && measureTool === 'angle') {
+      addAnglePoint(coords);
+      return;
+    }
+
+    // Area tool: drag an existing vertex (Shift+click removes it), else click a polygon or drag freehand
+    if (!jigMode && measureTool === 'area') {
+      const vertex = areaDraft ? null : findNearestAreaVertex(coords);
+      if (vertex) {
+        if (e.shiftKey) removeAreaVertex(vertex);
+        else {
+          pushHistory();
+          setDraggingVertex(vertex);
+        }
+        return;
+      }
+      addAreaPoint(coords);
+      setIsDrawing(true); // Released without moving: a polygon click; moved: freehand
+      return;
+    }
+
+    // Jig mode manual ruler: once the line is drawn, each click marks a tick
+    if (jigMode && manualRuler && manualRuler.line) {
+      addManualRulerTick(coords);
+      return;
+    }
 
     // Jig mode: check if clicking near the base line for dragging
-    if (jigMode && baseLine && Math.abs(coords.y - baseLine.y) < 15) {
+    if (jigMode && baseLine && !manualRuler && Math.abs(coords.y - baseLine.y) < 15) {
+      pushHistory();
       setDraggingBaseLine(true);
       return;
     }
 
-    // In jig mode, only allow drawing when in manual drill add mode
-    if (jigMode && !jigAddingDrill) return;
+    // In jig mode, only allow drawing when adding a drill or drawing the ruler line
+    if (jigMode && !jigAddingDrill && !manualRuler) return;
 
     setIsDrawing(true);
     setCurrentLine({ start: coords, end: coords });
   };
 
   const draw = (e) => {
+    // Handle ellipse handle dragging
+    if (draggingEllipseHandle !== null) {
+      setCircleEllipse(moveEllipseHandle(circleEllipse, draggingEllipseHandle, getCanvasCoordinates(e)));
+      return;
+    }
+
     // Handle corner dragging
     if (draggingCorner !== null) {
       handleCornerDrag(e);
@@ -891,20 +1629,59 @@ const PhotoScaleApp = () => {
     // Handle base line dragging
     if (draggingBaseLine) {
       const coords = getCanvasCoordinates(e);
-      let mmValue = 0;
-      if (yRuler && yRuler.ticks.length >= 2) {
-        mmValue = (coords.y - yRuler.ticks[0].px) / yRuler.scalePxPerMm;
-      }
+      const mmValue = yRuler ? rulerPixelToMm(yRuler, coords.y) ?? 0 : 0;
       setBaseLine({ y: coords.y, mmValue });
       return;
     }
 
+    if (draggingVertex) {
+      const coords = getCanvasCoordinates(e);
+      setAreaMeasurements(areaMeasurements.map(m => m.id !== draggingVertex.id ? m : {
+        ...m,
+        points: m.points.map((p, i) => i === draggingVertex.index ? coords : p)
+      }));
+      return;
+    }
+
+    // Holding the button down while drawing an outline traces it freehand
+    if (areaDraft && isDrawing) {
+      const coords = getCanvasCoordinates(e);
+      const last = areaDraft.points[areaDraft.points.length - 1];
+      if (areaDraft.freehand || getDistance(last, coords) >= FREEHAND_STEP_PX) {
+        setAreaDraft({ points: [...areaDraft.points, coords], freehand: true });
+      }
+      setToolCursor(coords);
+      return;
+    }
+
+    if (anglePoints.length > 0 || areaDraft) {
+      setToolCursor(getCanvasCoordinates(e));
+      return;
+    }
+
     if (!isDrawing || !currentLine) return;
     const coords = getCanvasCoordinates(e);
     setCurrentLine({ ...currentLine, end: coords });
   };
 
   const endDrawing = () => {
+    if (draggingEllipseHandle !== null) {
+      setDraggingEllipseHandle(null);
+      return;
+    }
+
+    if (draggingVertex) {
+      setDraggingVertex(null);
+      return;
+    }
+
+    // A freehand outline closes when the button is released; a clicked polygon stays open
+    if (!jigMode && measureTool === 'area' && isDrawing) {
+      setIsDrawing(false);
+      if (areaDraft?.freehand) closeAreaDraft();
+      return;
+    }
+
     // End corner dragging
     if (draggingCorner !== null) {
       setDraggingCorner(null);
@@ -915,13 +1692,9 @@ const PhotoScaleApp = () => {
     if (draggingBaseLine) {
       setDraggingBaseLine(false);
       if (detectedDrills.length > 0 && yRuler) {
-        setDetectedDrills(prev => prev.map(drill => {
-          const heightPx = baseLine.y - drill.topY;
-          const heightMm = heightPx / yRuler.scalePxPerMm;
-          const category = heightMm < categoryThresholds.shortMax ? 'A'
-            : heightMm < categoryThresholds.mediumMax ? 'B' : 'C';
-          return { ...drill, heightPx, heightMm, category };
-        }));
+        setDetectedDrills(prev => correctDrillHeights(
+          prev.map(drill => ({ ...drill, bottomY: baseLine.y }))
+        ));
       }
       return;
     }
@@ -935,11 +1708,18 @@ const PhotoScaleApp = () => {
       return;
     }
 
+    // Jig Mode: manual ruler line drawn — next clicks mark ticks
+    if (jigMode && manualRuler && !manualRuler.line) {
+      setManualRuler({ ...manualRuler, line: currentLine });
+      setCurrentLine(null);
+      return;
+    }
+
     // Jig Mode: manual drill addition
     if (jigMode && jigAddingDrill && yRuler && baseLine) {
       const topY = Math.min(currentLine.start.y, currentLine.end.y);
       const heightPx = baseLine.y - topY;
-      const heightMm = heightPx / yRuler.scalePxPerMm;
+      const heightMm = rulerDistanceMm(yRuler, topY, baseLine.y);
 
       if (heightMm > 10) {
         const category = heightMm < categoryThresholds.shortMax ? 'A'
@@ -962,10 +1742,11 @@ const PhotoScaleApp = () => {
           category,
         };
 
-        // Insert in sorted position and re-ID
-        const updated = [...detectedDrills, newDrill]
-          .sort((a, b) => a.centerX - b.centerX);
-        updated.forEach((d, i) => { d.id = i + 1; });
+        // Insert in sorted position and re-ID (new objects, so history snapshots stay intact)
+        const updated = [...detectedDrills, ...correctDrillHeights([newDrill])]
+          .sort((a, b) => a.centerX - b.centerX)
+          .map((d, i) => ({ ...d, id: i + 1 }));
+        pushHistory();
         setDetectedDrills(updated);
       }
 
@@ -988,6 +1769,7 @@ const PhotoScaleApp = () => {
       };
 
       const newMeasurements = [...measurements, newMeasurement];
+      pushHistory();
       setMeasurements(newMeasurements);
 
       if (!referenceLine.isDiameter) {
@@ -1009,6 +1791,7 @@ const PhotoScaleApp = () => {
     const pixelDist = getDistance(currentLine.start, currentLine.end);
     const factor = pixelDist / val;
 
+    pushHistory();
     setScaleFactor(factor);
     setReferenceLine({
       start: currentLine.start,
@@ -1027,6 +1810,7 @@ const PhotoScaleApp = () => {
   };
 
   const confirmReset = () => {
+    pushHistory();
     setReferenceLine(null);
     setScaleFactor(null);
     setMeasurements([]);
@@ -1038,8 +1822,12 @@ const PhotoScaleApp = () => {
 
   // --- Jig Mode Toggle ---
   const resetJigState = () => {
+    setAppliedPreset(null);
     setXRuler(null);
     setYRuler(null);
+    setYRulerConfidence(null);
+    setManualRuler(null);
+    setPaperCorners(null);
     setBaseLine(null);
     setDetectedDrills([]);
     setSelectedDrillId(null);
@@ -1047,8 +1835,10 @@ const PhotoScaleApp = () => {
     setJigAddingDrill(false);
     setCategoryThresholds({ shortMax: 200, mediumMax: 300 });
     setGeminiError(null);
+    setGeminiIssues([]);
     setSlotDetectionResult(null);
     setSlotDetectionError(null);
+    setSlotIssues([]);
     setIsDetectingSlots(false);
     setSlotImages([]);
   };
@@ -1057,12 +1847,19 @@ const PhotoScaleApp = () => {
     setReferenceLine(null);
     setScaleFactor(null);
     setMeasurements([]);
+    setAngleMeasurements([]);
+    setAnglePoints([]);
+    setAreaMeasurements([]);
+    setAreaDraft(null);
     setCurrentLine(null);
     setCalcDiameterId('');
     setCalcLengthId('');
     setPaperCorners(null);
     setCorrectedImage(null);
-    setDetectedObject(null);
+    setPaperCalibration(null);
+    setCircleEllipse(null);
+    setDetectedObjects([]);
+    setSelectedObjectId(null);
   };
 
   const saveGeminiApiKey = (key) => {
@@ -1070,9 +1867,290 @@ const PhotoScaleApp = () => {
     localStorage.setItem('gemini_api_key', key);
   };
 
+  const saveGeminiTimeout = (seconds) => {
+    setGeminiTimeoutS(seconds);
+    localStorage.setItem('gemini_timeout_s', String(seconds));
+  };
+
+  const saveGeminiBaseUrl = (url) => {
+    setGeminiBaseUrl(url);
+    localStorage.setItem('gemini_base_url', url);
+  };
+
+  // Major axis, tilt and resulting px/mm of the detected disc, with apply/discard actions
+  const renderCircleReference = (ellipse) => {
+    const major = ellipseMajorAxis(ellipse);
+    const diameter = parseFloat(circleDiameter);
+    return (
+      <div className="mt-3 space-y-2">
+        <div className="bg-white rounded-lg p-2 border border-cyan-100 text-[10px] text-gray-600 space-y-1">
+          <div className="flex justify-between">
+            <span>Major axis</span>
+            <span className="font-mono">{major.lengthPx.toFixed(1)} px</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Tilt</span>
+            <span className={`font-mono ${major.tiltDeg > 45 ? 'text-amber-600 font-bold' : ''}`}>{major.tiltDeg.toFixed(0)}°</span>
+          </div>
+          {diameter > 0 && (
+            <div className="flex justify-between">
+              <span>Scale</span>
+              <span className="font-mono">{(major.lengthPx / diameter).toFixed(2)} px/mm</span>
+            </div>
+          )}
+          {major.tiltDeg > 45 && (
+            <p className="text-amber-700 flex items-start gap-1"><AlertTriangle size={10} className="mt-0.5 shrink-0" /> Strong tilt: measurements away from the disc's plane will be off.</p>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={applyCircleScale}
+            disabled={!(diameter > 0)}
+            className="flex-1 py-1.5 bg-cyan-600 text-white rounded-md text-xs font-semibold hover:bg-cyan-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
+          >
+            <Check size={12} />
+            Apply Scale
+          </button>
+          <button
+            onClick={() => { pushHistory(); setCircleEllipse(null); }}
+            className="px-3 py-1.5 bg-white border border-cyan-200 text-cyan-700 rounded-md text-xs font-semibold hover:bg-cyan-100"
+          >
+            Discard
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  // Preset picker for the current mode, save-as, and drift warnings for the preset applied to this photo
+  const renderCalibrationPresets = () => {
+    const mode = jigMode ? 'jig' : 'standard';
+    const presets = calibrationPresets.filter(p => p.mode === mode);
+    const warnings = appliedPreset && image ? presetDrift(appliedPreset.preset, {
+      imageWidth: image.naturalWidth,
+      imageHeight: image.naturalHeight,
+      corners: appliedPreset.corners,
+      ...(jigMode ? { xRuler, yRuler } : { scaleFactor }),
+    }) : [];
+    return (
+      <div className="bg-white rounded-lg border border-gray-200 p-2 space-y-2">
+        <div className="text-[10px] uppercase font-bold text-gray-400">Calibration Presets</div>
+        {presets.length > 0 && (
+          <div className="flex gap-1">
+            <select
+              value={selectedPresetId}
+              onChange={(e) => setSelectedPresetId(e.target.value)}
+              className="flex-1 min-w-0 text-xs px-2 py-1.5 rounded-md border border-gray-200 bg-white outline-none"
+            >
+              <option value="">Choose a preset…</option>
+              {presets.map(p => (
+                <option key={p.id} value={p.id}>{p.name} ({p.imageWidth}×{p.imageHeight})</option>
+              ))}
+            </select>
+            <button
+              onClick={applyPreset}
+              disabled={!image || !selectedPresetId}
+              className="px-2 py-1.5 bg-gray-800 text-white rounded-md text-xs font-semibold hover:bg-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Apply
+            </button>
+            <button
+              onClick={() => deletePreset(selectedPresetId)}
+              disabled={!selectedPresetId}
+              className="px-1.5 text-gray-300 hover:text-red-500 disabled:opacity-50"
+              title="Delete preset"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        )}
+        <div className="flex gap-1">
+          <input
+            type="text"
+            value={newPresetName}
+            onChange={(e) => setNewPresetName(e.target.value)}
+            placeholder={jigMode ? 'e.g. Jig station 1' : 'e.g. Copy stand'}
+            className="flex-1 min-w-0 text-xs px-2 py-1.5 rounded-md border border-gray-200 outline-none"
+          />
+          <button
+            onClick={savePreset}
+            disabled={!image}
+            className="px-2 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-md text-xs font-semibold hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+            title="Save the current calibration for photos from the same camera setup"
+          >
+            <Save size={12} />
+            Save
+          </button>
+        </div>
+        {presetError && <p className="text-[10px] text-red-600">{presetError}</p>}
+        {appliedPreset && (
+          warnings.length > 0 ? (
+            <div className="bg-amber-100 rounded p-2 text-[10px] text-amber-700 space-y-1">
+              {warnings.map(w => (
+                <p key={w} className="flex items-start gap-1"><AlertTriangle size={12} className="shrink-0" />{w}</p>
+              ))}
+            </div>
+          ) : (
+            <p className="text-[10px] text-gray-500 flex items-center gap-1">
+              {appliedPreset.corners === undefined && presetReferenceCorners(appliedPreset.preset) && cvReady
+                ? <><Loader2 size={10} className="animate-spin" /> Checking “{appliedPreset.preset.name}” against this photo…</>
+                : <><Check size={10} className="text-emerald-600" /> “{appliedPreset.preset.name}” applied</>}
+            </p>
+          )
+        )}
+      </div>
+    );
+  };
+
+  // Detect Objects with its minimum area, then one selectable, deletable row per object
+  const renderObjectDetection = () => (
+    <div className="space-y-2">
+      <div className="flex gap-2 items-end">
+        <div className="w-24">
+          <label className="text-[10px] uppercase font-bold text-amber-500 mb-0.5 block">Min area mm²</label>
+          <input
+            type="number"
+            min="1"
+            value={objectMinAreaMm2}
+            onChange={(e) => setObjectMinAreaMm2(Math.max(1, Number(e.target.value) || 1))}
+            className="w-full text-sm px-2 py-1.5 rounded-md border border-amber-200 focus:ring-1 focus:ring-amber-500 outline-none bg-white"
+          />
+        </div>
+        <button
+          onClick={detectObjects}
+          disabled={isDetectingObject}
+          className="flex-1 h-[34px] px-3 bg-amber-500 text-white rounded-md text-xs font-semibold hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
+        >
+          {isDetectingObject ? <Loader2 size={14} className="animate-spin" /> : <Crosshair size={14} />}
+          Detect Objects
+        </button>
+      </div>
+
+      {detectedObjects.length > 0 && (
+        <div className="bg-white rounded-lg border border-amber-200 overflow-hidden">
+          <div className="text-[10px] uppercase font-bold text-amber-600 px-3 pt-2 pb-1">
+            Detected Objects ({detectedObjects.length})
+          </div>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-[10px] text-gray-400 text-left">
+                <th className="px-3 py-1 font-medium">#</th>
+                <th className="py-1 font-medium text-right">Height</th>
+                <th className="py-1 font-medium text-right">Width</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {detectedObjects.map(obj => (
+                <tr
+                  key={obj.id}
+                  onClick={() => setSelectedObjectId(obj.id === selectedObjectId ? null : obj.id)}
+                  className={`cursor-pointer border-t border-amber-50 ${obj.id === selectedObjectId ? 'bg-amber-100' : 'hover:bg-amber-50'}`}
+                >
+                  <td className="px-3 py-1 font-bold text-amber-700">{obj.id}</td>
+                  <td className="py-1 text-right font-mono text-amber-700">{obj.heightMm.toFixed(1)} mm</td>
+                  <td className="py-1 text-right font-mono text-amber-700">{obj.widthMm.toFixed(1)} mm</td>
+                  <td className="px-2 py-1 text-right">
+                    <button
+                      onClick={(e) => { e.stopPropagation(); deleteDetectedObject(obj.id); }}
+                      className="text-gray-300 hover:text-red-500"
+                      title="Delete"
+                    >
+                      <Trash2 size={12} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+
+  // Orientation and per-axis scale of a sheet; warns when the two axes or the aspect ratio disagree
+  const renderPaperCalibration = (calibration) => (
+    <div className="bg-white rounded-lg p-2 border border-emerald-100 text-[10px] text-gray-600 space-y-1">
+      <div className="flex justify-between">
+        <span>Orientation:</span>
+        <span className="font-semibold capitalize">{calibration.orientation}</span>
+      </div>
+      <div className="flex justify-between">
+        <span>Across ({calibration.acrossMm}mm):</span>
+        <span className="font-mono">{calibration.pxPerMmAcross.toFixed(2)} px/mm</span>
+      </div>
+      <div className="flex justify-between">
+        <span>Down ({calibration.downMm}mm):</span>
+        <span className="font-mono">{calibration.pxPerMmDown.toFixed(2)} px/mm</span>
+      </div>
+      <div className="flex justify-between">
+        <span>Disagreement:</span>
+        <span className={`font-mono ${calibration.disagreement > 0.05 ? 'text-amber-600 font-bold' : ''}`}>
+          {(calibration.disagreement * 100).toFixed(1)}%
+        </span>
+      </div>
+      {calibration.matchedSize === null && (
+        <div className="bg-amber-100 rounded p-1.5 text-amber-700 flex items-start gap-1">
+          <AlertTriangle size={12} className="shrink-0 mt-px" />
+          Aspect ratio {calibration.measuredAspect.toFixed(2)} matches no known paper size. Check the corners, or flatten if the sheet is photographed at an angle.
+        </div>
+      )}
+      {calibration.matchedSize && calibration.matchedSize !== calibration.paperSize && (
+        <div className="bg-amber-100 rounded p-1.5 text-amber-700 flex items-start gap-1">
+          <AlertTriangle size={12} className="shrink-0 mt-px" />
+          Aspect ratio {calibration.measuredAspect.toFixed(2)} looks more like {PAPER_SIZES[calibration.matchedSize].label} than {PAPER_SIZES[calibration.paperSize]?.label || calibration.paperSize}.
+        </div>
+      )}
+    </div>
+  );
+
+  // Validation issues from a Gemini response: what was missing or out of range
+  const renderResponseIssues = (issues) => (
+    <details className="bg-amber-50 border border-amber-200 rounded px-2 py-1 text-[10px] text-amber-700">
+      <summary className="cursor-pointer select-none font-semibold">
+        {issues.length} response issue{issues.length === 1 ? '' : 's'}
+        {issues.some(i => i.severity === 'error') && ' (some data ignored)'}
+      </summary>
+      <ul className="mt-1 space-y-0.5">
+        {issues.map((issue, i) => (
+          <li key={i} className={issue.severity === 'error' ? 'text-red-600' : ''}>
+            <span className="font-mono">{issue.field}</span>: {issue.message}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+
+  // Gemini failures render by kind: transient ones suggest retrying, auth points at the key
+  const renderRequestError = (error) => {
+    const styles = {
+      auth: 'bg-red-50 text-red-700 border-red-200',
+      rate_limit: 'bg-amber-50 text-amber-700 border-amber-200',
+      server: 'bg-amber-50 text-amber-700 border-amber-200',
+      network: 'bg-amber-50 text-amber-700 border-amber-200',
+      timeout: 'bg-amber-50 text-amber-700 border-amber-200',
+      cancelled: 'bg-gray-50 text-gray-500 border-gray-200',
+    };
+    const hints = {
+      auth: 'Check the Gemini API key above.',
+      rate_limit: 'Still rate limited after retries — wait a minute and try again.',
+      server: 'Gemini is having trouble — try again shortly.',
+      network: 'Check your internet connection.',
+      timeout: 'Try again or raise the request timeout.',
+    };
+    return (
+      <div className={`border rounded px-2 py-1 text-[10px] ${styles[error.kind] || 'bg-red-50 text-red-600 border-red-200'}`}>
+        <p>{error.message}</p>
+        {hints[error.kind] && <p className="opacity-75">{hints[error.kind]}</p>}
+      </div>
+    );
+  };
+
   const toggleJigMode = (enabled) => {
     if (enabled === jigMode) return;
     setJigMode(enabled);
+    setHistory({ past: [], future: [] });
+    setBatchReviewId(null);
     if (enabled) {
       resetStandardState();
     } else {
@@ -1081,11 +2159,109 @@ const PhotoScaleApp = () => {
   };
 
   const deleteMeasurement = (id) => {
+    pushHistory();
     setMeasurements(measurements.filter(m => m.id !== id));
     if (calcDiameterId === id.toString()) setCalcDiameterId('');
     if (calcLengthId === id.toString()) setCalcLengthId('');
   };
 
+  // Angle tool: arm end, vertex, arm end
+  const addAnglePoint = (coords) => {
+    const points = [...anglePoints, coords];
+    if (points.length < 3) {
+      setAnglePoints(points);
+      return;
+    }
+    const [a, vertex, b] = points;
+    const H = paperPlaneHomography();
+    pushHistory();
+    setAngleMeasurements([...angleMeasurements, {
+      id: Date.now(),
+      a,
+      vertex,
+      b,
+      degrees: angleDeg(a, vertex, b, H),
+      rectified: !!H
+    }]);
+    setAnglePoints([]);
+    setToolCursor(null);
+  };
+
+  const deleteAngleMeasurement = (id) => {
+    pushHistory();
+    setAngleMeasurements(angleMeasurements.filter(m => m.id !== id));
+  };
+
+  // Area tool: clicks add polygon vertices, clicking the first vertex again closes the outline
+  const addAreaPoint = (coords) => {
+    if (!areaDraft) {
+      setAreaDraft({ points: [coords], freehand: false });
+      return;
+    }
+    if (areaDraft.points.length >= 3 && getDistance(coords, areaDraft.points[0]) < 15) {
+      closeAreaDraft();
+      return;
+    }
+    setAreaDraft({ ...areaDraft, points: [...areaDraft.points, coords] });
+  };
+
+  const closeAreaDraft = () => {
+    const points = areaDraft.freehand ? simplifyPath(areaDraft.points, FREEHAND_STEP_PX) : areaDraft.points;
+    if (points.length >= 3) {
+      pushHistory();
+      setAreaMeasurements([...areaMeasurements, { id: Date.now(), points }]);
+    }
+    setAreaDraft(null);
+    setToolCursor(null);
+  };
+
+  const findNearestAreaVertex = (coords, threshold = 10) => {
+    for (const m of areaMeasurements) {
+      const index = m.points.findIndex(p => getDistance(coords, p) < threshold);
+      if (index !== -1) return { id: m.id, index };
+    }
+    return null;
+  };
+
+  const removeAreaVertex = ({ id, index }) => {
+    const area = areaMeasurements.find(m => m.id === id);
+    if (area.points.length <= 3) return;
+    pushHistory();
+    setAreaMeasurements(areaMeasurements.map(m => m.id !== id ? m : {
+      ...m,
+      points: m.points.filter((_, i) => i !== index)
+    }));
+  };
+
+  const deleteAreaMeasurement = (id) => {
+    pushHistory();
+    setAreaMeasurements(areaMeasurements.filter(m => m.id !== id));
+  };
+
+  // Enclosed area and outline length: on the paper plane after Calibrate, else through the
+  // scale (after Flatten that is the corrected image's own 3 px/mm); null before any calibration
+  const measurePolygon = (points) => {
+    const H = paperPlaneHomography();
+    if (H) {
+      const mm = points.map(p => applyHomography(H, p));
+      return { area: polygonArea(mm), perimeter: polygonPerimeter(mm), unit: 'mm', rectified: true };
+    }
+    if (!scaleFactor || !referenceLine) return null;
+    return {
+      area: polygonArea(points) / (scaleFactor * scaleFactor),
+      perimeter: polygonPerimeter(points) / scaleFactor,
+      unit: referenceLine.unit,
+      rectified: false
+    };
+  };
+
+  const selectMeasureTool = (tool) => {
+    setMeasureTool(tool);
+    setAnglePoints([]);
+    setAreaDraft(null);
+    setToolCursor(null);
+  };
+
   const toggleReferenceType = () => {
       if (referenceLine) {
           setReferenceLine({
@@ -1127,6 +2303,13 @@ const PhotoScaleApp = () => {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [categoryThresholds]);
 
+  // --- Re-apply perspective correction when the A4 corners or ruler change ---
+  useEffect(() => {
+    if (!jigMode || detectedDrills.length === 0) return;
+    setDetectedDrills(prev => correctDrillHeights(prev));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [paperCorners, yRuler]);
+
   // --- Rendering Loop ---
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -1188,25 +2371,49 @@ const PhotoScaleApp = () => {
         ctx.restore();
     };
 
+    // Angle: both arms from the vertex, an arc between them and the degree label on its bisector
+    const drawAngle = (a, vertex, b, text, color, isDashed = false) => {
+        drawLine(vertex, a, color, 3, isDashed);
+        drawLine(vertex, b, color, 3, isDashed);
+
+        const startAngle = Math.atan2(a.y - vertex.y, a.x - vertex.x);
+        let sweep = Math.atan2(b.y - vertex.y, b.x - vertex.x) - startAngle;
+        if (sweep > Math.PI) sweep -= 2 * Math.PI;
+        if (sweep < -Math.PI) sweep += 2 * Math.PI;
+        const radius = Math.max(5, Math.min(40, getDistance(vertex, a) / 2, getDistance(vertex, b) / 2));
+
+        ctx.beginPath();
+        ctx.arc(vertex.x, vertex.y, radius, startAngle, startAngle + sweep, sweep < 0);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([]);
+        ctx.stroke();
+
+        const bisector = startAngle + sweep / 2;
+        const labelAt = { x: vertex.x + Math.cos(bisector) * (radius + 30), y: vertex.y + Math.sin(bisector) * (radius + 30) };
+        drawLabel(labelAt, labelAt, text, color);
+    };
+
     // Draw paper corners if detected (before applying correction)
     if (paperCorners && !correctedImage) {
-      ctx.save();
+      // Draw semi-transparent overlay outside the paper (Jig Mode keeps the jig visible)
+      if (!jigMode) {
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-      // Draw semi-transparent overlay outside the paper
-      ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
+        // Cut out the paper area
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.beginPath();
+        ctx.moveTo(paperCorners[0].x, paperCorners[0].y);
+        for (let i = 1; i < 4; i++) {
+          ctx.lineTo(paperCorners[i].x, paperCorners[i].y);
+        }
+        ctx.closePath();
+        ctx.fill();
 
-      // Cut out the paper area
-      ctx.globalCompositeOperation = 'destination-out';
-      ctx.beginPath();
-      ctx.moveTo(paperCorners[0].x, paperCorners[0].y);
-      for (let i = 1; i < 4; i++) {
-        ctx.lineTo(paperCorners[i].x, paperCorners[i].y);
+        ctx.restore();
       }
-      ctx.closePath();
-      ctx.fill();
-
-      ctx.restore();
 
       // Draw the paper outline
       ctx.beginPath();
@@ -1241,7 +2448,7 @@ const PhotoScaleApp = () => {
 
       // Draw perspective grid overlay
       if (showGrid) {
-        const paper = PAPER_SIZES[paperSize];
+        const paper = jigMode ? PAPER_SIZES.a4 : selectedPaper;
         const worldCorners = [
           { x: 0, y: 0 },
           { x: paper.width, y: 0 },
@@ -1303,6 +2510,73 @@ const PhotoScaleApp = () => {
       drawLabel(m.start, m.end, `${m.value.toFixed(2)} ${referenceLine?.unit}`, color);
     });
 
+    // Area outlines: filled, labelled at the vertex centroid, with vertex handles while the area tool is active
+    areaMeasurements.forEach(m => {
+      ctx.save();
+      ctx.beginPath();
+      m.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.fillStyle = 'rgba(20, 184, 166, 0.2)';
+      ctx.fill();
+      ctx.strokeStyle = '#14b8a6';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([]);
+      ctx.stroke();
+
+      if (measureTool === 'area' && !jigMode) {
+        m.points.forEach(p => {
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+          ctx.fillStyle = '#14b8a6';
+          ctx.fill();
+          ctx.strokeStyle = '#fff';
+          ctx.lineWidth = 1;
+          ctx.stroke();
+        });
+      }
+      ctx.restore();
+
+      const result = measurePolygon(m.points);
+      if (result) {
+        const centroid = {
+          x: m.points.reduce((sum, p) => sum + p.x, 0) / m.points.length,
+          y: m.points.reduce((sum, p) => sum + p.y, 0) / m.points.length
+        };
+        drawLabel(centroid, centroid, `${result.area.toFixed(1)} ${getAreaUnit(result.unit)}`, '#14b8a6');
+      }
+    });
+
+    // Outline being drawn, with the closing edge to the mouse
+    if (areaDraft) {
+      const points = toolCursor && !areaDraft.freehand ? [...areaDraft.points, toolCursor] : areaDraft.points;
+      ctx.save();
+      ctx.beginPath();
+      points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.strokeStyle = '#14b8a6';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([8, 4]);
+      ctx.stroke();
+      ctx.restore();
+      if (!areaDraft.freehand) {
+        areaDraft.points.forEach((p, i) => drawLine(p, p, '#14b8a6', i === 0 && areaDraft.points.length >= 3 ? 5 : 3));
+      }
+    }
+
+    angleMeasurements.forEach(m => {
+      drawAngle(m.a, m.vertex, m.b, `${m.degrees.toFixed(1)}°`, '#a855f7');
+    });
+
+    // Angle being placed: rubber band to the mouse
+    anglePoints.forEach(p => drawLine(p, p, '#a855f7', 3));
+    if (anglePoints.length > 0 && toolCursor) {
+      if (anglePoints.length === 1) {
+        drawLine(anglePoints[0], toolCursor, '#a855f7', 3, true);
+      } else {
+        const live = angleDeg(anglePoints[0], anglePoints[1], toolCursor, paperPlaneHomography());
+        drawAngle(anglePoints[0], anglePoints[1], toolCursor, `${live.toFixed(1)}°`, '#a855f7', true);
+      }
+    }
+
     if (currentLine && scaleFactor && !paperCorners) {
       drawLine(currentLine.start, currentLine.end, '#ef4444', 3, true);
       const dist = getDistance(currentLine.start, currentLine.end);
@@ -1310,59 +2584,87 @@ const PhotoScaleApp = () => {
       drawLabel(currentLine.start, currentLine.end, `${val.toFixed(2)} ${referenceLine?.unit}`, '#ef4444');
     }
 
-    // Draw detected object bounding box
-    if (detectedObject && detectedObject.vertices) {
+    // Draw detected objects: numbered amber boxes, dimensions on the selected one
+    detectedObjects.forEach(obj => {
+      const isSelected = obj.id === selectedObjectId;
+      const v = obj.vertices;
       ctx.save();
       ctx.strokeStyle = '#f59e0b'; // Amber
-      ctx.lineWidth = 3;
+      ctx.lineWidth = isSelected ? 5 : 3;
       ctx.setLineDash([]);
 
       // Draw rotated rectangle
       ctx.beginPath();
-      ctx.moveTo(detectedObject.vertices[0].x, detectedObject.vertices[0].y);
+      ctx.moveTo(v[0].x, v[0].y);
       for (let i = 1; i < 4; i++) {
-        ctx.lineTo(detectedObject.vertices[i].x, detectedObject.vertices[i].y);
+        ctx.lineTo(v[i].x, v[i].y);
       }
       ctx.closePath();
+      if (isSelected) {
+        ctx.fillStyle = 'rgba(245, 158, 11, 0.15)';
+        ctx.fill();
+      }
       ctx.stroke();
 
-      // Draw corner dots
+      // Number badge
+      ctx.beginPath();
+      ctx.arc(obj.center.x, obj.center.y, 14, 0, Math.PI * 2);
       ctx.fillStyle = '#f59e0b';
-      detectedObject.vertices.forEach(v => {
-        ctx.beginPath();
-        ctx.arc(v.x, v.y, 5, 0, Math.PI * 2);
-        ctx.fill();
-      });
-
-      // Draw dimension labels
-      const v = detectedObject.vertices;
-      const midTop = { x: (v[0].x + v[1].x) / 2, y: (v[0].y + v[1].y) / 2 };
-      const midLeft = { x: (v[0].x + v[3].x) / 2, y: (v[0].y + v[3].y) / 2 };
-
-      // Height label (longer dimension)
-      ctx.fillStyle = 'rgba(245, 158, 11, 0.9)';
-      ctx.font = 'bold 14px sans-serif';
+      ctx.fill();
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.fillStyle = '#fff';
+      ctx.font = 'bold 13px sans-serif';
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
+      ctx.fillText(String(obj.id), obj.center.x, obj.center.y);
+
+      if (isSelected) {
+        // Draw dimension labels along the sides
+        const midTop = { x: (v[0].x + v[1].x) / 2, y: (v[0].y + v[1].y) / 2 };
+        const midLeft = { x: (v[0].x + v[3].x) / 2, y: (v[0].y + v[3].y) / 2 };
+        const sideTop = getDistance(v[0], v[1]);
+        const sideLeft = getDistance(v[0], v[3]);
+        const [heightAt, widthAt] = sideLeft >= sideTop ? [midLeft, midTop] : [midTop, midLeft];
+
+        ctx.font = 'bold 14px sans-serif';
+        [[heightAt, `${obj.heightMm.toFixed(1)}mm`], [widthAt, `${obj.widthMm.toFixed(1)}mm`]].forEach(([at, label]) => {
+          const metrics = ctx.measureText(label);
+          ctx.fillStyle = 'rgba(0,0,0,0.7)';
+          ctx.fillRect(at.x - metrics.width/2 - 4, at.y - 10, metrics.width + 8, 20);
+          ctx.fillStyle = '#fbbf24';
+          ctx.fillText(label, at.x, at.y);
+        });
+      }
 
-      const heightLabel = `${detectedObject.heightMm.toFixed(1)}mm`;
-      const widthLabel = `${detectedObject.widthMm.toFixed(1)}mm`;
+      ctx.restore();
+    });
 
-      // Draw height label with background
-      const heightMetrics = ctx.measureText(heightLabel);
-      ctx.fillStyle = 'rgba(0,0,0,0.7)';
-      ctx.fillRect(midLeft.x - heightMetrics.width/2 - 4, midLeft.y - 10, heightMetrics.width + 8, 20);
-      ctx.fillStyle = '#fbbf24';
-      ctx.fillText(heightLabel, midLeft.x, midLeft.y);
+    // Draw circle reference ellipse with its drag handles
+    if (circleEllipse) {
+      const major = ellipseMajorAxis(circleEllipse);
+      ctx.save();
+      ctx.beginPath();
+      ctx.ellipse(circleEllipse.center.x, circleEllipse.center.y, circleEllipse.a, circleEllipse.b, circleEllipse.angle, 0, Math.PI * 2);
+      ctx.strokeStyle = '#06b6d4'; // Cyan
+      ctx.lineWidth = 3;
+      ctx.stroke();
+      ctx.restore();
 
-      // Draw width label with background
-      const widthMetrics = ctx.measureText(widthLabel);
-      ctx.fillStyle = 'rgba(0,0,0,0.7)';
-      ctx.fillRect(midTop.x - widthMetrics.width/2 - 4, midTop.y - 10, widthMetrics.width + 8, 20);
-      ctx.fillStyle = '#fbbf24';
-      ctx.fillText(widthLabel, midTop.x, midTop.y);
+      // Major axis: the diameter the scale is taken from
+      drawLine(major.start, major.end, '#06b6d4', 2, true);
+      ctx.setLineDash([]);
 
-      ctx.restore();
+      ellipseHandles(circleEllipse).forEach((handle, idx) => {
+        ctx.beginPath();
+        ctx.arc(handle.x, handle.y, idx === 0 ? 8 : 10, 0, Math.PI * 2);
+        ctx.fillStyle = '#06b6d4';
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      });
     }
 
     // --- Jig Mode Canvas Rendering ---
@@ -1383,20 +2685,34 @@ const PhotoScaleApp = () => {
         ctx.lineTo(line.end.x, line.end.y);
         ctx.stroke();
 
+        // Tick-based rulers carry absolute tick positions in `points`
+        const tickBased = ruler.refPixelY != null || ruler.refPixelX != null;
+        const marks = tickBased ? ruler.points.map(p => ({ px: p.pixel, mm: p.mm })) : ticks;
+
+        // Position across the ruler line at a given tick (the line may be slanted)
+        const acrossAt = (px) => {
+          const a0 = axis === 'x' ? line.start.x : line.start.y;
+          const a1 = axis === 'x' ? line.end.x : line.end.y;
+          const c0 = axis === 'x' ? line.start.y : line.start.x;
+          const c1 = axis === 'x' ? line.end.y : line.end.x;
+          return a1 === a0 ? c0 : c0 + ((px - a0) / (a1 - a0)) * (c1 - c0);
+        };
+
         // Tick marks
-        ticks.forEach((tick) => {
+        marks.forEach((tick) => {
           const tickLen = (tick.mm % 50 === 0) ? 16 : (tick.mm % 10 === 0) ? 10 : 6;
+          const across = acrossAt(tick.px);
           let tx, ty, tx2, ty2;
 
           if (axis === 'x') {
             tx = tick.px;
-            ty = line.start.y - tickLen;
+            ty = across - tickLen;
             tx2 = tick.px;
-            ty2 = line.start.y + tickLen;
+            ty2 = across + tickLen;
           } else {
-            tx = line.start.x - tickLen;
+            tx = across - tickLen;
             ty = tick.px;
-            tx2 = line.start.x + tickLen;
+            tx2 = across + tickLen;
             ty2 = tick.px;
           }
 
@@ -1415,9 +2731,9 @@ const PhotoScaleApp = () => {
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             if (axis === 'x') {
-              ctx.fillText(label, tick.px, line.start.y - tickLen - 10);
+              ctx.fillText(label, tick.px, across - tickLen - 10);
             } else {
-              ctx.fillText(label, line.start.x - tickLen - 14, tick.px);
+              ctx.fillText(label, across - tickLen - 14, tick.px);
             }
           }
         });
@@ -1426,6 +2742,40 @@ const PhotoScaleApp = () => {
       drawRuler(xRuler, 'x');
       drawRuler(yRuler, 'y');
 
+      // Manual ruler calibration in progress
+      if (manualRuler) {
+        const line = manualRuler.line || currentLine;
+        if (line) {
+          ctx.strokeStyle = '#F97316'; // orange
+          ctx.lineWidth = 2;
+          ctx.setLineDash([8, 4]);
+          ctx.beginPath();
+          ctx.moveTo(line.start.x, line.start.y);
+          ctx.lineTo(line.end.x, line.end.y);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
+        manualRuler.ticks.forEach((tick, ti) => {
+          ctx.beginPath();
+          ctx.arc(tick.x, tick.y, 5, 0, Math.PI * 2);
+          ctx.fillStyle = '#F97316';
+          ctx.fill();
+          ctx.strokeStyle = '#FFFFFF';
+          ctx.lineWidth = 1.5;
+          ctx.stroke();
+
+          const label = tick.cm !== '' ? `${tick.cm} cm` : `#${ti + 1}`;
+          ctx.font = 'bold 12px sans-serif';
+          ctx.textAlign = 'left';
+          ctx.textBaseline = 'middle';
+          const w = ctx.measureText(label).width;
+          ctx.fillStyle = 'rgba(0,0,0,0.7)';
+          ctx.fillRect(tick.x + 9, tick.y - 9, w + 8, 18);
+          ctx.fillStyle = '#F97316';
+          ctx.fillText(label, tick.x + 13, tick.y);
+        });
+      }
+
       // Draw base line
       if (baseLine) {
         ctx.strokeStyle = '#FFFFFF';
@@ -1496,6 +2846,27 @@ const PhotoScaleApp = () => {
             ctx.setLineDash([]);
           }
 
+          // Coating swatch + name at the strip's top-left corner
+          const stripCoating = getCoating(strip.coating_id);
+          if (stripCoating) {
+            const label = stripCoating.name;
+            ctx.font = 'bold 11px sans-serif';
+            const labelW = ctx.measureText(label).width;
+            const tagX = bb.x;
+            const tagY = bb.y - 18;
+            ctx.fillStyle = 'rgba(0,0,0,0.7)';
+            ctx.fillRect(tagX, tagY, labelW + 24, 16);
+            ctx.fillStyle = stripCoating.werkbon_color_hex;
+            ctx.fillRect(tagX + 3, tagY + 3, 10, 10);
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(tagX + 3, tagY + 3, 10, 10);
+            ctx.fillStyle = '#fff';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, tagX + 18, tagY + 8);
+          }
+
           // Slot markers
           strip.slots.forEach((slot) => {
             const radius = 8;
@@ -1524,6 +2895,16 @@ const PhotoScaleApp = () => {
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.fillText(isUncertain ? '?' : String(slot.index), slot.x, slot.y);
+
+            // Outer ring in the slot's override coating colour
+            const slotCoating = slot.coating_id ? getCoating(slot.coating_id) : null;
+            if (slot.occupied && slotCoating) {
+              ctx.beginPath();
+              ctx.arc(slot.x, slot.y, radius + 3, 0, Math.PI * 2);
+              ctx.strokeStyle = slotCoating.werkbon_color_hex;
+              ctx.lineWidth = 3;
+              ctx.stroke();
+            }
           });
         });
       }
@@ -1531,12 +2912,15 @@ const PhotoScaleApp = () => {
       ctx.restore();
     }
 
-  }, [image, correctedImage, referenceLine, measurements, currentLine, scaleFactor, calcDiameterId, calcLengthId, paperCorners, detectedObject, showGrid, paperSize, jigMode, xRuler, yRuler, baseLine, detectedDrills, selectedDrillId, slotDetectionResult]);
+  }, [image, correctedImage, referenceLine, measurements, currentLine, scaleFactor, calcDiameterId, calcLengthId, paperCorners, detectedObjects, selectedObjectId, showGrid, paperSize, jigMode, xRuler, yRuler, manualRuler, baseLine, detectedDrills, selectedDrillId, slotDetectionResult, circleEllipse, angleMeasurements, anglePoints, toolCursor, paperCalibration, areaMeasurements, areaDraft, measureTool]);
+
 
+  const batchInventory = combineInventory(batchItems);
+  const batchPendingCount = batchItems.filter(b => b.status === 'queued' || b.status === 'error').length;
 
   return (
-    <div className="flex flex-col h-screen bg-gray-50 text-slate-800 font-sans">
-      <header className="bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between shadow-sm z-10">
+    <div className="flex flex-col h-screen bg-gray-50 text-slate-800 font-sans print:h-auto print:bg-white">
+      <header className="print:hidden bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between shadow-sm z-10">
         <div className="flex items-center gap-2">
           <Ruler className="text-blue-600" size={24} />
           <h1 className="text-xl font-bold tracking-tight text-gray-900">PhotoScale Estimator</h1>
@@ -1556,6 +2940,48 @@ const PhotoScaleApp = () => {
                 Jig Mode
               </button>
             </div>
+            <div className="flex gap-1">
+              <button
+                onClick={undo}
+                disabled={history.past.length === 0}
+                className="p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Undo (Ctrl+Z)"
+              >
+                  <Undo2 size={16} />
+              </button>
+              <button
+                onClick={redo}
+                disabled={history.future.length === 0}
+                className="p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                  <Redo2 size={16} />
+              </button>
+            </div>
+            <div className="flex gap-1">
+              <label className="flex items-center gap-1.5 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 cursor-pointer transition text-sm font-medium" title="Open a saved project">
+                  <FolderOpen size={16} />
+                  Open
+                  <input type="file" accept=".json,application/json" onChange={openProject} className="hidden" />
+              </label>
+              <button
+                onClick={saveProject}
+                disabled={!image}
+                className="flex items-center gap-1.5 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Save image, calibration and measurements as a project file"
+              >
+                  <Save size={16} />
+                  Save
+              </button>
+            </div>
+            <button
+              onClick={openCamera}
+              className="flex items-center gap-1.5 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition text-sm font-medium"
+              title="Take a photo with the paper outline detected live"
+            >
+                <Camera size={16} />
+                Camera
+            </button>
             <label className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 cursor-pointer transition shadow-sm">
                 <Upload size={18} />
                 <span className="font-medium text-sm">Upload Image</span>
@@ -1564,20 +2990,29 @@ const PhotoScaleApp = () => {
         </div>
       </header>
 
-      <div className="flex-1 flex overflow-hidden">
+      <div className="flex-1 flex overflow-hidden print:hidden">
         <div ref={containerRef} className="flex-1 bg-gray-100 relative overflow-auto flex items-center justify-center p-4">
           {!image ? (
             <div className="text-center p-10 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50/50">
               <Upload className="mx-auto text-gray-400 mb-3" size={48} />
               <h3 className="text-lg font-medium text-gray-700">No image loaded</h3>
               <p className="text-gray-500 mb-4 text-sm">Upload an image to start measuring</p>
-              <label className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 cursor-pointer">
-                Select File
-                <input type="file" accept="image/*" onChange={handleImageUpload} className="hidden" />
-              </label>
+              <div className="flex justify-center gap-2">
+                <label className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 cursor-pointer">
+                  Select File
+                  <input type="file" accept="image/*" onChange={handleImageUpload} className="hidden" />
+                </label>
+                <button
+                  onClick={openCamera}
+                  className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 flex items-center gap-1.5"
+                >
+                  <Camera size={14} />
+                  Use Camera
+                </button>
+              </div>
             </div>
           ) : (
-            <div className="relative shadow-2xl rounded-sm overflow-hidden" style={{ cursor: paperCorners ? 'move' : jigMode && jigAddingDrill ? 'crosshair' : jigMode ? 'ns-resize' : 'crosshair' }}>
+            <div className="relative shadow-2xl rounded-sm overflow-hidden" style={{ cursor: paperCorners && !jigMode ? 'move' : jigMode && (jigAddingDrill || manualRuler) ? 'crosshair' : jigMode ? 'ns-resize' : 'crosshair' }}>
                <canvas
                 ref={canvasRef}
                 width={correctedImage ? correctedImage.naturalWidth : image.naturalWidth}
@@ -1596,17 +3031,34 @@ const PhotoScaleApp = () => {
                 onTouchMove={draw}
                 onTouchEnd={endDrawing}
               />
-              {!referenceLine && !inputModalOpen && !measurements.length && !paperCorners && !correctedImage && (
+              {!referenceLine && !inputModalOpen && !measurements.length && !paperCorners && !correctedImage && !circleEllipse && (
                 <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-blue-900/80 backdrop-blur text-white px-4 py-2 rounded-full text-sm font-medium pointer-events-none animate-pulse">
                   Draw line manually OR use Auto-Detect
                 </div>
               )}
-              {paperCorners && (
+              {paperCorners && !jigMode && !circleEllipse && (
                 <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-emerald-900/80 backdrop-blur text-white px-4 py-2 rounded-full text-sm font-medium pointer-events-none">
                   Drag corners to adjust → Calibrate (upright) or Flatten (flat)
                 </div>
               )}
-              {correctedImage && !referenceLine && (
+              {!jigMode && measureTool === 'angle' && !paperCorners && !circleEllipse && (
+                <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-purple-900/80 backdrop-blur text-white px-4 py-2 rounded-full text-sm font-medium pointer-events-none">
+                  {['Click the end of the first arm', 'Click the vertex', 'Click the end of the second arm'][anglePoints.length]} · Esc cancels
+                </div>
+              )}
+              {!jigMode && measureTool === 'area' && !paperCorners && !circleEllipse && (
+                <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-teal-900/80 backdrop-blur text-white px-4 py-2 rounded-full text-sm font-medium pointer-events-none">
+                  {areaDraft
+                    ? 'Click the first vertex or press Enter to close · Esc cancels'
+                    : 'Click vertices or drag freehand · Drag a vertex to edit, Shift+click removes it'}
+                </div>
+              )}
+              {circleEllipse && (
+                <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-cyan-900/80 backdrop-blur text-white px-4 py-2 rounded-full text-sm font-medium pointer-events-none">
+                  Drag the handles onto the disc's rim → Apply Scale
+                </div>
+              )}
+              {correctedImage && !referenceLine && !circleEllipse && (
                 <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-emerald-600/90 backdrop-blur text-white px-4 py-2 rounded-full text-sm font-medium pointer-events-none">
                   ✓ Perspective corrected — Draw to measure
                 </div>
@@ -1615,6 +3067,15 @@ const PhotoScaleApp = () => {
                   <div className="absolute inset-0 bg-white/50 backdrop-blur-sm flex flex-col items-center justify-center text-blue-800 z-50">
                       <Loader2 size={48} className="animate-spin mb-2" />
                       <span className="font-semibold">{isDetectingPaper ? 'Detecting Paper...' : jigMode ? jigProcessingMsg : 'Detecting Drill Shape...'}</span>
+                      {jigAbort && (
+                          <button
+                              onClick={() => jigAbort.abort()}
+                              className="mt-3 px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-md text-xs font-semibold hover:bg-gray-50 flex items-center gap-1"
+                          >
+                              <X size={12} />
+                              Cancel
+                          </button>
+                      )}
                   </div>
               )}
             </div>
@@ -1644,11 +3105,35 @@ const PhotoScaleApp = () => {
                     <div className="flex items-center justify-between text-xs">
                         <span className="text-gray-600">Y-Ruler:</span>
                         {yRuler ? (
-                            <span className="font-mono text-orange-700">{yRuler.scalePxPerMm.toFixed(2)} px/mm</span>
+                            <span className="font-mono text-orange-700">
+                                {yRuler.scalePxPerMm.toFixed(2)} px/mm
+                                {yRulerConfidence != null && <span className="text-gray-400"> ({Math.round(yRulerConfidence * 100)}%)</span>}
+                            </span>
                         ) : (
                             <span className="text-gray-400">Not detected</span>
                         )}
                     </div>
+                    {yRuler && rulerTickResiduals(yRuler).length > 0 && (
+                        <details className="text-[10px] text-gray-500">
+                            <summary className="cursor-pointer select-none">
+                                Tick residuals (max {Math.max(...rulerTickResiduals(yRuler).map(r => Math.abs(r.residualMm))).toFixed(1)} mm)
+                            </summary>
+                            <p className="mt-1 text-gray-400">Deviation of each tick from a uniform px/mm fit. Heights interpolate between ticks, so these are absorbed.</p>
+                            <table className="w-full mt-1 font-mono">
+                                <tbody>
+                                    {rulerTickResiduals(yRuler).map(r => (
+                                        <tr key={r.mm}>
+                                            <td className="py-px">{r.mm / 10} cm</td>
+                                            <td className="py-px text-gray-400">y={Math.round(r.pixel)}</td>
+                                            <td className={`py-px text-right ${Math.abs(r.residualMm) > 2 ? 'text-amber-600 font-bold' : ''}`}>
+                                                {r.residualMm >= 0 ? '+' : ''}{r.residualMm.toFixed(1)} mm
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </details>
+                    )}
                     <div className="flex items-center justify-between text-xs">
                         <span className="text-gray-600">Base Line:</span>
                         {baseLine ? (
@@ -1657,12 +3142,59 @@ const PhotoScaleApp = () => {
                             <span className="text-gray-400">Not detected</span>
                         )}
                     </div>
+                    <div className="flex items-center justify-between text-xs">
+                        <span className="text-gray-600">A4 Ground Plane:</span>
+                        {paperCorners ? (
+                            <span className="flex items-center gap-1">
+                                <span className="font-mono text-orange-700">{markerSummary() ? 'Markers' : 'Set'}</span>
+                                <button onClick={rotateCornerLabels} className="text-gray-400 hover:text-orange-600" title="Rotate corner labels">
+                                    <RotateCw size={12} />
+                                </button>
+                                <button onClick={() => setPaperCorners(null)} className="text-gray-400 hover:text-red-500" title="Clear A4 corners">
+                                    <X size={12} />
+                                </button>
+                            </span>
+                        ) : (
+                            <span className="flex items-center gap-2">
+                                <button
+                                    onClick={detectPaper}
+                                    disabled={!image || !cvReady || isDetectingPaper}
+                                    className="text-orange-600 font-semibold hover:underline disabled:opacity-50 disabled:no-underline"
+                                >
+                                    Detect A4
+                                </button>
+                                <button
+                                    onClick={detectMarkers}
+                                    disabled={!image || !cvReady || isDetectingMarkers}
+                                    className="text-orange-600 font-semibold hover:underline disabled:opacity-50 disabled:no-underline flex items-center gap-0.5"
+                                    title="Detect the printed marker sheet"
+                                >
+                                    {isDetectingMarkers ? <Loader2 size={10} className="animate-spin" /> : <QrCode size={10} />}
+                                    Markers
+                                </button>
+                            </span>
+                        )}
+                    </div>
+                    {paperCorners && markerSummary() && (
+                        <p className="text-[10px] text-gray-400">{markerSummary()}</p>
+                    )}
+                    {paperCorners && (
+                        <p className="text-[10px] text-gray-400">Drag the corners onto the sheet; its short side should face the camera. Drill heights are corrected per drill for depth.</p>
+                    )}
+                    {!paperCorners && (
+                        <p className="text-[10px] text-gray-400">
+                            White table?{' '}
+                            <button onClick={() => setMarkerSheetOpen(true)} className="text-orange-600 hover:underline">Print the marker sheet</button>
+                            {' '}and use it as the ground plane.
+                        </p>
+                    )}
                     {xRuler && yRuler && Math.abs(xRuler.scalePxPerMm - yRuler.scalePxPerMm) / Math.max(xRuler.scalePxPerMm, yRuler.scalePxPerMm) > 0.05 && (
                         <div className="bg-amber-100 rounded p-2 text-[10px] text-amber-700 flex items-center gap-1">
                             <AlertTriangle size={12} />
                             A4/Ruler scale ratio: {(Math.abs(xRuler.scalePxPerMm - yRuler.scalePxPerMm) / Math.max(xRuler.scalePxPerMm, yRuler.scalePxPerMm) * 100).toFixed(1)}% (perspective correction applied)
                         </div>
                     )}
+                    {renderCalibrationPresets()}
                     {/* API Key */}
                     <div>
                         <label className="text-[10px] uppercase font-bold text-orange-400 mb-0.5 block">Gemini API Key</label>
@@ -1675,6 +3207,26 @@ const PhotoScaleApp = () => {
                                 className="flex-1 text-xs px-2 py-1 border border-gray-200 rounded bg-white font-mono"
                             />
                         </div>
+                        <div className="flex items-center gap-1 mt-1">
+                            <label className="text-[10px] text-gray-500">Request timeout:</label>
+                            <select
+                                value={geminiTimeoutS}
+                                onChange={(e) => saveGeminiTimeout(Number(e.target.value))}
+                                className="text-[10px] px-1 py-0.5 border border-gray-200 rounded bg-white"
+                            >
+                                {[30, 60, 120, 300].map(sec => <option key={sec} value={sec}>{sec}s</option>)}
+                            </select>
+                        </div>
+                        <div className="flex items-center gap-1 mt-1">
+                            <label className="text-[10px] text-gray-500">API base URL:</label>
+                            <input
+                                type="text"
+                                value={geminiBaseUrl}
+                                onChange={(e) => saveGeminiBaseUrl(e.target.value)}
+                                onBlur={(e) => !e.target.value.trim() && saveGeminiBaseUrl(GEMINI_BASE_URL)}
+                                className="flex-1 min-w-0 text-[10px] px-1 py-0.5 border border-gray-200 rounded bg-white font-mono"
+                            />
+                        </div>
                         {!geminiApiKey && (
                             <a href="https://aistudio.google.com/apikey" target="_blank" rel="noopener noreferrer" className="text-[10px] text-blue-500 hover:underline mt-0.5 block">
                                 Get a free Gemini API key
@@ -1692,94 +3244,253 @@ const PhotoScaleApp = () => {
                         {detectedDrills.length > 0 ? 'Re-analyze Jig' : 'Analyze Jig'}
                     </button>
                     {isProcessing && jigProcessingMsg && (
-                        <p className="text-[10px] text-orange-600">{jigProcessingMsg}</p>
-                    )}
-                    {geminiError && (
-                        <p className="text-[10px] text-red-600">{geminiError}</p>
+                        <div className="flex items-center justify-between gap-2">
+                            <p className="text-[10px] text-orange-600">{jigProcessingMsg}</p>
+                            {jigAbort && (
+                                <button onClick={() => jigAbort.abort()} className="text-[10px] font-semibold text-gray-500 hover:text-red-600 shrink-0">
+                                    Cancel
+                                </button>
+                            )}
+                        </div>
                     )}
+                    {geminiError && renderRequestError(geminiError)}
+                    {geminiIssues.length > 0 && renderResponseIssues(geminiIssues)}
                     {baseLine && (
                         <p className="text-[10px] text-gray-500">Drag the white dashed line on the canvas to adjust base line</p>
                     )}
 
-                    {/* Slot Detection */}
-                    <div>
-                        <label className="text-[10px] uppercase font-bold text-purple-400 mb-0.5 block">Model</label>
-                        <select
-                            value={slotGeminiModel}
-                            onChange={(e) => setSlotGeminiModel(e.target.value)}
-                            className="w-full text-xs px-2 py-1 border border-gray-200 rounded bg-white mb-1.5"
-                        >
-                            {GEMINI_MODELS.map(m => (
-                                <option key={m.id} value={m.id}>{m.label}</option>
-                            ))}
-                        </select>
-                    </div>
-                    <div>
-                        <label className="text-[10px] uppercase font-bold text-purple-400 mb-0.5 block">Prompt</label>
-                        <select
-                            value={slotPromptVersion}
-                            onChange={(e) => setSlotPromptVersion(e.target.value)}
-                            className="w-full text-xs px-2 py-1 border border-gray-200 rounded bg-white mb-1.5"
+                    {/* Local ruler detection (no API key needed) */}
+                    <div className="flex gap-1">
+                        <button
+                            onClick={detectRulerWithCv}
+                            disabled={!image || !cvReady || isProcessing}
+                            className="flex-1 h-[30px] px-2 bg-white border border-orange-300 text-orange-700 rounded-md text-xs font-semibold hover:bg-orange-100 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
                         >
-                            {PROMPT_VERSIONS.map(p => (
-                                <option key={p.id} value={p.id}>{p.label}</option>
-                            ))}
-                        </select>
+                            <Ruler size={12} />
+                            Detect Ruler (local)
+                        </button>
                     </div>
 
-                    {/* Additional reference photos */}
-                    <div>
-                        <label className="text-[10px] uppercase font-bold text-purple-400 mb-0.5 block">Reference Photos</label>
-                        <p className="text-[10px] text-gray-400 mb-1">Add extra angles for better accuracy</p>
-                        <div className="flex flex-wrap gap-1 mb-1">
-                            {slotImages.map((img, idx) => (
-                                <div key={idx} className="relative w-12 h-12 border border-gray-200 rounded overflow-hidden group">
-                                    <img src={img.src} alt={`ref ${idx + 1}`} className="w-full h-full object-cover" />
+                    {/* Manual ruler calibration */}
+                    {!manualRuler ? (
+                        <div className="flex gap-1">
+                            <button
+                                onClick={() => startManualRuler('y')}
+                                disabled={!image}
+                                className="flex-1 h-[26px] px-2 bg-gray-100 text-gray-600 rounded-md text-[10px] font-semibold hover:bg-gray-200 disabled:opacity-50"
+                            >
+                                Manual Y-Ruler
+                            </button>
+                            <button
+                                onClick={() => startManualRuler('x')}
+                                disabled={!image}
+                                className="flex-1 h-[26px] px-2 bg-gray-100 text-gray-600 rounded-md text-[10px] font-semibold hover:bg-gray-200 disabled:opacity-50"
+                                title="Optional horizontal reference"
+                            >
+                                Manual X-Ref
+                            </button>
+                        </div>
+                    ) : (
+                        <div className="bg-white border border-orange-200 rounded-md p-2 space-y-1.5">
+                            <div className="flex items-center justify-between">
+                                <span className="text-[10px] uppercase font-bold text-orange-500">
+                                    Manual {manualRuler.axis === 'x' ? 'Horizontal Reference' : 'Vertical Ruler'}
+                                </span>
+                                <button onClick={() => setManualRuler(null)} className="text-gray-400 hover:text-gray-600" title="Cancel">
+                                    <X size={12} />
+                                </button>
+                            </div>
+                            {manualRuler.axis === 'y' && yRulerConfidence != null && yRulerConfidence < RULER_MIN_CONFIDENCE && (
+                                <div className="bg-amber-100 rounded p-1.5 text-[10px] text-amber-700 flex items-start gap-1">
+                                    <AlertTriangle size={12} className="shrink-0 mt-px" />
+                                    Ruler detection confidence too low ({Math.round(yRulerConfidence * 100)}%).
+                                </div>
+                            )}
+                            <p className="text-[10px] text-gray-500">
+                                {!manualRuler.line
+                                    ? `1. Draw a line along the ${manualRuler.axis === 'x' ? 'horizontal reference' : 'vertical ruler'}.`
+                                    : '2. Click at least two tick marks on the canvas and enter their cm values.'}
+                            </p>
+                            {manualRuler.ticks.map((tick, ti) => (
+                                <div key={ti} className="flex items-center gap-1.5">
+                                    <span className="text-[10px] font-mono text-gray-400 w-5">#{ti + 1}</span>
+                                    <input
+                                        type="number"
+                                        autoFocus={ti === manualRuler.ticks.length - 1}
+                                        value={tick.cm}
+                                        onChange={(e) => setManualRuler(prev => ({
+                                            ...prev,
+                                            ticks: prev.ticks.map((t, i) => i === ti ? { ...t, cm: e.target.value } : t),
+                                        }))}
+                                        placeholder="cm"
+                                        className="flex-1 text-xs px-2 py-0.5 border border-gray-200 rounded bg-white w-16"
+                                    />
+                                    <span className="text-[10px] text-gray-400">cm</span>
                                     <button
-                                        onClick={() => setSlotImages(prev => prev.filter((_, i) => i !== idx))}
-                                        className="absolute top-0 right-0 bg-red-500 text-white text-[8px] w-3.5 h-3.5 flex items-center justify-center rounded-bl opacity-0 group-hover:opacity-100"
-                                    >×</button>
+                                        onClick={() => setManualRuler(prev => ({ ...prev, ticks: prev.ticks.filter((_, i) => i !== ti) }))}
+                                        className="text-gray-300 hover:text-red-500"
+                                    >
+                                        <Trash2 size={12} />
+                                    </button>
                                 </div>
                             ))}
+                            <button
+                                onClick={applyManualRuler}
+                                disabled={!canApplyManualRuler()}
+                                className="w-full h-[26px] px-2 bg-orange-600 text-white rounded-md text-[10px] font-semibold hover:bg-orange-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
+                            >
+                                <Check size={12} />
+                                Apply {manualRuler.axis === 'x' ? 'X-Reference' : 'Y-Ruler'}
+                            </button>
+                        </div>
+                    )}
+                    {!cvReady && <p className="text-[10px] text-gray-400">Initializing Computer Vision Engine...</p>}
+
+                    {/* Slot Detection */}
+                    <div className="flex gap-1">
+                        <div className="w-28 shrink-0">
+                            <label className="text-[10px] uppercase font-bold text-purple-400 mb-0.5 block">Detector</label>
+                            <select
+                                value={slotDetector}
+                                onChange={(e) => setSlotDetector(e.target.value)}
+                                className="w-full text-xs px-2 py-1 border border-gray-200 rounded bg-white mb-1.5"
+                            >
+                                <option value="gemini">Gemini</option>
+                                <option value="local">Local (OpenCV)</option>
+                            </select>
+                        </div>
+                        <div className="flex-1 min-w-0">
+                            <label className="text-[10px] uppercase font-bold text-purple-400 mb-0.5 block">Model</label>
+                            <select
+                                value={slotGeminiModel}
+                                onChange={(e) => setSlotGeminiModel(e.target.value)}
+                                disabled={slotDetector === 'local'}
+                                className="w-full text-xs px-2 py-1 border border-gray-200 rounded bg-white mb-1.5 disabled:opacity-50"
+                            >
+                                {GEMINI_MODELS.map(m => (
+                                    <option key={m.id} value={m.id}>{m.label}</option>
+                                ))}
+                            </select>
                         </div>
-                        <label className="inline-flex items-center gap-1 text-[10px] text-purple-600 cursor-pointer hover:text-purple-800">
-                            <span>+ Add photos</span>
-                            <input
-                                type="file"
-                                accept="image/*"
-                                multiple
-                                className="hidden"
-                                onChange={(e) => {
-                                    const files = Array.from(e.target.files || []);
-                                    files.forEach(file => {
-                                        const reader = new FileReader();
-                                        reader.onload = (ev) => {
-                                            const img = new Image();
-                                            img.onload = () => setSlotImages(prev => [...prev, img]);
-                                            img.src = ev.target.result;
-                                        };
-                                        reader.readAsDataURL(file);
-                                    });
-                                    e.target.value = '';
-                                }}
-                            />
-                        </label>
                     </div>
+                    {slotDetector === 'gemini' && (
+                        <>
+                        <div>
+                            <label className="text-[10px] uppercase font-bold text-purple-400 mb-0.5 block">Prompt</label>
+                            <select
+                                value={slotPromptVersion}
+                                onChange={(e) => setSlotPromptVersion(e.target.value)}
+                                className="w-full text-xs px-2 py-1 border border-gray-200 rounded bg-white mb-1.5"
+                            >
+                                {PROMPT_VERSIONS.map(p => (
+                                    <option key={p.id} value={p.id}>{p.label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {/* Additional reference photos */}
+                        <div>
+                            <label className="text-[10px] uppercase font-bold text-purple-400 mb-0.5 block">Reference Photos</label>
+                            <p className="text-[10px] text-gray-400 mb-1">Add extra angles for better accuracy</p>
+                            <div className="flex flex-wrap gap-1 mb-1">
+                                {slotImages.map((img, idx) => (
+                                    <div key={idx} className="relative w-12 h-12 border border-gray-200 rounded overflow-hidden group">
+                                        <img src={img.src} alt={`ref ${idx + 1}`} className="w-full h-full object-cover" />
+                                        <button
+                                            onClick={() => setSlotImages(prev => prev.filter((_, i) => i !== idx))}
+                                            className="absolute top-0 right-0 bg-red-500 text-white text-[8px] w-3.5 h-3.5 flex items-center justify-center rounded-bl opacity-0 group-hover:opacity-100"
+                                        >×</button>
+                                    </div>
+                                ))}
+                            </div>
+                            <label className="inline-flex items-center gap-1 text-[10px] text-purple-600 cursor-pointer hover:text-purple-800">
+                                <span>+ Add photos</span>
+                                <input
+                                    type="file"
+                                    accept="image/*"
+                                    multiple
+                                    className="hidden"
+                                    onChange={(e) => {
+                                        const files = Array.from(e.target.files || []);
+                                        files.forEach(file => {
+                                            const reader = new FileReader();
+                                            reader.onload = (ev) => {
+                                                const img = new Image();
+                                                img.onload = () => setSlotImages(prev => [...prev, img]);
+                                                img.src = ev.target.result;
+                                            };
+                                            reader.readAsDataURL(file);
+                                        });
+                                        e.target.value = '';
+                                    }}
+                                />
+                            </label>
+                        </div>
+                        </>
+                    )}
+                    {slotDetector === 'local' && !cvReady && (
+                        <p className="text-[10px] text-gray-400">Initializing Computer Vision Engine...</p>
+                    )}
 
                     <button
                         onClick={analyzeSlots}
-                        disabled={!image || !geminiApiKey || isDetectingSlots}
+                        disabled={!image || (slotDetector === 'local' ? !cvReady : !geminiApiKey) || isDetectingSlots}
                         className="w-full h-[34px] px-3 bg-purple-600 text-white rounded-md text-xs font-semibold hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
                     >
                         {isDetectingSlots ? <Loader2 size={14} className="animate-spin" /> : <Circle size={14} />}
-                        {slotDetectionResult ? 'Re-detect Positions' : `Detect Drill Positions${slotImages.length > 0 ? ` (${1 + slotImages.length} images)` : ''}`}
+                        {slotDetectionResult ? 'Re-detect Positions' : `Detect Drill Positions${slotDetector === 'gemini' && slotImages.length > 0 ? ` (${1 + slotImages.length} images)` : ''}`}
                     </button>
                     {isDetectingSlots && (
-                        <p className="text-[10px] text-purple-600">Detecting drill positions...</p>
-                    )}
-                    {slotDetectionError && (
-                        <p className="text-[10px] text-red-600">{slotDetectionError}</p>
+                        <div className="flex items-center justify-between">
+                            <p className="text-[10px] text-purple-600">Detecting drill positions...</p>
+                            {slotAbort && (
+                                <button onClick={() => slotAbort.abort()} className="text-[10px] font-semibold text-gray-500 hover:text-red-600">
+                                    Cancel
+                                </button>
+                            )}
+                        </div>
                     )}
+                    {slotDetectionError && renderRequestError(slotDetectionError)}
+                    {slotIssues.length > 0 && renderResponseIssues(slotIssues)}
+                </div>
+            </div>
+
+            {/* Local Detection Section */}
+            <div className="p-4 border-b border-gray-100 bg-white space-y-2">
+                <button
+                    onClick={detectDrillsWithCv}
+                    disabled={!image || !cvReady || !yRuler || isProcessing}
+                    className="w-full h-[34px] px-3 bg-orange-100 text-orange-800 border border-orange-300 rounded-md text-xs font-semibold hover:bg-orange-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
+                    title={yRuler ? 'Find all drills with OpenCV' : 'Calibrate the ruler first'}
+                >
+                    <Crosshair size={14} />
+                    Detect Drills (local)
+                </button>
+                <div className="flex items-center gap-2">
+                    <label className="text-[10px] text-gray-600 w-20">Min area:</label>
+                    <input
+                        type="range"
+                        min={200}
+                        max={10000}
+                        step={100}
+                        value={drillDetectParams.minArea}
+                        onChange={(e) => setDrillDetectParams(p => ({ ...p, minArea: Number(e.target.value) }))}
+                        className="flex-1"
+                    />
+                    <span className="text-[10px] font-mono text-gray-500 w-12 text-right">{drillDetectParams.minArea}px</span>
+                </div>
+                <div className="flex items-center gap-2">
+                    <label className="text-[10px] text-gray-600 w-20">Aspect ratio:</label>
+                    <input
+                        type="range"
+                        min={1}
+                        max={10}
+                        step={0.5}
+                        value={drillDetectParams.minAspect}
+                        onChange={(e) => setDrillDetectParams(p => ({ ...p, minAspect: Number(e.target.value) }))}
+                        className="flex-1"
+                    />
+                    <span className="text-[10px] font-mono text-gray-500 w-12 text-right">≥{drillDetectParams.minAspect}:1</span>
                 </div>
             </div>
 
@@ -1791,6 +3502,16 @@ const PhotoScaleApp = () => {
                         ? `${detectedDrills.length} drills detected`
                         : 'No drills detected yet'}
                 </p>
+                {batchReviewId != null && (
+                    <div className="mt-2 bg-indigo-50 border border-indigo-200 rounded-md px-2 py-1.5 text-[10px] text-indigo-700 flex items-center justify-between gap-2">
+                        <span className="truncate">
+                            Reviewing batch photo: {batchItems.find(b => b.id === batchReviewId)?.name}
+                        </span>
+                        <button onClick={() => setBatchOpen(true)} className="font-semibold hover:underline shrink-0">
+                            Back to batch
+                        </button>
+                    </div>
+                )}
             </div>
 
             <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-white">
@@ -1803,6 +3524,7 @@ const PhotoScaleApp = () => {
                                     <tr>
                                         <th className="text-left px-2 py-1.5 font-semibold text-gray-600">#</th>
                                         <th className="text-left px-2 py-1.5 font-semibold text-gray-600">Height</th>
+                                        <th className="text-left px-2 py-1.5 font-semibold text-gray-600" title="Perspective correction factor from the A4 ground plane">Persp.</th>
                                         <th className="text-left px-2 py-1.5 font-semibold text-gray-600">Cat</th>
                                         <th className="px-2 py-1.5"></th>
                                     </tr>
@@ -1816,6 +3538,9 @@ const PhotoScaleApp = () => {
                                         >
                                             <td className="px-2 py-1.5 font-mono">{drill.id}</td>
                                             <td className="px-2 py-1.5 font-mono">{Math.round(drill.heightMm)} mm</td>
+                                            <td className="px-2 py-1.5 font-mono text-gray-500">
+                                                {drill.perspectiveFactor ? `×${drill.perspectiveFactor.toFixed(3)}` : '—'}
+                                            </td>
                                             <td className="px-2 py-1.5">
                                                 <span className={`inline-block px-1.5 py-0.5 rounded text-[10px] font-bold text-white ${
                                                     drill.category === 'A' ? 'bg-blue-500' :
@@ -1828,6 +3553,7 @@ const PhotoScaleApp = () => {
                                                 <button
                                                     onClick={(e) => {
                                                         e.stopPropagation();
+                                                        pushHistory();
                                                         setDetectedDrills(prev => prev.filter(d => d.id !== drill.id));
                                                     }}
                                                     className="text-gray-300 hover:text-red-500"
@@ -1895,12 +3621,31 @@ const PhotoScaleApp = () => {
                                         })}
                                     </select>
                                 )}
+                                {/* Coating assignment */}
+                                <div className="flex items-center gap-1.5">
+                                    <div
+                                        className="w-3 h-3 rounded-full border border-gray-300 shrink-0"
+                                        style={{ backgroundColor: getCoating(strip.coating_id)?.werkbon_color_hex || 'transparent' }}
+                                        title={getCoating(strip.coating_id)?.werkbon_color_name || 'No coating'}
+                                    />
+                                    <select
+                                        className="text-xs border border-gray-200 rounded px-1 py-0.5 flex-1 bg-white"
+                                        value={strip.coating_id || ''}
+                                        onChange={(e) => setStripCoating(si, e.target.value)}
+                                    >
+                                        <option value="">No coating</option>
+                                        {COATINGS.map(c => (
+                                            <option key={c.id} value={c.id}>{c.name} ({c.werkbon_color_name})</option>
+                                        ))}
+                                    </select>
+                                </div>
                                 {/* Slot circles */}
                                 <div className="flex gap-1 flex-wrap">
                                     {strip.slots.map((slot) => (
                                         <button
                                             key={slot.index}
                                             onClick={() => {
+                                                pushHistory();
                                                 setSlotDetectionResult(prev => {
                                                     const next = { ...prev, strips: prev.strips.map((s, i) =>
                                                         i === si ? { ...s, slots: s.slots.map(sl =>
@@ -1915,15 +3660,62 @@ const PhotoScaleApp = () => {
                                                     ? 'bg-gray-700 border-gray-800 text-white'
                                                     : 'bg-white border-gray-300 text-gray-400'
                                             } ${slot.confidence < 0.7 ? 'ring-2 ring-yellow-400' : ''}`}
-                                            style={{ opacity: 0.4 + 0.6 * (slot.confidence ?? 1) }}
+                                            style={{
+                                                opacity: 0.4 + 0.6 * (slot.confidence ?? 1),
+                                                ...(slot.occupied && getSlotCoatingId(strip, slot) ? { borderColor: getCoating(getSlotCoatingId(strip, slot))?.werkbon_color_hex } : {}),
+                                            }}
                                             title={`Slot ${slot.index}: ${slot.occupied ? 'Occupied' : 'Empty'} (${Math.round((slot.confidence ?? 1) * 100)}% confident) — click to toggle`}
                                         >
                                             {slot.index}
                                         </button>
                                     ))}
                                 </div>
+                                {/* Per-slot coating overrides */}
+                                {strip.slots.some(s => s.occupied) && (
+                                    <details className="text-[10px] text-gray-500">
+                                        <summary className="cursor-pointer hover:text-gray-700">
+                                            Per-slot coating{strip.slots.some(s => s.coating_id) ? ` (${strip.slots.filter(s => s.coating_id).length} overridden)` : ''}
+                                        </summary>
+                                        <div className="mt-1 space-y-0.5">
+                                            {strip.slots.filter(s => s.occupied).map(slot => (
+                                                <div key={slot.index} className="flex items-center gap-1.5">
+                                                    <span className="font-mono w-6">#{slot.index}</span>
+                                                    <div
+                                                        className="w-2.5 h-2.5 rounded-full border border-gray-300 shrink-0"
+                                                        style={{ backgroundColor: getCoating(getSlotCoatingId(strip, slot))?.werkbon_color_hex || 'transparent' }}
+                                                    />
+                                                    <select
+                                                        className="text-[10px] border border-gray-200 rounded px-1 py-0 flex-1 bg-white"
+                                                        value={slot.coating_id || ''}
+                                                        onChange={(e) => setSlotCoating(si, slot.index, e.target.value)}
+                                                    >
+                                                        <option value="">Strip default{getCoating(strip.coating_id) ? ` (${getCoating(strip.coating_id).name})` : ''}</option>
+                                                        {COATINGS.map(c => (
+                                                            <option key={c.id} value={c.id}>{c.name}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </details>
+                                )}
                             </div>
                         ))}
+
+                        {/* Coating Summary */}
+                        {slotDetectionResult.strips.some(s => s.coating_id || s.slots.some(sl => sl.coating_id)) && (
+                            <div className="bg-gray-50 rounded-lg p-3 text-xs space-y-1">
+                                {countOccupiedByCoating(slotDetectionResult.strips).map(({ coating, count }) => (
+                                    <div key={coating ? coating.id : 'none'} className="flex justify-between items-center">
+                                        <span className="flex items-center gap-1.5">
+                                            <span className="w-2.5 h-2.5 rounded-full border border-gray-300 inline-block" style={{ backgroundColor: coating?.werkbon_color_hex || 'transparent' }} />
+                                            <span className={coating ? 'font-semibold text-gray-700' : 'text-gray-400'}>{coating ? coating.name : 'No coating'}</span>
+                                        </span>
+                                        <span className="font-mono">{count}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
                     </div>
                 )}
 
@@ -1981,18 +3773,28 @@ const PhotoScaleApp = () => {
                             if (slotDetectionResult && slotDetectionResult.strips.length > 0) {
                                 const maxSlots = Math.max(...slotDetectionResult.strips.map(s => s.slot_count));
                                 const slotHeaders = Array.from({ length: maxSlots }, (_, i) => `Slot ${i + 1}`);
-                                const header = ['Strip', 'Color', ...slotHeaders].join('\t');
+                                const header = ['Strip', 'Color', 'Coating', ...slotHeaders].join('\t');
                                 const rows = slotDetectionResult.strips.map(s => {
                                     const id = s.resolved_id || s.possible_ids.join('/') || '?';
                                     const slotCells = Array.from({ length: maxSlots }, (_, i) => {
                                         const slot = s.slots.find(sl => sl.index === i + 1);
                                         if (!slot) return '';
-                                        const mark = slot.occupied ? 'X' : '-';
+                                        let mark = slot.occupied ? 'X' : '-';
+                                        // Per-slot override is written next to the mark, e.g. X(TiN)
+                                        if (slot.occupied && slot.coating_id) mark += `(${getCoating(slot.coating_id)?.name || slot.coating_id})`;
                                         return slot.confidence < 0.7 ? `${mark}?` : mark;
                                     });
-                                    return [id, s.color_name, ...slotCells].join('\t');
+                                    return [id, s.color_name, getCoating(s.coating_id)?.name || '', ...slotCells].join('\t');
                                 });
                                 sections.push(['', 'Drill Positions', header, ...rows].join('\n'));
+
+                                const coatingCounts = countOccupiedByCoating(slotDetectionResult.strips);
+                                if (coatingCounts.some(c => c.coating)) {
+                                    const coatingRows = coatingCounts.map(({ coating, count }) =>
+                                        `${coating ? coating.name : '(none)'}\t${coating ? coating.werkbon_color_name : ''}\t${count}`
+                                    );
+                                    sections.push(['Coatings', 'Coating\tWerkbon Color\tCount', ...coatingRows].join('\n'));
+                                }
                             }
                             navigator.clipboard.writeText(sections.join('\n\n'));
                         }}
@@ -2001,6 +3803,22 @@ const PhotoScaleApp = () => {
                         Copy to Clipboard
                     </button>
                 )}
+                {(detectedDrills.length > 0 || slotDetectionResult) && (
+                    <button
+                        onClick={openWerkbon}
+                        className="w-full h-[34px] px-3 bg-white border border-gray-300 text-gray-700 rounded-md text-xs font-semibold hover:bg-gray-50 flex items-center justify-center gap-1"
+                    >
+                        <Printer size={14} />
+                        Werkbon / Print
+                    </button>
+                )}
+                <button
+                    onClick={() => setBatchOpen(true)}
+                    className="w-full h-[34px] px-3 bg-indigo-600 text-white rounded-md text-xs font-semibold hover:bg-indigo-700 flex items-center justify-center gap-1"
+                >
+                    <Layers size={14} />
+                    Batch Processing{batchItems.length > 0 ? ` (${batchItems.length})` : ''}
+                </button>
             </div>
 
             <div className="p-3 bg-gray-50 border-t border-gray-200 text-[10px] text-gray-400 flex gap-2 shrink-0">
@@ -2022,15 +3840,32 @@ const PhotoScaleApp = () => {
                 {!correctedImage && !scaleFactor && (
                   <div className="space-y-2">
                     <div>
-                        <label className="text-[10px] uppercase font-bold text-emerald-400 mb-0.5 block">Paper Size</label>
+                        <div className="flex items-center justify-between mb-0.5">
+                            <label className="text-[10px] uppercase font-bold text-emerald-400 block">Paper Size</label>
+                            <button
+                                onClick={() => setReferenceLibraryOpen(true)}
+                                className="text-[10px] text-emerald-600 font-semibold hover:underline"
+                            >
+                                Manage references
+                            </button>
+                        </div>
                         <select
                             value={paperSize}
                             onChange={(e) => setPaperSize(e.target.value)}
                             className="w-full text-sm px-2 py-1.5 rounded-md border border-emerald-200 focus:ring-1 focus:ring-emerald-500 outline-none bg-white"
                         >
-                            {Object.entries(PAPER_SIZES).map(([key, val]) => (
-                                <option key={key} value={key}>{val.label}</option>
-                            ))}
+                            <optgroup label="Built-in">
+                                {Object.entries(PAPER_SIZES).filter(([, val]) => !val.custom).map(([key, val]) => (
+                                    <option key={key} value={key}>{val.label}</option>
+                                ))}
+                            </optgroup>
+                            {Object.values(PAPER_SIZES).some(val => val.custom) && (
+                                <optgroup label="Custom">
+                                    {Object.entries(PAPER_SIZES).filter(([, val]) => val.custom).map(([key, val]) => (
+                                        <option key={key} value={key}>{val.label} ({val.width}×{val.height}mm)</option>
+                                    ))}
+                                </optgroup>
+                            )}
                         </select>
                     </div>
 
@@ -2068,12 +3903,41 @@ const PhotoScaleApp = () => {
                         )}
                     </div>
 
+                    <div className="flex items-center justify-between text-[10px]">
+                        <button
+                            onClick={detectMarkers}
+                            disabled={!image || !cvReady || isDetectingMarkers}
+                            className="text-emerald-700 font-semibold hover:underline disabled:opacity-50 disabled:no-underline flex items-center gap-1"
+                            title="Detect the printed marker sheet instead of a plain sheet of paper"
+                        >
+                            {isDetectingMarkers ? <Loader2 size={10} className="animate-spin" /> : <QrCode size={10} />}
+                            Detect marker sheet
+                        </button>
+                        <button
+                            onClick={() => setMarkerSheetOpen(true)}
+                            className="text-emerald-600 hover:underline"
+                        >
+                            Print marker sheet
+                        </button>
+                    </div>
+
                     {paperCorners && (
                         <div className="text-[10px] text-emerald-600 space-y-1">
                             <p className="flex items-center gap-1">
                                 <Move size={10} />
                                 Drag corners to adjust
+                                <button
+                                    onClick={rotateCornerLabels}
+                                    className="ml-auto flex items-center gap-1 text-emerald-700 font-semibold hover:underline"
+                                    title="Move TL/TR/BR/BL one corner clockwise if the sheet is labelled wrong"
+                                >
+                                    <RotateCw size={10} /> Rotate labels
+                                </button>
                             </p>
+                            {markerSummary() && (
+                                <p className="flex items-center gap-1 font-semibold"><QrCode size={10} /> {markerSummary()}</p>
+                            )}
+                            {renderPaperCalibration(describePaperCorners(paperCorners))}
                             <p><strong>Calibrate:</strong> For upright objects (keeps full image)</p>
                             <p><strong>Flatten:</strong> For objects lying on paper</p>
                             <label className="flex items-center gap-2 mt-2 cursor-pointer">
@@ -2095,34 +3959,12 @@ const PhotoScaleApp = () => {
                   <div className="space-y-3">
                     <div className="bg-amber-100 rounded-lg p-2 text-xs text-amber-700 flex items-center gap-2">
                         <Check size={14} />
-                        Scale calibrated from {PAPER_SIZES[paperSize].label}
+                        Scale calibrated from {selectedPaper.label}
                         <span className="ml-auto font-mono">{scaleFactor.toFixed(2)} px/mm</span>
                     </div>
+                    {paperCalibration && renderPaperCalibration(paperCalibration)}
 
-                    <button
-                        onClick={detectObject}
-                        disabled={isDetectingObject}
-                        className="w-full h-[34px] px-3 bg-amber-500 text-white rounded-md text-xs font-semibold hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
-                    >
-                        {isDetectingObject ? <Loader2 size={14} className="animate-spin" /> : <Crosshair size={14} />}
-                        Detect Object
-                    </button>
-
-                    {detectedObject && (
-                        <div className="bg-white rounded-lg p-3 border border-amber-200">
-                            <div className="text-[10px] uppercase font-bold text-amber-600 mb-2">Detected Object</div>
-                            <div className="grid grid-cols-2 gap-2 text-sm">
-                                <div>
-                                    <span className="text-gray-500 text-xs">Height:</span>
-                                    <div className="font-mono font-bold text-amber-700">{detectedObject.heightMm.toFixed(1)} mm</div>
-                                </div>
-                                <div>
-                                    <span className="text-gray-500 text-xs">Width:</span>
-                                    <div className="font-mono font-bold text-amber-700">{detectedObject.widthMm.toFixed(1)} mm</div>
-                                </div>
-                            </div>
-                        </div>
-                    )}
+                    {renderObjectDetection()}
 
                     <p className="text-[10px] text-gray-500">Or draw lines manually to measure</p>
 
@@ -2141,33 +3983,11 @@ const PhotoScaleApp = () => {
                   <div className="space-y-3">
                     <div className="bg-emerald-100 rounded-lg p-2 text-xs text-emerald-700 flex items-center gap-2">
                         <Check size={14} />
-                        Paper corrected ({PAPER_SIZES[paperSize].label})
+                        Paper corrected ({selectedPaper.label})
                     </div>
+                    {paperCalibration && renderPaperCalibration(paperCalibration)}
 
-                    <button
-                        onClick={detectObject}
-                        disabled={isDetectingObject}
-                        className="w-full h-[34px] px-3 bg-amber-500 text-white rounded-md text-xs font-semibold hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
-                    >
-                        {isDetectingObject ? <Loader2 size={14} className="animate-spin" /> : <Crosshair size={14} />}
-                        Detect Object
-                    </button>
-
-                    {detectedObject && (
-                        <div className="bg-white rounded-lg p-3 border border-amber-200">
-                            <div className="text-[10px] uppercase font-bold text-amber-600 mb-2">Detected Object</div>
-                            <div className="grid grid-cols-2 gap-2 text-sm">
-                                <div>
-                                    <span className="text-gray-500 text-xs">Height:</span>
-                                    <div className="font-mono font-bold text-amber-700">{detectedObject.heightMm.toFixed(1)} mm</div>
-                                </div>
-                                <div>
-                                    <span className="text-gray-500 text-xs">Width:</span>
-                                    <div className="font-mono font-bold text-amber-700">{detectedObject.widthMm.toFixed(1)} mm</div>
-                                </div>
-                            </div>
-                        </div>
-                    )}
+                    {renderObjectDetection()}
 
                     <button
                         onClick={resetPerspective}
@@ -2179,6 +3999,8 @@ const PhotoScaleApp = () => {
                   </div>
                 )}
 
+                {!correctedImage && <div className="mt-3">{renderCalibrationPresets()}</div>}
+
                 {!cvReady && <p className="text-[10px] text-gray-400 mt-1">Initializing Computer Vision Engine...</p>}
             </div>
 
@@ -2230,11 +4052,104 @@ const PhotoScaleApp = () => {
                         {cvReady ? 'Find & Measure' : 'Loading CV...'}
                     </button>
                 </div>
+                <select
+                    value=""
+                    onChange={(e) => applyCircleReference(e.target.value)}
+                    disabled={!!referenceLine}
+                    className="w-full mt-2 text-xs px-2 py-1 rounded-md border border-indigo-200 bg-white text-gray-600 outline-none"
+                >
+                    <option value="">Known diameter from library…</option>
+                    {CIRCLE_REFERENCES.map(ref => (
+                        <option key={ref.id} value={ref.id}>{ref.label}{ref.custom ? ` (Ø${ref.diameter_mm}mm)` : ''}</option>
+                    ))}
+                </select>
                 {!cvReady && <p className="text-[10px] text-gray-400 mt-1">Initializing Computer Vision Engine...</p>}
             </div>
 
+            {/* Circle Reference Panel */}
+            <div className="p-4 bg-cyan-50 border-b border-cyan-100 relative">
+                {referenceLine && (
+                    <div className="absolute inset-0 bg-white/60 backdrop-blur-[1px] z-10 flex items-center justify-center">
+                        <button
+                            onClick={requestReset}
+                            className="text-xs font-semibold text-white bg-cyan-600 hover:bg-cyan-700 px-3 py-1.5 rounded shadow-sm border border-cyan-700 transition flex items-center gap-1"
+                        >
+                            <RefreshCcw size={12} />
+                            Reset to use Circle Reference
+                        </button>
+                    </div>
+                )}
+                <h2 className="text-sm font-bold text-cyan-900 mb-1 flex items-center gap-2">
+                    <Circle size={16} /> Circle Reference
+                </h2>
+                <p className="text-[10px] text-cyan-700 mb-3">Coin, washer or ring gauge of known diameter. Tilt is corrected by measuring the ellipse's major axis.</p>
+
+                <div className="flex gap-2 items-end">
+                    <div className="flex-1">
+                        <label className="text-[10px] uppercase font-bold text-cyan-500 mb-0.5 block">Diameter (mm)</label>
+                        <input
+                            type="number"
+                            value={circleDiameter}
+                            onChange={(e) => setCircleDiameter(e.target.value)}
+                            className={`w-full text-sm px-2 py-1.5 rounded-md border focus:ring-1 focus:ring-cyan-500 outline-none ${!circleDiameter ? 'border-cyan-300 bg-cyan-50' : 'border-cyan-200'}`}
+                            placeholder="e.g. 23.25"
+                            disabled={!!referenceLine}
+                        />
+                    </div>
+                    <button
+                        onClick={detectCircleReference}
+                        disabled={!image || !cvReady || isDetectingCircle || !!referenceLine}
+                        className="h-[34px] px-3 bg-cyan-600 text-white rounded-md text-xs font-semibold hover:bg-cyan-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                    >
+                        {isDetectingCircle ? <Loader2 size={14} className="animate-spin" /> : <Crosshair size={14} />}
+                        Detect
+                    </button>
+                </div>
+                <select
+                    value=""
+                    onChange={(e) => {
+                        const ref = CIRCLE_REFERENCES.find(r => r.id === e.target.value);
+                        if (ref) setCircleDiameter(String(ref.diameter_mm));
+                    }}
+                    disabled={!!referenceLine}
+                    className="w-full mt-2 text-xs px-2 py-1 rounded-md border border-cyan-200 bg-white text-gray-600 outline-none"
+                >
+                    <option value="">Diameter from reference library…</option>
+                    {CIRCLE_REFERENCES.map(ref => (
+                        <option key={ref.id} value={ref.id}>{ref.label}{ref.custom ? ` (Ø${ref.diameter_mm}mm)` : ''}</option>
+                    ))}
+                </select>
+
+                {circleEllipse && renderCircleReference(circleEllipse)}
+            </div>
+
             <div className="p-4 border-b border-gray-100 bg-white">
-                <h2 className="font-semibold text-gray-900 mb-1">Measurements</h2>
+                <div className="flex items-center justify-between mb-1">
+                    <h2 className="font-semibold text-gray-900">Measurements</h2>
+                    <div className="flex rounded-md border border-gray-200 overflow-hidden text-xs">
+                        <button
+                            onClick={() => selectMeasureTool('line')}
+                            className={`px-2 py-1 flex items-center gap-1 ${measureTool === 'line' ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                            title="Measure a distance (drag)"
+                        >
+                            <Ruler size={12} /> Line
+                        </button>
+                        <button
+                            onClick={() => selectMeasureTool('angle')}
+                            className={`px-2 py-1 flex items-center gap-1 border-l border-gray-200 ${measureTool === 'angle' ? 'bg-purple-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                            title="Measure an angle (click arm end, vertex, arm end)"
+                        >
+                            <TriangleRight size={12} /> Angle
+                        </button>
+                        <button
+                            onClick={() => selectMeasureTool('area')}
+                            className={`px-2 py-1 flex items-center gap-1 border-l border-gray-200 ${measureTool === 'area' ? 'bg-teal-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                            title="Measure an enclosed area (click a polygon or drag freehand)"
+                        >
+                            <Pentagon size={12} /> Area
+                        </button>
+                    </div>
+                </div>
                 <p className="text-xs text-gray-500">
                     {!referenceLine
                         ? "Waiting for calibration..."
@@ -2307,6 +4222,62 @@ const PhotoScaleApp = () => {
                     </div>
                 ))}
 
+                {angleMeasurements.map((m, idx) => (
+                    <div key={m.id} className="bg-white border border-purple-200 rounded-lg p-3 shadow-sm hover:border-purple-300 transition group">
+                        <div className="flex justify-between items-start">
+                            <div className="flex-1">
+                                <div className="text-xs text-gray-500 mb-0.5">Angle #{idx + 1}</div>
+                                <div className="text-lg font-mono text-purple-800">{m.degrees.toFixed(1)}°</div>
+                                <div className="text-[10px] text-gray-400">
+                                    {m.rectified ? 'Measured on the paper plane' : correctedImage ? 'Measured on the flattened image' : 'Measured in image pixels'}
+                                </div>
+                            </div>
+                            <button
+                                onClick={() => deleteAngleMeasurement(m.id)}
+                                className="p-1.5 rounded text-gray-300 hover:bg-red-50 hover:text-red-500 transition"
+                                title="Delete"
+                            >
+                                <Trash2 size={18} />
+                            </button>
+                        </div>
+                    </div>
+                ))}
+
+                {areaMeasurements.map((m, idx) => {
+                    const result = measurePolygon(m.points);
+                    return (
+                        <div key={m.id} className="bg-white border border-teal-200 rounded-lg p-3 shadow-sm hover:border-teal-300 transition group">
+                            <div className="flex justify-between items-start">
+                                <div className="flex-1">
+                                    <div className="text-xs text-gray-500 mb-0.5">Area #{idx + 1} <span className="text-gray-400">· {m.points.length} vertices</span></div>
+                                    {result ? (
+                                        <>
+                                            <div className="text-lg font-mono text-teal-800">
+                                                {result.area.toFixed(1)} <span className="text-sm text-teal-600">{getAreaUnit(result.unit)}</span>
+                                            </div>
+                                            <div className="text-xs font-mono text-gray-600">
+                                                Perimeter {result.perimeter.toFixed(1)} {result.unit}
+                                            </div>
+                                            <div className="text-[10px] text-gray-400">
+                                                {result.rectified ? 'Measured on the paper plane' : correctedImage ? 'Measured on the flattened image' : 'Measured with the reference scale'}
+                                            </div>
+                                        </>
+                                    ) : (
+                                        <div className="text-xs text-gray-400">Calibrate the scale to measure this outline</div>
+                                    )}
+                                </div>
+                                <button
+                                    onClick={() => deleteAreaMeasurement(m.id)}
+                                    className="p-1.5 rounded text-gray-300 hover:bg-red-50 hover:text-red-500 transition"
+                                    title="Delete"
+                                >
+                                    <Trash2 size={18} />
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })}
+
                 {referenceLine && !referenceLine.isDiameter && (
                     <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mt-3">
                         <h3 className="text-sm font-bold text-gray-700 mb-3 flex items-center gap-2">
@@ -2382,6 +4353,22 @@ const PhotoScaleApp = () => {
                     </p>
 
                     <div className="space-y-4">
+                        <select
+                            value=""
+                            onChange={(e) => {
+                                const ref = CIRCLE_REFERENCES.find(r => r.id === e.target.value);
+                                if (!ref) return;
+                                setRefInputVal(String(ref.diameter_mm));
+                                setRefInputUnit('mm');
+                                setRefIsDiameter(true);
+                            }}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white text-sm text-gray-600"
+                        >
+                            <option value="">Diameter from reference library…</option>
+                            {CIRCLE_REFERENCES.map(ref => (
+                                <option key={ref.id} value={ref.id}>{ref.label}{ref.custom ? ` (Ø${ref.diameter_mm}mm)` : ''}</option>
+                            ))}
+                        </select>
                         <div>
                             <label className="block text-xs font-medium text-gray-700 mb-1">Real Size</label>
                             <input
@@ -2452,6 +4439,555 @@ const PhotoScaleApp = () => {
         </div>
       )}
 
+      {referenceLibraryOpen && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4 print:hidden">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md overflow-hidden">
+                <div className="bg-emerald-600 p-4 text-white flex items-center justify-between">
+                    <h3 className="font-semibold flex items-center gap-2"><Ruler size={20} /> Reference Library</h3>
+                    <button onClick={() => setReferenceLibraryOpen(false)} className="text-white/80 hover:text-white">
+                        <X size={18} />
+                    </button>
+                </div>
+                <div className="p-5 space-y-4 max-h-[70vh] overflow-y-auto">
+                    <p className="text-xs text-gray-500">
+                        Rectangles can be selected as paper size; circles as known diameter for Auto-Detect Drill and manual calibration. Your own references are saved in this browser.
+                    </p>
+
+                    <div>
+                        <div className="text-[10px] uppercase font-bold text-gray-400 mb-1">Your references</div>
+                        {customReferences.length === 0 ? (
+                            <p className="text-xs text-gray-400 italic">None yet.</p>
+                        ) : (
+                            <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                                {customReferences.map(ref => (
+                                    <li key={ref.id} className="flex items-center justify-between px-3 py-1.5 text-sm">
+                                        <span className="flex items-center gap-2">
+                                            {ref.shape === 'circle' ? <Circle size={12} className="text-gray-400" /> : <FileImage size={12} className="text-gray-400" />}
+                                            {ref.label}
+                                        </span>
+                                        <span className="flex items-center gap-2">
+                                            <span className="font-mono text-xs text-gray-500">
+                                                {ref.shape === 'circle' ? `Ø${ref.diameter_mm}mm` : `${ref.width_mm}×${ref.height_mm}mm`}
+                                            </span>
+                                            <button onClick={() => deleteCustomReference(ref.id)} className="text-gray-300 hover:text-red-500" title="Delete reference">
+                                                <Trash2 size={14} />
+                                            </button>
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    <div className="border-t border-gray-100 pt-4 space-y-2">
+                        <div className="text-[10px] uppercase font-bold text-gray-400">Add reference</div>
+                        <input
+                            type="text"
+                            value={newReference.label}
+                            onChange={(e) => setNewReference(r => ({ ...r, label: e.target.value }))}
+                            placeholder="Name, e.g. Calibration plate 100×150"
+                            className="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm outline-none focus:ring-2 focus:ring-emerald-500"
+                        />
+                        <div className="flex gap-2">
+                            <select
+                                value={newReference.shape}
+                                onChange={(e) => setNewReference(r => ({ ...r, shape: e.target.value }))}
+                                className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm bg-white outline-none"
+                            >
+                                <option value="rectangle">Rectangle</option>
+                                <option value="circle">Circle</option>
+                            </select>
+                            {newReference.shape === 'rectangle' ? (
+                                <>
+                                    <input
+                                        type="number"
+                                        value={newReference.width}
+                                        onChange={(e) => setNewReference(r => ({ ...r, width: e.target.value }))}
+                                        placeholder="Width mm"
+                                        className="w-full min-w-0 px-2 py-1.5 border border-gray-300 rounded-lg text-sm outline-none"
+                                    />
+                                    <input
+                                        type="number"
+                                        value={newReference.height}
+                                        onChange={(e) => setNewReference(r => ({ ...r, height: e.target.value }))}
+                                        placeholder="Height mm"
+                                        className="w-full min-w-0 px-2 py-1.5 border border-gray-300 rounded-lg text-sm outline-none"
+                                    />
+                                </>
+                            ) : (
+                                <input
+                                    type="number"
+                                    value={newReference.diameter}
+                                    onChange={(e) => setNewReference(r => ({ ...r, diameter: e.target.value }))}
+                                    placeholder="Diameter mm"
+                                    className="w-full min-w-0 px-2 py-1.5 border border-gray-300 rounded-lg text-sm outline-none"
+                                />
+                            )}
+                        </div>
+                        {newReferenceError && <p className="text-xs text-red-600">{newReferenceError}</p>}
+                        <button
+                            onClick={addCustomReference}
+                            className="w-full h-[34px] bg-emerald-600 text-white rounded-md text-xs font-semibold hover:bg-emerald-700"
+                        >
+                            Add to library
+                        </button>
+                    </div>
+
+                    <details className="text-xs text-gray-500">
+                        <summary className="cursor-pointer select-none font-semibold">Built-in references ({BUILTIN_REFERENCES.length})</summary>
+                        <ul className="mt-1 space-y-0.5">
+                            {BUILTIN_REFERENCES.map(ref => <li key={ref.id}>{ref.label}</li>)}
+                        </ul>
+                    </details>
+                </div>
+            </div>
+        </div>
+      )}
+
+      {batchOpen && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 overflow-auto p-4 print:hidden">
+            <div className="bg-white rounded-xl shadow-2xl max-w-4xl mx-auto">
+                <div className="flex items-center justify-between px-5 py-3 border-b border-gray-100">
+                    <h3 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+                        <Layers size={18} className="text-indigo-600" />
+                        Batch Processing
+                    </h3>
+                    <button onClick={() => setBatchOpen(false)} className="text-gray-400 hover:text-gray-600">
+                        <X size={18} />
+                    </button>
+                </div>
+
+                <div className="p-5 space-y-4">
+                    {/* Drop zone */}
+                    <div
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={handleBatchDrop}
+                        className="border-2 border-dashed border-indigo-200 rounded-lg bg-indigo-50/50 p-6 text-center"
+                    >
+                        <p className="text-sm text-gray-600 mb-3">Drop jig photos or a folder here</p>
+                        <div className="flex justify-center gap-2">
+                            <label className="px-3 py-1.5 bg-white border border-gray-300 rounded-md text-xs font-semibold text-gray-700 hover:bg-gray-50 cursor-pointer">
+                                Choose Photos
+                                <input type="file" accept="image/*" multiple onChange={(e) => { addBatchFiles(e.target.files); e.target.value = ''; }} className="hidden" />
+                            </label>
+                            <label className="px-3 py-1.5 bg-white border border-gray-300 rounded-md text-xs font-semibold text-gray-700 hover:bg-gray-50 cursor-pointer">
+                                Choose Folder
+                                <input type="file" webkitdirectory="" multiple onChange={(e) => { addBatchFiles(e.target.files); e.target.value = ''; }} className="hidden" />
+                            </label>
+                        </div>
+                    </div>
+
+                    {/* Controls */}
+                    <div className="flex items-center gap-3 text-xs">
+                        <label className="text-gray-600">Parallel requests:</label>
+                        <select
+                            value={batchConcurrency}
+                            onChange={(e) => setBatchConcurrency(Number(e.target.value))}
+                            disabled={isBatchRunning}
+                            className="px-2 py-1 border border-gray-200 rounded bg-white"
+                        >
+                            {[1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+                        </select>
+                        <span className="text-gray-400">
+                            Heights: {geminiApiKey ? 'Gemini' : 'local CV'} · Slots: {slotDetector === 'local' ? 'local CV' : 'Gemini'}
+                        </span>
+                        <div className="flex-1" />
+                        <button
+                            onClick={() => { setBatchItems([]); setBatchReviewId(null); }}
+                            disabled={isBatchRunning || batchItems.length === 0}
+                            className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-md font-semibold hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Clear
+                        </button>
+                        <button
+                            onClick={runBatch}
+                            disabled={isBatchRunning || batchPendingCount === 0}
+                            className="px-3 py-1.5 bg-indigo-600 text-white rounded-md font-semibold hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1"
+                        >
+                            {isBatchRunning && <Loader2 size={12} className="animate-spin" />}
+                            Run ({batchPendingCount})
+                        </button>
+                    </div>
+
+                    {/* Queue */}
+                    {batchItems.length > 0 && (
+                        <div className="border border-gray-200 rounded-lg overflow-hidden">
+                            <table className="w-full text-xs">
+                                <thead className="bg-gray-50">
+                                    <tr className="text-left text-gray-600">
+                                        <th className="px-2 py-1.5 font-semibold">Photo</th>
+                                        <th className="px-2 py-1.5 font-semibold">Status</th>
+                                        <th className="px-2 py-1.5 font-semibold">Drills</th>
+                                        <th className="px-2 py-1.5 font-semibold">Strips</th>
+                                        <th className="px-2 py-1.5"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {batchItems.map(item => (
+                                        <tr key={item.id} className={`border-t border-gray-100 ${batchReviewId === item.id ? 'bg-indigo-50' : ''}`}>
+                                            <td className="px-2 py-1.5 max-w-[220px]">
+                                                <div className="truncate font-medium text-gray-800">{item.name}</div>
+                                                {item.message && <div className="text-[10px] text-gray-500 truncate" title={item.message}>{item.message}</div>}
+                                            </td>
+                                            <td className="px-2 py-1.5">
+                                                <span className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-bold ${
+                                                    item.status === 'done' ? 'bg-green-100 text-green-700' :
+                                                    item.status === 'error' ? 'bg-red-100 text-red-700' :
+                                                    item.status === 'running' ? 'bg-indigo-100 text-indigo-700' : 'bg-gray-100 text-gray-600'
+                                                }`}>
+                                                    {item.status === 'running' && <Loader2 size={10} className="animate-spin" />}
+                                                    {item.status}
+                                                </span>
+                                            </td>
+                                            <td className="px-2 py-1.5 font-mono">{item.drills.length}</td>
+                                            <td className="px-2 py-1.5 font-mono">{item.slotResult ? item.slotResult.strips.length : '—'}</td>
+                                            <td className="px-2 py-1.5 text-right whitespace-nowrap">
+                                                <button
+                                                    onClick={() => reviewBatchItem(item)}
+                                                    disabled={item.status === 'running'}
+                                                    className="text-indigo-600 font-semibold hover:underline disabled:opacity-50 mr-2"
+                                                >
+                                                    Review
+                                                </button>
+                                                <button
+                                                    onClick={() => {
+                                                        setBatchItems(prev => prev.filter(b => b.id !== item.id));
+                                                        if (batchReviewId === item.id) setBatchReviewId(null);
+                                                    }}
+                                                    disabled={item.status === 'running'}
+                                                    className="text-gray-300 hover:text-red-500 disabled:opacity-50"
+                                                >
+                                                    <Trash2 size={12} />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {/* Combined inventory */}
+                    {(batchInventory.strips.length > 0 || batchInventory.drillCount > 0) && (
+                        <div className="space-y-2">
+                            <div className="flex items-center justify-between">
+                                <h4 className="text-sm font-bold text-gray-900">Combined Inventory</h4>
+                                <button onClick={copyBatchInventory} className="text-xs font-semibold text-gray-600 hover:underline">
+                                    Copy to Clipboard
+                                </button>
+                            </div>
+                            <div className="grid grid-cols-3 gap-3">
+                                <div className="col-span-2 border border-gray-200 rounded-lg overflow-hidden">
+                                    <table className="w-full text-xs">
+                                        <thead className="bg-gray-50">
+                                            <tr className="text-left text-gray-600">
+                                                <th className="px-2 py-1.5 font-semibold">Strip</th>
+                                                <th className="px-2 py-1.5 font-semibold">Ø</th>
+                                                <th className="px-2 py-1.5 font-semibold text-right">Occupied</th>
+                                                <th className="px-2 py-1.5 font-semibold text-right">Photos</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {batchInventory.strips.map(row => (
+                                                <tr key={row.key} className="border-t border-gray-100">
+                                                    <td className="px-2 py-1.5 flex items-center gap-1.5">
+                                                        <span
+                                                            className="inline-block w-3 h-3 rounded-sm border border-gray-300"
+                                                            style={{ backgroundColor: stripsConfig.color_palette[row.colorName] || '#999' }}
+                                                        />
+                                                        <span className="font-mono">{row.stripId || `${row.colorName}?`}</span>
+                                                    </td>
+                                                    <td className="px-2 py-1.5 font-mono">{row.diameterMm != null ? `${row.diameterMm} mm` : '—'}</td>
+                                                    <td className="px-2 py-1.5 font-mono text-right">{row.occupied}/{row.total}</td>
+                                                    <td className="px-2 py-1.5 font-mono text-right">{row.photos}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                                <div className="border border-gray-200 rounded-lg p-3 text-xs space-y-1.5">
+                                    <div className="font-semibold text-gray-600">Drill heights ({batchInventory.drillCount})</div>
+                                    {[
+                                        { cat: 'A', color: 'bg-blue-500', label: `< ${categoryThresholds.shortMax}mm` },
+                                        { cat: 'B', color: 'bg-amber-500', label: `${categoryThresholds.shortMax}–${categoryThresholds.mediumMax}mm` },
+                                        { cat: 'C', color: 'bg-red-500', label: `> ${categoryThresholds.mediumMax}mm` },
+                                    ].map(({ cat, color, label }) => (
+                                        <div key={cat} className="flex items-center gap-2">
+                                            <span className={`inline-block px-1.5 py-0.5 rounded text-[10px] font-bold text-white ${color}`}>{cat}</span>
+                                            <span className="text-gray-500 flex-1">{label}</span>
+                                            <span className="font-mono font-bold">{batchInventory.categories[cat]}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+      )}
+
+      {cameraOpen && (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4 print:hidden">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl overflow-hidden">
+                <div className="bg-blue-600 p-4 text-white flex items-center justify-between">
+                    <h3 className="font-semibold flex items-center gap-2"><Camera size={20} /> Camera</h3>
+                    <button onClick={closeCamera} className="text-white/80 hover:text-white">
+                        <X size={18} />
+                    </button>
+                </div>
+                {cameraError ? (
+                    <div className="p-5 text-sm text-red-600 flex items-center gap-2">
+                        <AlertTriangle size={16} />
+                        {cameraError}
+                    </div>
+                ) : (
+                    <>
+                        <div className="relative bg-black">
+                            <video ref={videoRef} autoPlay playsInline muted className="block w-full max-h-[65vh] object-contain" />
+                            <canvas ref={cameraOverlayRef} className="absolute inset-0 w-full h-full object-contain pointer-events-none" />
+                            <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-black/70 text-white px-3 py-1.5 rounded-full text-xs font-medium">
+                                {!cvReady ? 'Loading OpenCV…'
+                                    : !cameraQuad ? `Fit the whole ${jigMode ? 'A4 sheet' : selectedPaper.label} in view`
+                                    : cameraQuad.frontoParallel ? 'Paper detected - hold still and capture'
+                                    : `Hold the camera straight above the paper (corners ${cameraQuad.angleErrorDeg.toFixed(0)}° off square)`}
+                            </div>
+                        </div>
+                        <div className="p-4 flex items-center justify-between gap-3">
+                            <p className="text-xs text-gray-500">
+                                Capture unlocks once the paper is outlined in green. Its corners are carried over to Calibrate.
+                            </p>
+                            <button
+                                onClick={captureCameraFrame}
+                                disabled={!cameraQuad?.frontoParallel}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium text-sm flex items-center gap-2 shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <Camera size={16} />
+                                Capture
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+      )}
+
+      {markerSheetOpen && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 overflow-auto p-4 print:static print:bg-white print:p-0 print:backdrop-blur-none print:overflow-visible">
+            <div className="mx-auto mb-3 flex items-center justify-between gap-3 print:hidden" style={{ width: '210mm' }}>
+                <p className="text-sm text-white">Print at 100% (no “fit to page”), then check the 100 mm bar with a ruler.</p>
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => window.print()}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium text-sm flex items-center gap-2"
+                    >
+                        <Printer size={16} />
+                        Print
+                    </button>
+                    <button
+                        onClick={() => setMarkerSheetOpen(false)}
+                        className="p-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                        title="Close"
+                    >
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+
+            {/* A4 page, drawn in mm so the markers print at their exact size */}
+            <div className="mx-auto bg-white shadow-2xl print:shadow-none" style={{ width: '210mm', height: '297mm' }}>
+                <svg width="210mm" height="297mm" viewBox={`0 0 ${MARKER_SHEET.paper.width} ${MARKER_SHEET.paper.height}`} shapeRendering="crispEdges">
+                    {MARKER_SHEET.origins.map((origin, id) => {
+                        const cell = MARKER_SHEET.markerMm / MARKER_SHEET.cells;
+                        return (
+                            <g key={id}>
+                                {markerCells(id).flatMap((row, r) => row.map((bit, c) => bit ? (
+                                    <rect key={`${r}-${c}`} x={origin.x + c * cell} y={origin.y + r * cell} width={cell} height={cell} fill="#000" />
+                                ) : null))}
+                                <text x={origin.x + MARKER_SHEET.markerMm / 2} y={origin.y + MARKER_SHEET.markerMm + 5} fontSize="3" textAnchor="middle" fill="#9ca3af">#{id}</text>
+                            </g>
+                        );
+                    })}
+                    <text x="105" y="110" fontSize="6" fontWeight="bold" textAnchor="middle" fill="#111827">PhotoScale calibration sheet</text>
+                    <text x="105" y="118" fontSize="3.5" textAnchor="middle" fill="#6b7280">Place objects between the markers. At least {MIN_MARKERS} markers must be visible in the photo.</text>
+                    <rect x="55" y="180" width="100" height="2" fill="#111827" />
+                    <rect x="55" y="177" width="0.4" height="8" fill="#111827" />
+                    <rect x="154.6" y="177" width="0.4" height="8" fill="#111827" />
+                    <text x="105" y="191" fontSize="3.5" textAnchor="middle" fill="#6b7280">100 mm</text>
+                </svg>
+            </div>
+        </div>
+      )}
+
+      {werkbonOpen && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 overflow-auto p-4 print:static print:bg-white print:p-0 print:backdrop-blur-none print:overflow-visible">
+            <div className="mx-auto mb-3 flex items-center justify-between gap-3 print:hidden" style={{ width: '210mm' }}>
+                <div className="flex gap-2">
+                    <input
+                        type="text"
+                        value={werkbonFields.customer}
+                        onChange={(e) => setWerkbonFields(f => ({ ...f, customer: e.target.value }))}
+                        placeholder="Customer name"
+                        className="text-sm px-2 py-1.5 border border-gray-300 rounded-md bg-white"
+                    />
+                    <input
+                        type="text"
+                        value={werkbonFields.orderNumber}
+                        onChange={(e) => setWerkbonFields(f => ({ ...f, orderNumber: e.target.value }))}
+                        placeholder="Order number"
+                        className="text-sm px-2 py-1.5 border border-gray-300 rounded-md bg-white w-36"
+                    />
+                    <input
+                        type="date"
+                        value={werkbonFields.date}
+                        onChange={(e) => setWerkbonFields(f => ({ ...f, date: e.target.value }))}
+                        className="text-sm px-2 py-1.5 border border-gray-300 rounded-md bg-white"
+                    />
+                </div>
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => window.print()}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium text-sm flex items-center gap-2"
+                    >
+                        <Printer size={16} />
+                        Print / PDF
+                    </button>
+                    <button
+                        onClick={() => setWerkbonOpen(false)}
+                        className="p-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                        title="Close"
+                    >
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+
+            {/* A4 page */}
+            <div className="mx-auto bg-white shadow-2xl text-gray-900 flex flex-col gap-3 print:shadow-none" style={{ width: '210mm', height: '297mm', padding: '12mm', fontSize: '9pt' }}>
+                <div className="flex justify-between items-start border-b-2 border-gray-800 pb-2">
+                    <div>
+                        <h1 className="text-xl font-bold tracking-tight">Werkbon</h1>
+                        <p className="text-gray-500">PhotoScale Estimator — Jig Mode</p>
+                    </div>
+                    <table>
+                        <tbody>
+                            <tr><td className="pr-3 text-gray-500">Customer:</td><td className="font-semibold">{werkbonFields.customer || '—'}</td></tr>
+                            <tr><td className="pr-3 text-gray-500">Order no.:</td><td className="font-semibold font-mono">{werkbonFields.orderNumber || '—'}</td></tr>
+                            <tr><td className="pr-3 text-gray-500">Date:</td><td className="font-semibold font-mono">{werkbonFields.date || '—'}</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                {werkbonSnapshot && (
+                    <img src={werkbonSnapshot} alt="Annotated jig" className="w-full object-contain border border-gray-200" style={{ maxHeight: '95mm' }} />
+                )}
+
+                <div className="flex gap-4 min-h-0">
+                    {/* Drill heights */}
+                    {detectedDrills.length > 0 && (
+                        <div className="w-1/3 shrink-0">
+                            <h2 className="font-bold mb-1">Drill Heights</h2>
+                            <table className="w-full border-collapse">
+                                <thead>
+                                    <tr className="border-b border-gray-400 text-left">
+                                        <th className="py-0.5">#</th>
+                                        <th className="py-0.5">Height</th>
+                                        <th className="py-0.5">Cat</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {detectedDrills.map(d => (
+                                        <tr key={d.id} className="border-b border-gray-100">
+                                            <td className="py-0.5 font-mono">{d.id}</td>
+                                            <td className="py-0.5 font-mono">{Math.round(d.heightMm)} mm</td>
+                                            <td className="py-0.5 font-bold">{d.category}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <div className="mt-1 space-y-0.5">
+                                <div className="flex justify-between"><span>A (&lt;{categoryThresholds.shortMax}mm)</span><span className="font-mono">{detectedDrills.filter(d => d.category === 'A').length}</span></div>
+                                <div className="flex justify-between"><span>B ({categoryThresholds.shortMax}–{categoryThresholds.mediumMax}mm)</span><span className="font-mono">{detectedDrills.filter(d => d.category === 'B').length}</span></div>
+                                <div className="flex justify-between"><span>C (&gt;{categoryThresholds.mediumMax}mm)</span><span className="font-mono">{detectedDrills.filter(d => d.category === 'C').length}</span></div>
+                                <div className="flex justify-between border-t border-gray-400 font-bold"><span>Total</span><span className="font-mono">{detectedDrills.length}</span></div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Slot occupancy per strip */}
+                    {slotDetectionResult && slotDetectionResult.strips.length > 0 && (
+                        <div className="flex-1 min-w-0">
+                            <h2 className="font-bold mb-1">Slot Occupancy</h2>
+                            <table className="w-full border-collapse">
+                                <thead>
+                                    <tr className="border-b border-gray-400 text-left">
+                                        <th className="py-0.5">Strip</th>
+                                        <th className="py-0.5">Ø</th>
+                                        <th className="py-0.5">Coating</th>
+                                        <th className="py-0.5">Slots</th>
+                                        <th className="py-0.5 text-right">Occupied</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {slotDetectionResult.strips.map((strip, si) => {
+                                        const def = stripsConfig.strips.find(s => s.id === strip.resolved_id);
+                                        const coating = getCoating(strip.coating_id);
+                                        return (
+                                            <tr key={si} className="border-b border-gray-100 align-middle">
+                                                <td className="py-0.5 whitespace-nowrap">
+                                                    <span className="inline-block w-2.5 h-2.5 rounded-sm border border-gray-400 mr-1 align-middle" style={{ backgroundColor: stripsConfig.color_palette[strip.color_name] || '#888' }} />
+                                                    <span className="font-semibold">{strip.resolved_id || strip.possible_ids.join(' / ') || '?'}</span>
+                                                </td>
+                                                <td className="py-0.5 font-mono whitespace-nowrap">{def ? `${def.diameter_mm} mm` : '—'}</td>
+                                                <td className="py-0.5 whitespace-nowrap">
+                                                    {coating && <span className="inline-block w-2.5 h-2.5 rounded-full border border-gray-400 mr-1 align-middle" style={{ backgroundColor: coating.werkbon_color_hex }} />}
+                                                    {coating ? coating.name : '—'}
+                                                </td>
+                                                <td className="py-0.5">
+                                                    <div className="flex gap-0.5 flex-wrap">
+                                                        {strip.slots.map(slot => {
+                                                            const slotCoating = getCoating(getSlotCoatingId(strip, slot));
+                                                            return (
+                                                                <span
+                                                                    key={slot.index}
+                                                                    className="inline-block w-2.5 h-2.5 rounded-full border"
+                                                                    style={{
+                                                                        backgroundColor: slot.occupied ? (slotCoating?.werkbon_color_hex || '#374151') : 'transparent',
+                                                                        borderColor: slot.occupied ? '#374151' : '#d1d5db',
+                                                                    }}
+                                                                />
+                                                            );
+                                                        })}
+                                                    </div>
+                                                </td>
+                                                <td className="py-0.5 font-mono text-right">{strip.slots.filter(s => s.occupied).length}/{strip.slot_count}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+
+                            <h2 className="font-bold mt-3 mb-1">Count per Coating</h2>
+                            <table className="border-collapse">
+                                <tbody>
+                                    {countOccupiedByCoating(slotDetectionResult.strips).map(({ coating, count }) => (
+                                        <tr key={coating ? coating.id : 'none'}>
+                                            <td className="pr-2 py-0.5">
+                                                <span className="inline-block w-2.5 h-2.5 rounded-full border border-gray-400 align-middle" style={{ backgroundColor: coating?.werkbon_color_hex || 'transparent' }} />
+                                            </td>
+                                            <td className="pr-4 py-0.5">{coating ? `${coating.name} (${coating.werkbon_color_name})` : 'No coating'}</td>
+                                            <td className="py-0.5 font-mono font-bold text-right">{count}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+      )}
+
       {resetModalOpen && (
         <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
             <div className="bg-white rounded-xl shadow-2xl w-full max-w-sm overflow-hidden">
@@ -0,0 +1,77 @@
+// Batch processing for Jig Mode: a concurrency-limited queue and the combined inventory
+
+import stripsConfig from './config/strips.json';
+
+/**
+ * Run async tasks with at most `limit` in flight at once.
+ * Tasks never reject the queue; each result is `{ ok, value }` or `{ ok: false, error }`.
+ * @param {Array<() => Promise<any>>} tasks
+ * @param {number} limit
+ * @returns {Promise<Array<{ ok: boolean, value?: any, error?: Error }>>} in task order
+ */
+export async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const i = next++;
+      try {
+        results[i] = { ok: true, value: await tasks[i]() };
+      } catch (error) {
+        results[i] = { ok: false, error };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, tasks.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Sum results of all processed photos into one inventory.
+ * Strips are keyed by resolved strip ID; unresolved strips by colour and slot count.
+ * @param {Array<{ drills?: Array, slotResult?: { strips: Array } | null }>} items
+ * @returns {{
+ *   strips: Array<{ key, stripId, colorName, diameterMm, occupied, total, photos }>,
+ *   categories: { A: number, B: number, C: number },
+ *   drillCount: number,
+ * }}
+ */
+export function combineInventory(items) {
+  const byKey = new Map();
+  const categories = { A: 0, B: 0, C: 0 };
+  let drillCount = 0;
+
+  for (const item of items) {
+    for (const drill of item.drills || []) {
+      categories[drill.category] = (categories[drill.category] || 0) + 1;
+      drillCount++;
+    }
+
+    for (const strip of item.slotResult?.strips || []) {
+      const stripId = strip.resolved_id || null;
+      const key = stripId || `${strip.color_name}/${strip.slot_count}`;
+      const config = stripId ? stripsConfig.strips.find(s => s.id === stripId) : null;
+      const row = byKey.get(key) || {
+        key,
+        stripId,
+        colorName: strip.color_name,
+        diameterMm: config ? config.diameter_mm : null,
+        occupied: 0,
+        total: 0,
+        photos: 0,
+      };
+      row.occupied += strip.slots.filter(s => s.occupied).length;
+      row.total += strip.slots.length;
+      row.photos++;
+      byKey.set(key, row);
+    }
+  }
+
+  // Resolved strips by diameter first, unresolved ones after
+  const strips = [...byKey.values()].sort((a, b) =>
+    (a.diameterMm ?? Infinity) - (b.diameterMm ?? Infinity) || a.key.localeCompare(b.key));
+  return { strips, categories, drillCount };
+}
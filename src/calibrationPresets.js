@@ -0,0 +1,135 @@
+// Calibration presets: a fixed camera setup's calibration saved by name and re-applied to new photos
+
+import { getDistance } from './geometry.js';
+import { createStoredId, loadStoredList, saveStoredList } from './storedList.js';
+
+export const CALIBRATION_PRESETS_KEY = 'calibration_presets';
+
+// PhotoScaleApp state saved in a preset, per mode (see projectFile.js PROJECT_STATE_KEYS)
+export const PRESET_STATE_KEYS = {
+  standard: ['scaleFactor', 'referenceLine', 'paperSize', 'paperCalibration', 'objectMinAreaMm2'],
+  jig: ['xRuler', 'yRuler', 'yRulerConfidence', 'paperCorners', 'baseLine', 'categoryThresholds', 'drillDetectParams'],
+};
+
+// How far a new photo may drift from its preset before a warning is shown: reference corners by
+// `cornerShift` of the image diagonal, px/mm scales by `scale` relative
+export const PRESET_DRIFT_TOLERANCE = { cornerShift: 0.01, scale: 0.02 };
+
+/**
+ * Check a preset before it is saved or after it is loaded.
+ * @param {object} preset
+ * @returns {string|null} what is wrong, or null when valid
+ */
+export function validatePreset(preset) {
+  if (!preset.name || !preset.name.trim()) return 'Give the preset a name.';
+  if (!PRESET_STATE_KEYS[preset.mode]) return 'Mode must be standard or jig.';
+  const positive = (v) => typeof v === 'number' && isFinite(v) && v > 0;
+  if (!positive(preset.imageWidth) || !positive(preset.imageHeight)) return 'Image size is missing.';
+  const state = preset.state || {};
+  if (preset.mode === 'standard' && !positive(state.scaleFactor)) return 'Calibrate the photo before saving a preset.';
+  if (preset.mode === 'jig' && !state.yRuler) return 'Calibrate the Y ruler before saving a preset.';
+  return null;
+}
+
+// The entries of `state` under the mode's PRESET_STATE_KEYS; anything else is left out
+function presetState(mode, state) {
+  const kept = {};
+  for (const key of PRESET_STATE_KEYS[mode] || []) {
+    if (state?.[key] !== undefined) kept[key] = state[key];
+  }
+  return kept;
+}
+
+/**
+ * Build a stored preset from the current calibration. Only the mode's PRESET_STATE_KEYS are
+ * kept, copied so later edits to the app state do not reach the preset.
+ * @param {{ name: string, mode: 'standard'|'jig', imageWidth: number, imageHeight: number, state: object }} preset
+ * @returns {object}
+ */
+export function createPreset({ name, mode, imageWidth, imageHeight, state }) {
+  return {
+    id: createStoredId('preset'),
+    name: name.trim(),
+    mode,
+    imageWidth,
+    imageHeight,
+    createdAt: new Date().toISOString(),
+    state: JSON.parse(JSON.stringify(presetState(mode, state))),
+  };
+}
+
+/**
+ * Presets from localStorage that still pass validatePreset(), with their state reduced to the
+ * mode's PRESET_STATE_KEYS so an edited or outdated entry cannot set other app state.
+ * @returns {Array<object>}
+ */
+export function loadCalibrationPresets() {
+  return loadStoredList(CALIBRATION_PRESETS_KEY, validatePreset)
+    .map(preset => ({ ...preset, state: presetState(preset.mode, preset.state) }));
+}
+
+/**
+ * @param {Array<object>} presets
+ */
+export function saveCalibrationPresets(presets) {
+  saveStoredList(CALIBRATION_PRESETS_KEY, presets);
+}
+
+/**
+ * The paper corners a preset was calibrated on: the A4 ground plane in Jig Mode, the
+ * calibrated sheet in Standard mode.
+ * @param {object} preset
+ * @returns {Array<{ x: number, y: number }>|null} [TL, TR, BR, BL] in image px
+ */
+export function presetReferenceCorners(preset) {
+  return preset.state.paperCorners || preset.state.paperCalibration?.corners || null;
+}
+
+/**
+ * Compare a photo and the references found in it against the preset applied to it.
+ * Values left undefined are not checked.
+ * @param {object} preset
+ * @param {object} current
+ * @param {number} current.imageWidth
+ * @param {number} current.imageHeight
+ * @param {Array<{ x: number, y: number }>|null} [current.corners] - paper detected in this photo in
+ *   clockwise order from any corner, null when detection found none
+ * @param {number|null} [current.scaleFactor]
+ * @param {object|null} [current.xRuler]
+ * @param {object|null} [current.yRuler]
+ * @param {{ cornerShift: number, scale: number }} [tolerance]
+ * @returns {string[]} one warning per drift, empty when the photo matches
+ */
+export function presetDrift(preset, current, tolerance = PRESET_DRIFT_TOLERANCE) {
+  const warnings = [];
+  if (current.imageWidth !== preset.imageWidth || current.imageHeight !== preset.imageHeight) {
+    warnings.push(`Photo is ${current.imageWidth}×${current.imageHeight} px; the preset was saved on ${preset.imageWidth}×${preset.imageHeight} px.`);
+  }
+
+  const presetCorners = presetReferenceCorners(preset);
+  if (presetCorners && current.corners === null) {
+    warnings.push('Paper not found in this photo, so the camera position could not be checked.');
+  } else if (presetCorners && current.corners) {
+    // Either labelling may have been rotated (Rotate labels), so compare the best-matching one
+    const shift = Math.min(...[0, 1, 2, 3].map(r => (
+      Math.max(...presetCorners.map((p, i) => getDistance(p, current.corners[(i + r) % 4])))
+    )));
+    const diagonal = Math.hypot(current.imageWidth, current.imageHeight);
+    if (shift > diagonal * tolerance.cornerShift) {
+      warnings.push(`Paper corners moved up to ${Math.round(shift)} px from the preset; the camera or sheet has shifted.`);
+    }
+  }
+
+  const compareScale = (label, saved, now) => {
+    if (!saved || !now) return;
+    const diff = Math.abs(now - saved) / saved;
+    if (diff > tolerance.scale) {
+      warnings.push(`${label} is ${now.toFixed(2)} px/mm; the preset has ${saved.toFixed(2)} px/mm (${(diff * 100).toFixed(1)}% off).`);
+    }
+  };
+  if (current.scaleFactor !== undefined) compareScale('Scale', preset.state.scaleFactor, current.scaleFactor);
+  if (current.xRuler !== undefined) compareScale('X ruler', preset.state.xRuler?.scalePxPerMm, current.xRuler?.scalePxPerMm);
+  if (current.yRuler !== undefined) compareScale('Y ruler', preset.state.yRuler?.scalePxPerMm, current.yRuler?.scalePxPerMm);
+
+  return warnings;
+}
@@ -0,0 +1,47 @@
+// Coating assignment helpers for Jig Mode slot occupancy
+
+import coatingsConfig from './config/coatings.json';
+
+export const COATINGS = coatingsConfig.coatings;
+
+/**
+ * Look up a coating definition by id.
+ * @param {string|null} id
+ * @returns {object|null}
+ */
+export function getCoating(id) {
+  if (!id) return null;
+  return COATINGS.find(c => c.id === id) || null;
+}
+
+/**
+ * Effective coating id for a slot: the per-slot override if set, else the strip's coating.
+ * @param {{ coating_id?: string|null }} strip
+ * @param {{ coating_id?: string|null }} slot
+ * @returns {string|null}
+ */
+export function getSlotCoatingId(strip, slot) {
+  return slot.coating_id || strip.coating_id || null;
+}
+
+/**
+ * Count occupied slots per effective coating across all strips.
+ * Slots without a coating are counted under the key `null`.
+ * @param {Array} strips - slotDetectionResult.strips
+ * @returns {Array<{ coating: object|null, count: number }>} in coatings.json order, unassigned last
+ */
+export function countOccupiedByCoating(strips) {
+  const counts = new Map();
+  for (const strip of strips) {
+    for (const slot of strip.slots) {
+      if (!slot.occupied) continue;
+      const id = getSlotCoatingId(strip, slot);
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+  }
+  const rows = COATINGS
+    .filter(c => counts.has(c.id))
+    .map(c => ({ coating: c, count: counts.get(c.id) }));
+  if (counts.has(null)) rows.push({ coating: null, count: counts.get(null) });
+  return rows;
+}
@@ -0,0 +1,25 @@
+// Shared OpenCV.js helpers for the local (offline) detectors
+
+/**
+ * Read an image into an RGBA cv.Mat, downscaled so its longest side is at most maxDim.
+ * Reads from the source image rather than the display canvas so overlays never leak in.
+ * @param {object} cv - the loaded OpenCV.js module (window.cv)
+ * @param {HTMLImageElement} image
+ * @param {number} maxDim
+ * @returns {{ src: object, scale: number }} - caller must delete `src`; scale maps original → Mat pixels
+ */
+export function readImageScaled(cv, image, maxDim) {
+  let w = image.naturalWidth;
+  let h = image.naturalHeight;
+  let scale = 1;
+  if (w > maxDim || h > maxDim) {
+    scale = maxDim / Math.max(w, h);
+    w = Math.round(w * scale);
+    h = Math.round(h * scale);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  canvas.getContext('2d').drawImage(image, 0, 0, w, h);
+  return { src: cv.imread(canvas), scale };
+}
@@ -0,0 +1,268 @@
+// Shared Gemini request layer: retries with backoff, timeouts, cancellation and typed errors
+
+export const DEFAULT_GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com';
+
+// Point at a local stand-in (e.g. `npm run mock:gemini`) with VITE_GEMINI_BASE_URL
+export const GEMINI_BASE_URL = import.meta.env?.VITE_GEMINI_BASE_URL || DEFAULT_GEMINI_BASE_URL;
+
+export const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+/**
+ * Base class for every failure of a Gemini request.
+ * `kind` lets the UI render each class of failure differently.
+ */
+export class GeminiError extends Error {
+  constructor(message, { kind = 'unknown', status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'GeminiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export class GeminiAuthError extends GeminiError {
+  constructor(message, status) {
+    super(message, { kind: 'auth', status });
+    this.name = 'GeminiAuthError';
+  }
+}
+
+export class GeminiRateLimitError extends GeminiError {
+  constructor(message, retryAfterMs = null) {
+    super(message, { kind: 'rate_limit', status: 429, retryable: true });
+    this.name = 'GeminiRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class GeminiServerError extends GeminiError {
+  constructor(message, status, retryAfterMs = null) {
+    super(message, { kind: 'server', status, retryable: true });
+    this.name = 'GeminiServerError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class GeminiNetworkError extends GeminiError {
+  constructor(message) {
+    super(message, { kind: 'network', retryable: true });
+    this.name = 'GeminiNetworkError';
+  }
+}
+
+export class GeminiTimeoutError extends GeminiError {
+  constructor(timeoutMs) {
+    super(`Gemini did not respond within ${Math.round(timeoutMs / 1000)}s.`, { kind: 'timeout' });
+    this.name = 'GeminiTimeoutError';
+  }
+}
+
+export class GeminiCancelledError extends GeminiError {
+  constructor() {
+    super('Request cancelled.', { kind: 'cancelled' });
+    this.name = 'GeminiCancelledError';
+  }
+}
+
+/** The request succeeded but the model's answer is unusable. `issues` lists what was wrong. */
+export class GeminiResponseError extends GeminiError {
+  constructor(message, issues = []) {
+    super(message, { kind: 'response' });
+    this.name = 'GeminiResponseError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new GeminiCancelledError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new GeminiCancelledError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Map a non-OK response to a typed error.
+ */
+async function errorFromResponse(response) {
+  const err = await response.json().catch(() => ({}));
+  const msg = err.error?.message || '';
+  const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+
+  if (response.status === 401 || response.status === 403) {
+    if (msg.includes('SERVICE_DISABLED') || msg.includes('has not been used')) {
+      return new GeminiAuthError('Generative Language API is not enabled. Visit console.developers.google.com to enable it for your project, or use a key from aistudio.google.com.', response.status);
+    }
+    return new GeminiAuthError('Invalid API key. Check your Gemini API key and try again.', response.status);
+  }
+  if (response.status === 429) {
+    return new GeminiRateLimitError('Rate limited. Please wait a moment and try again.', retryAfterMs);
+  }
+  if (response.status >= 500) {
+    return new GeminiServerError(msg || `Gemini server error (${response.status})`, response.status, retryAfterMs);
+  }
+  return new GeminiError(msg || `Gemini API error (${response.status})`, { kind: 'request', status: response.status });
+}
+
+/**
+ * One attempt: POST with a timeout, linked to the caller's abort signal.
+ */
+async function postOnce(url, body, { signal, timeoutMs }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      signal: controller.signal,
+    });
+    if (!response.ok) throw await errorFromResponse(response);
+    return await response.json();
+  } catch (err) {
+    if (err instanceof GeminiError) throw err;
+    if (err.name === 'AbortError') {
+      throw timedOut ? new GeminiTimeoutError(timeoutMs) : new GeminiCancelledError();
+    }
+    throw new GeminiNetworkError(`Could not reach Gemini: ${err.message}`);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Call Gemini generateContent and return the final text part of the answer.
+ * Retries 429, 5xx and network failures with exponential backoff, waiting at least
+ * as long as the server's Retry-After says.
+ *
+ * @param {object} params
+ * @param {string} params.apiKey
+ * @param {string} params.model - e.g. 'gemini-2.5-flash'
+ * @param {Array} params.parts - request content parts (text and inline_data)
+ * @param {object} [params.generationConfig]
+ * @param {AbortSignal} [params.signal] - aborting rejects with GeminiCancelledError
+ * @param {number} [params.timeoutMs=DEFAULT_TIMEOUT_MS] - per attempt
+ * @param {number} [params.retries=3]
+ * @param {(attempt: number, delayMs: number, error: GeminiError) => void} [params.onRetry]
+ * @param {string} [params.baseUrl=GEMINI_BASE_URL] - API host; `/v1beta/models/...` is appended
+ * @returns {Promise<string>}
+ * @throws {GeminiError}
+ */
+export async function generateContent({
+  apiKey,
+  model,
+  parts,
+  generationConfig,
+  signal,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  onRetry,
+  baseUrl = GEMINI_BASE_URL,
+}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/v1beta/models/${model}:generateContent?key=${apiKey}`;
+  const body = JSON.stringify({ contents: [{ parts }], generationConfig });
+
+  let json;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      json = await postOnce(url, body, { signal, timeoutMs });
+      break;
+    } catch (err) {
+      if (!err.retryable || attempt >= retries) throw err;
+      const backoff = Math.min(MAX_DELAY_MS, DEFAULT_BASE_DELAY_MS * 2 ** attempt);
+      const delayMs = Math.max(backoff, err.retryAfterMs || 0);
+      if (onRetry) onRetry(attempt + 1, delayMs, err);
+      await sleep(delayMs, signal);
+    }
+  }
+
+  // Thinking models may return several parts (thinking + text); the JSON is in the last text part
+  const responseParts = json.candidates?.[0]?.content?.parts || [];
+  const text = responseParts.map(p => p.text || '').filter(Boolean).pop();
+  if (!text) {
+    throw new GeminiResponseError('Gemini returned an empty response. Try again with a clearer photo.');
+  }
+  return text;
+}
+
+/**
+ * Parse the JSON body of a model answer. Structured output returns bare JSON; answers
+ * that wrap it in markdown fences or prose are tried next.
+ * @param {string} text
+ * @returns {{ data: any, error: string|null }}
+ */
+export function extractJson(text) {
+  const attempts = [text.trim()];
+  const fence = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+  if (fence) attempts.push(fence[1].trim());
+  const first = text.indexOf('{');
+  const last = text.lastIndexOf('}');
+  if (first !== -1 && last > first) attempts.push(text.slice(first, last + 1));
+
+  for (const attempt of attempts) {
+    try {
+      return { data: JSON.parse(attempt), error: null };
+    } catch {
+      // try the next candidate
+    }
+  }
+  return { data: null, error: 'Response is not valid JSON.' };
+}
+
+/**
+ * Resize image if needed and return base64 JPEG.
+ * @param {HTMLImageElement} image
+ * @param {number} [maxDim=4096]
+ * @returns {{ base64: string, width: number, height: number, scale: number }}
+ */
+export function imageToBase64(image, maxDim = 4096) {
+  let w = image.naturalWidth;
+  let h = image.naturalHeight;
+  let scale = 1;
+
+  if (w > maxDim || h > maxDim) {
+    scale = maxDim / Math.max(w, h);
+    w = Math.round(w * scale);
+    h = Math.round(h * scale);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, w, h);
+  const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
+  return { base64: dataUrl.split(',')[1], width: w, height: h, scale };
+}
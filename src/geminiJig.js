@@ -1,7 +1,63 @@
 // Gemini API integration for Jig Mode drill analysis
 
-const GEMINI_API_URL =
-  'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+import { rulerPixelToMm, rulerDistanceMm } from './rulerCalibration.js';
+import { generateContent, imageToBase64, extractJson, GeminiResponseError } from './geminiClient.js';
+
+const GEMINI_MODEL = 'gemini-2.5-flash';
+
+// Structured-output schema for the jig analysis (mirrors the JSON described in the prompt)
+const JIG_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    ruler: {
+      type: 'OBJECT',
+      properties: {
+        pixelX: { type: 'NUMBER' },
+        ticks: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              cm: { type: 'INTEGER' },
+              pixelY: { type: 'NUMBER' },
+            },
+            required: ['cm', 'pixelY'],
+          },
+        },
+      },
+      required: ['pixelX', 'ticks'],
+    },
+    a4Paper: {
+      type: 'OBJECT',
+      properties: {
+        nearEdgePx: { type: 'NUMBER' },
+        farEdgePx: { type: 'NUMBER' },
+        perspectiveRatio: { type: 'NUMBER' },
+        scalePxPerMm: { type: 'NUMBER' },
+      },
+      required: ['nearEdgePx', 'farEdgePx', 'perspectiveRatio', 'scalePxPerMm'],
+    },
+    baseLineY: { type: 'NUMBER' },
+    drills: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          centerX: { type: 'NUMBER' },
+          topY: { type: 'NUMBER' },
+          widthPx: { type: 'NUMBER' },
+          heightMm: { type: 'NUMBER' },
+          category: { type: 'STRING', enum: ['A', 'B', 'C'] },
+        },
+        required: ['centerX', 'topY', 'heightMm', 'category'],
+      },
+    },
+  },
+  required: ['ruler', 'a4Paper', 'baseLineY', 'drills'],
+};
+
+const MIN_RULER_TICKS = 4;
+const PERSPECTIVE_RATIO_RANGE = [1.0, 2.0];
 
 function buildPrompt(imageWidth, imageHeight, thresholds) {
   return `You are analyzing a photograph of a drill bit measurement jig. The jig contains:
@@ -19,7 +75,7 @@ The image is ${imageWidth}×${imageHeight} pixels.
 TASK — follow these steps IN ORDER:
 
 STEP 1 — RULER TICK CALIBRATION:
-Find the vertical measuring tape. Record at least 4 observed cm marks with their pixel Y coordinates. Use the spread of ticks to compute an accurate px/mm scale.
+Find the vertical measuring tape. Record the pixel X coordinate of the tape's centre line and at least 4 observed cm marks with their pixel Y coordinates. Use the spread of ticks to compute an accurate px/mm scale.
 
 STEP 2 — A4 PERSPECTIVE RATIO:
 Find the A4 sheet. Measure the pixel length of its near edge (closest to camera) and far edge (furthest from camera). Compute:
@@ -29,19 +85,16 @@ Find the A4 sheet. Measure the pixel length of its near edge (closest to camera)
 STEP 3 — BASE LINE:
 Find the base line pixel Y coordinate.
 
-STEP 4 — PER-DRILL MEASUREMENT WITH PERSPECTIVE CORRECTION:
+STEP 4 — PER-DRILL MEASUREMENT:
 For each drill:
-  a) Measure raw height in pixels from base line to drill tip.
-  b) Estimate depthRatio: how far the drill is from the front of the jig toward the back wall.
-     depthRatio = 0.0 means drill is at the same depth as the ruler (back wall, far side).
-     depthRatio = 1.0 means drill is at the very front, closest to the camera.
-  c) Compute perspective-corrected height:
-     corrected_height_mm = (raw_height_px / ruler_scalePxPerMm) / (1 + depthRatio × (perspectiveRatio - 1))
-  d) Categorize: A (Short, <${thresholds.shortMax}mm), B (Medium, ${thresholds.shortMax}–${thresholds.mediumMax}mm), C (Long, >${thresholds.mediumMax}mm).
+  a) Locate the drill tip (topY) and its center X. Perspective correction is done locally — do NOT correct for depth.
+  b) Measure raw height in millimeters using the ruler scale from Step 1.
+  c) Categorize: A (Short, <${thresholds.shortMax}mm), B (Medium, ${thresholds.shortMax}–${thresholds.mediumMax}mm), C (Long, >${thresholds.mediumMax}mm).
 
 Return ONLY valid JSON (no markdown fences) matching this schema exactly:
 {
   "ruler": {
+    "pixelX": <pixel X of the tape's centre line>,
     "ticks": [
       { "cm": <integer cm value>, "pixelY": <pixel Y coordinate> },
       ...at least 4 entries...
@@ -59,8 +112,7 @@ Return ONLY valid JSON (no markdown fences) matching this schema exactly:
       "centerX": <pixel X of drill center>,
       "topY": <pixel Y of drill tip>,
       "widthPx": <approximate drill width in pixels>,
-      "depthRatio": <0.0 = at ruler depth, 1.0 = front of jig>,
-      "heightMm": <perspective-corrected height in millimeters>,
+      "heightMm": <raw height in millimeters from the ruler scale>,
       "category": "A or B or C"
     }
   ]
@@ -70,16 +122,22 @@ IMPORTANT:
 - All coordinates are in pixels of the original ${imageWidth}×${imageHeight} image.
 - Be thorough: detect ALL visible drill bits.
 - The ruler.ticks array must have at least 4 entries spread across the visible ruler range.
-- perspectiveRatio should be between 1.0 and 2.0 for a typical ~30-45° camera angle.
-- heightMm values must be perspective-corrected as described in Step 4c.`;
+- perspectiveRatio should be between 1.0 and 2.0 for a typical ~30-45° camera angle.`;
 }
 
 /**
  * Build a yRuler object from the new ruler.ticks[] data.
- * @param {{ ticks: Array<{cm: number, pixelY: number}> }} rulerData
- * @returns {{ line, ticks, scalePxPerMm, length, refPixelY }}
+ * With axis 'x' the ticks carry pixelX instead and the result is an xRuler.
+ * `points` keeps every observed tick in absolute pixels for piecewise-linear mapping.
+ * `line` runs along the tape at its image position (`pixelX` for a y ruler, `pixelY` for an
+ * x ruler); it is null when that position is unknown.
+ * @param {{ ticks: Array<{cm: number, pixelY?: number, pixelX?: number}>, pixelX?: number, pixelY?: number }} rulerData
+ * @param {'x'|'y'} [axis='y']
+ * @returns {{ line, ticks, points, scalePxPerMm, length, refPixelY|refPixelX }}
  */
-function buildRulerFromTicks(rulerData) {
+export function buildRulerFromTicks(rulerData, axis = 'y') {
+  const key = axis === 'x' ? 'pixelX' : 'pixelY';
+  const position = axis === 'x' ? rulerData.pixelY : rulerData.pixelX;
   const ticks = (rulerData.ticks || []).slice().sort((a, b) => a.cm - b.cm);
   if (ticks.length < 2) return null;
 
@@ -89,37 +147,37 @@ function buildRulerFromTicks(rulerData) {
   for (const t of ticks) {
     const mm = t.cm * 10;
     sumMm += mm;
-    sumPx += t.pixelY;
-    sumMmPx += mm * t.pixelY;
+    sumPx += t[key];
+    sumMmPx += mm * t[key];
     sumMm2 += mm * mm;
   }
   // slope = dpx/dmm (could be negative if ruler goes top=0 to bottom=40)
   const slope = (n * sumMmPx - sumMm * sumPx) / (n * sumMm2 - sumMm * sumMm);
   const scalePxPerMm = Math.abs(slope);
 
-  // Reference pixel Y at 0cm
+  // Reference pixel at 0cm
   const intercept = (sumPx - slope * sumMm) / n;
-  const refPixelY = intercept; // pixel Y when cm=0
+  const refPixel = intercept; // pixel Y (or X) when cm=0
 
   const firstTick = ticks[0];
   const lastTick = ticks[ticks.length - 1];
-  const start = { x: 0, y: firstTick.pixelY };
-  const end = { x: 0, y: lastTick.pixelY };
+  const at = (pixel) => axis === 'x' ? { x: pixel, y: position } : { x: position, y: pixel };
 
   // Build tick array relative to start (distance in px from start)
   const ticksOut = ticks.map(t => ({
-    px: Math.abs(t.pixelY - refPixelY),
+    px: Math.abs(t[key] - refPixel),
     mm: t.cm * 10,
   }));
 
   const lengthMm = lastTick.cm * 10 - firstTick.cm * 10;
 
   return {
-    line: { start, end },
+    line: isNum(position) ? { start: at(firstTick[key]), end: at(lastTick[key]) } : null,
     ticks: ticksOut,
+    points: ticks.map(t => ({ pixel: t[key], mm: t.cm * 10 })),
     scalePxPerMm,
     length: lengthMm,
-    refPixelY,
+    [axis === 'x' ? 'refPixelX' : 'refPixelY']: refPixel,
   };
 }
 
@@ -139,23 +197,130 @@ function buildRulerFromA4(a4Data) {
   };
 }
 
-function parseGeminiResponse(text, imageWidth, imageHeight, thresholds) {
-  // Extract JSON from response (handle markdown fences, thinking blocks, etc.)
-  let jsonStr = text.trim();
+const isNum = (v) => typeof v === 'number' && isFinite(v);
+
+/**
+ * Check a parsed jig response against the documented schema and plausible ranges.
+ * Never throws: unusable entries are dropped and every problem is reported.
+ * @param {object} data - parsed JSON from Gemini
+ * @param {number} imageWidth - of the image sent to Gemini
+ * @param {number} imageHeight
+ * @returns {{ data: object, issues: Array<{ field: string, severity: 'error'|'warning', message: string }> }}
+ */
+export function validateJigResponse(data, imageWidth, imageHeight) {
+  const issues = [];
+  const error = (field, message) => issues.push({ field, severity: 'error', message });
+  const warning = (field, message) => issues.push({ field, severity: 'warning', message });
+  const clean = { ...data };
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    error('(response)', 'Response is not a JSON object.');
+    return { data: { drills: [] }, issues };
+  }
+
+  // Ruler ticks (old-schema xRuler/yRuler answers are passed through untouched)
+  if (data.ruler) {
+    const ticks = Array.isArray(data.ruler.ticks) ? data.ruler.ticks : [];
+    if (!Array.isArray(data.ruler.ticks)) error('ruler.ticks', 'Missing ruler ticks.');
+    const valid = ticks.filter((t, i) => {
+      if (!isNum(t?.cm) || !isNum(t?.pixelY)) {
+        error(`ruler.ticks[${i}]`, 'Tick is missing cm or pixelY; ignored.');
+        return false;
+      }
+      if (t.pixelY < 0 || t.pixelY > imageHeight) {
+        error(`ruler.ticks[${i}].pixelY`, `pixelY ${Math.round(t.pixelY)} is outside the image (0–${imageHeight}); ignored.`);
+        return false;
+      }
+      return true;
+    });
+    const seen = new Set();
+    const unique = valid.filter(t => !seen.has(t.cm) && seen.add(t.cm));
+    if (unique.length < valid.length) warning('ruler.ticks', 'Duplicate cm values; kept the first of each.');
+    if (unique.length < 2) {
+      error('ruler.ticks', `Only ${unique.length} usable ruler tick(s); at least 2 are needed for a ruler.`);
+    } else if (unique.length < MIN_RULER_TICKS) {
+      warning('ruler.ticks', `Only ${unique.length} ruler ticks (expected at least ${MIN_RULER_TICKS}); calibration may be less accurate.`);
+    }
+    clean.ruler = { ...data.ruler, ticks: unique };
+    if (!isNum(data.ruler.pixelX) || data.ruler.pixelX < 0 || data.ruler.pixelX > imageWidth) {
+      warning('ruler.pixelX', 'Missing or out-of-image tape position; drill heights are not corrected for depth.');
+      clean.ruler.pixelX = null;
+    }
+  } else if (!data.yRuler) {
+    error('ruler', 'Missing ruler.');
+  }
+
+  // A4 sheet (only feeds the perspective warning)
+  if (data.a4Paper) {
+    const a4 = data.a4Paper;
+    for (const key of ['nearEdgePx', 'farEdgePx', 'scalePxPerMm']) {
+      if (!isNum(a4[key]) || a4[key] <= 0) warning(`a4Paper.${key}`, `${key} is missing or not positive.`);
+    }
+    const [lo, hi] = PERSPECTIVE_RATIO_RANGE;
+    if (!isNum(a4.perspectiveRatio)) {
+      warning('a4Paper.perspectiveRatio', 'perspectiveRatio is missing.');
+    } else if (a4.perspectiveRatio < lo || a4.perspectiveRatio > hi) {
+      warning('a4Paper.perspectiveRatio', `perspectiveRatio ${a4.perspectiveRatio.toFixed(2)} is outside ${lo.toFixed(1)}–${hi.toFixed(1)}.`);
+    }
+    if (!isNum(a4.scalePxPerMm) || a4.scalePxPerMm <= 0) clean.a4Paper = null;
+  } else if (!data.xRuler) {
+    warning('a4Paper', 'Missing A4 paper measurements.');
+  }
+
+  // Base line
+  if (data.baseLineY == null) {
+    warning('baseLineY', 'Missing base line; drag it into place manually.');
+  } else if (!isNum(data.baseLineY) || data.baseLineY < 0 || data.baseLineY > imageHeight) {
+    error('baseLineY', `baseLineY ${data.baseLineY} is outside the image (0–${imageHeight}); ignored.`);
+    clean.baseLineY = null;
+  }
 
-  // Try to extract from markdown code fences (```json ... ``` or ``` ... ```)
-  const fenceMatch = jsonStr.match(/```(?:json)?\s*\n?([\s\S]*)\n?```/);
-  if (fenceMatch) {
-    jsonStr = fenceMatch[1].trim();
+  // Drills
+  if (!Array.isArray(data.drills)) {
+    error('drills', 'Missing drills array.');
+    clean.drills = [];
   } else {
-    // Try to find raw JSON object in the text
-    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-    if (jsonMatch) jsonStr = jsonMatch[0];
+    clean.drills = data.drills.filter((d, i) => {
+      if (!isNum(d?.centerX) || !isNum(d?.topY)) {
+        error(`drills[${i}]`, 'Drill is missing centerX or topY; ignored.');
+        return false;
+      }
+      if (d.centerX < 0 || d.centerX > imageWidth || d.topY < 0 || d.topY > imageHeight) {
+        error(`drills[${i}]`, `Drill at (${Math.round(d.centerX)}, ${Math.round(d.topY)}) is outside the image; ignored.`);
+        return false;
+      }
+      if (isNum(clean.baseLineY) && d.topY >= clean.baseLineY) {
+        warning(`drills[${i}].topY`, 'Drill tip is at or below the base line.');
+      }
+      if (d.category != null && !['A', 'B', 'C'].includes(d.category)) {
+        warning(`drills[${i}].category`, `Unknown category "${d.category}"; recomputed from height.`);
+      }
+      return true;
+    });
   }
 
+  return { data: clean, issues };
+}
+
+/**
+ * Turn the model's answer text into rulers, base line and drills in image pixels.
+ * Drill heights are measured through the yRuler when there is one.
+ * @param {string} text - answer text from generateContent()
+ * @param {number} imageWidth - of the image sent to Gemini
+ * @param {number} imageHeight
+ * @param {{ shortMax: number, mediumMax: number }} thresholds
+ * @returns {{ xRuler, yRuler, baseLine, drills, issues }}
+ */
+export function parseGeminiResponse(text, imageWidth, imageHeight, thresholds) {
   console.log('Gemini raw response:', text);
-  console.log('Extracted JSON string:', jsonStr);
-  const data = JSON.parse(jsonStr);
+  const parsed = extractJson(text);
+  if (!parsed.data) {
+    return {
+      xRuler: null, yRuler: null, baseLine: null, drills: [],
+      issues: [{ field: '(response)', severity: 'error', message: parsed.error }],
+    };
+  }
+  const { data, issues } = validateJigResponse(parsed.data, imageWidth, imageHeight);
 
   // Build rulers — support both new schema (ruler.ticks) and old schema (xRuler/yRuler) for backward compat
   let xRuler = null;
@@ -175,22 +340,23 @@ function parseGeminiResponse(text, imageWidth, imageHeight, thresholds) {
   const baseLine = data.baseLineY != null
     ? {
         y: data.baseLineY,
-        mmValue: yRuler
-          ? (data.baseLineY - yRuler.line.start.y) / yRuler.scalePxPerMm
-          : 0,
+        mmValue: yRuler ? rulerPixelToMm(yRuler, data.baseLineY) ?? 0 : 0,
       }
     : null;
 
   // Transform drills
-  const drills = (data.drills || [])
+  const drills = data.drills
     .sort((a, b) => a.centerX - b.centerX)
     .map((d, i) => {
       const halfW = (d.widthPx || 20) / 2;
-      const heightMm = d.heightMm || 0;
-      const category = heightMm < thresholds.shortMax ? 'A'
-        : heightMm < thresholds.mediumMax ? 'B' : 'C';
       // bottomY: use data.baseLineY as fallback (new schema drops bottomY)
       const bottomY = d.bottomY != null ? d.bottomY : (data.baseLineY || 0);
+      // Measure through the ruler calibration; Gemini's own estimate only without a ruler
+      const heightMm = yRuler
+        ? rulerDistanceMm(yRuler, d.topY, bottomY)
+        : (d.heightMm || 0);
+      const category = heightMm < thresholds.shortMax ? 'A'
+        : heightMm < thresholds.mediumMax ? 'B' : 'C';
       return {
         id: i + 1,
         rect: null,
@@ -209,7 +375,7 @@ function parseGeminiResponse(text, imageWidth, imageHeight, thresholds) {
       };
     });
 
-  return { xRuler, yRuler, baseLine, drills };
+  return { xRuler, yRuler, baseLine, drills, issues };
 }
 
 function transformRuler(raw, axis) {
@@ -234,90 +400,45 @@ function transformRuler(raw, axis) {
   return {
     line: { start, end },
     ticks,
+    points: [
+      { pixel: axis === 'x' ? start.x : start.y, mm: 0 },
+      { pixel: axis === 'x' ? end.x : end.y, mm: lengthMm },
+    ],
     scalePxPerMm,
     length: lengthMm,
   };
 }
 
-/**
- * Resize image if needed and return base64 JPEG.
- * @param {HTMLImageElement} image
- * @returns {{ base64: string, width: number, height: number }}
- */
-function imageToBase64(image) {
-  const MAX_DIM = 4096;
-  let w = image.naturalWidth;
-  let h = image.naturalHeight;
-  let scale = 1;
-
-  if (w > MAX_DIM || h > MAX_DIM) {
-    scale = MAX_DIM / Math.max(w, h);
-    w = Math.round(w * scale);
-    h = Math.round(h * scale);
-  }
-
-  const canvas = document.createElement('canvas');
-  canvas.width = w;
-  canvas.height = h;
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(image, 0, 0, w, h);
-  const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
-  return { base64: dataUrl.split(',')[1], width: w, height: h, scale };
-}
-
 /**
  * Analyze a jig photo using Gemini API.
  * @param {string} apiKey
  * @param {HTMLImageElement} image
  * @param {{ shortMax: number, mediumMax: number }} thresholds
- * @returns {Promise<{ xRuler, yRuler, baseLine, drills }>}
+ * @param {object} [options] - request options passed to generateContent() (signal, timeoutMs, onRetry)
+ * @returns {Promise<{ xRuler, yRuler, baseLine, drills, issues }>} - `issues` from validateJigResponse()
+ * @throws {GeminiError}
  */
-export async function analyzeJigImage(apiKey, image, thresholds) {
+export async function analyzeJigImage(apiKey, image, thresholds, options = {}) {
   const { base64, width, height, scale } = imageToBase64(image);
   const prompt = buildPrompt(width, height, thresholds);
 
-  const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{
-        parts: [
-          { text: prompt },
-          { inline_data: { mime_type: 'image/jpeg', data: base64 } },
-        ],
-      }],
-      generationConfig: {
-        temperature: 0.1,
-        maxOutputTokens: 32000,
-        thinkingConfig: { thinkingBudget: 4096 },
-      },
-    }),
+  const text = await generateContent({
+    apiKey,
+    model: GEMINI_MODEL,
+    parts: [
+      { text: prompt },
+      { inline_data: { mime_type: 'image/jpeg', data: base64 } },
+    ],
+    generationConfig: {
+      temperature: 0.1,
+      maxOutputTokens: 32000,
+      thinkingConfig: { thinkingBudget: 4096 },
+      responseMimeType: 'application/json',
+      responseSchema: JIG_RESPONSE_SCHEMA,
+    },
+    ...options,
   });
 
-  if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    if (response.status === 401 || response.status === 403) {
-      const msg = err.error?.message || '';
-      if (msg.includes('SERVICE_DISABLED') || msg.includes('has not been used')) {
-        throw new Error('Generative Language API is not enabled. Visit console.developers.google.com to enable it for your project, or use a key from aistudio.google.com.');
-      }
-      throw new Error('Invalid API key. Check your Gemini API key and try again.');
-    }
-    if (response.status === 429) {
-      throw new Error('Rate limited. Please wait a moment and try again.');
-    }
-    throw new Error(err.error?.message || `Gemini API error (${response.status})`);
-  }
-
-  const json = await response.json();
-  // Gemini 2.5 may return multiple parts (thinking + text). Find the text part with JSON.
-  const parts = json.candidates?.[0]?.content?.parts || [];
-  const text = parts.map(p => p.text || '').filter(Boolean).pop();
-  console.log('Gemini response parts:', parts.length, parts.map(p => (p.text || '').substring(0, 100)));
-  if (!text) {
-    throw new Error('Gemini returned an empty response. Try again with a clearer photo.');
-  }
-
   const result = parseGeminiResponse(text, width, height, thresholds);
 
   // If image was downscaled, map coordinates back to original dimensions
@@ -327,7 +448,11 @@ export async function analyzeJigImage(apiKey, image, thresholds) {
   }
 
   if (result.drills.length === 0) {
-    throw new Error('No drill bits detected. Ensure drill bits are visible in the photo.');
+    const reason = result.issues.find(i => i.severity === 'error');
+    throw new GeminiResponseError(
+      reason ? `No usable drills in the response: ${reason.message}` : 'No drill bits detected. Ensure drill bits are visible in the photo.',
+      result.issues
+    );
   }
 
   return result;
@@ -337,11 +462,15 @@ function scaleResult(result, factor) {
   const scalePoint = (p) => { p.x *= factor; p.y *= factor; };
   const scaleRuler = (r) => {
     if (!r) return;
-    scalePoint(r.line.start);
-    scalePoint(r.line.end);
+    if (r.line) {
+      scalePoint(r.line.start);
+      scalePoint(r.line.end);
+    }
     r.ticks.forEach(t => { t.px *= factor; });
+    if (r.points) r.points.forEach(p => { p.pixel *= factor; });
     r.scalePxPerMm *= factor;
     if (r.refPixelY != null) r.refPixelY *= factor;
+    if (r.refPixelX != null) r.refPixelX *= factor;
   };
   scaleRuler(result.xRuler);
   scaleRuler(result.yRuler);
@@ -1,9 +1,7 @@
 // Gemini API integration for Jig Mode slot occupancy detection
 
 import stripsConfig from './config/strips.json';
-
-const GEMINI_API_BASE =
-  'https://generativelanguage.googleapis.com/v1beta/models';
+import { generateContent, imageToBase64, extractJson, GeminiResponseError } from './geminiClient.js';
 
 export const GEMINI_MODELS = [
   { id: 'gemini-3-flash-preview', label: 'Gemini 3 Flash' },
@@ -16,6 +14,49 @@ export const PROMPT_VERSIONS = [
   { id: 'v2', label: 'V2 — 3-Phase Analysis' },
 ];
 
+// Structured-output schema for slot detection (mirrors the JSON described in the prompt)
+const SLOT_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    strips: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          color_name: { type: 'STRING', enum: Object.keys(stripsConfig.color_palette) },
+          slot_count: { type: 'INTEGER' },
+          boundingBox: {
+            type: 'OBJECT',
+            properties: {
+              x: { type: 'NUMBER' },
+              y: { type: 'NUMBER' },
+              width: { type: 'NUMBER' },
+              height: { type: 'NUMBER' },
+            },
+            required: ['x', 'y', 'width', 'height'],
+          },
+          slots: {
+            type: 'ARRAY',
+            items: {
+              type: 'OBJECT',
+              properties: {
+                index: { type: 'INTEGER' },
+                occupied: { type: 'BOOLEAN' },
+                confidence: { type: 'NUMBER' },
+                x: { type: 'NUMBER' },
+                y: { type: 'NUMBER' },
+              },
+              required: ['index', 'occupied', 'confidence', 'x', 'y'],
+            },
+          },
+        },
+        required: ['color_name', 'slot_count', 'boundingBox', 'slots'],
+      },
+    },
+  },
+  required: ['strips'],
+};
+
 /**
  * Build disambiguation hints grouped by color for the prompt.
  */
@@ -160,7 +201,7 @@ ${shared.task}`;
 /**
  * Resolve strip IDs from color + slot_count against strips.json.
  */
-function resolveStripIds(colorName, slotCount) {
+export function resolveStripIds(colorName, slotCount) {
   const candidates = stripsConfig.strips.filter(s => s.color_name === colorName);
   if (candidates.length === 0) {
     return { possible_ids: [], resolved_id: null };
@@ -178,25 +219,84 @@ function resolveStripIds(colorName, slotCount) {
   return { possible_ids: candidates.map(s => s.id), resolved_id: null };
 }
 
-function parseSlotDetectionResponse(text, imageWidth, imageHeight) {
-  let jsonStr = text.trim();
+const isNum = (v) => typeof v === 'number' && isFinite(v);
 
-  // Extract from markdown code fences
-  const fenceMatch = jsonStr.match(/```(?:json)?\s*\n?([\s\S]*)\n?```/);
-  if (fenceMatch) {
-    jsonStr = fenceMatch[1].trim();
-  } else {
-    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-    if (jsonMatch) jsonStr = jsonMatch[0];
+/**
+ * Check a parsed slot response against the documented schema and plausible ranges.
+ * Never throws: unusable strips and slots are dropped and every problem is reported.
+ * @param {object} data - parsed JSON from Gemini
+ * @param {number} imageWidth - of the image sent to Gemini
+ * @param {number} imageHeight
+ * @returns {{ data: { strips: Array }, issues: Array<{ field: string, severity: 'error'|'warning', message: string }> }}
+ */
+export function validateSlotResponse(data, imageWidth, imageHeight) {
+  const issues = [];
+  const error = (field, message) => issues.push({ field, severity: 'error', message });
+  const warning = (field, message) => issues.push({ field, severity: 'warning', message });
+
+  if (!data || !Array.isArray(data.strips)) {
+    error('strips', 'Missing strips array.');
+    return { data: { strips: [] }, issues };
   }
 
-  console.log('Gemini slot detection raw response:', text);
-  console.log('Extracted JSON string:', jsonStr);
-  const data = JSON.parse(jsonStr);
+  const strips = [];
+  data.strips.forEach((strip, i) => {
+    const field = `strips[${i}]`;
+    if (!strip || typeof strip !== 'object') {
+      error(field, 'Strip is not an object; ignored.');
+      return;
+    }
+    if (!(strip.color_name in stripsConfig.color_palette)) {
+      warning(`${field}.color_name`, `Unknown strip colour "${strip.color_name}".`);
+    }
+    const slots = (Array.isArray(strip.slots) ? strip.slots : []).filter((slot, si) => {
+      const slotField = `${field}.slots[${si}]`;
+      if (!slot || typeof slot !== 'object') {
+        error(slotField, 'Slot is not an object; ignored.');
+        return false;
+      }
+      if (typeof slot.occupied !== 'boolean') warning(`${slotField}.occupied`, 'occupied is not a boolean.');
+      if (isNum(slot.confidence) && (slot.confidence < 0 || slot.confidence > 1)) {
+        warning(`${slotField}.confidence`, `confidence ${slot.confidence} is outside 0–1.`);
+      }
+      if (!isNum(slot.x) || !isNum(slot.y)) {
+        warning(slotField, 'Slot is missing x/y coordinates.');
+      } else if (slot.x < 0 || slot.x > imageWidth || slot.y < 0 || slot.y > imageHeight) {
+        warning(slotField, `Slot at (${Math.round(slot.x)}, ${Math.round(slot.y)}) is outside the image.`);
+      }
+      return true;
+    });
+    if (slots.length === 0) {
+      error(`${field}.slots`, 'Strip has no slots; ignored.');
+      return;
+    }
+    if (strip.slot_count !== slots.length) {
+      warning(`${field}.slot_count`, `slot_count ${strip.slot_count} does not match ${slots.length} reported slots.`);
+    }
+    const bb = strip.boundingBox;
+    if (!bb || ![bb.x, bb.y, bb.width, bb.height].every(isNum)) {
+      warning(`${field}.boundingBox`, 'Missing or incomplete bounding box.');
+    }
+    strips.push({ ...strip, slots });
+  });
+
+  return { data: { strips }, issues };
+}
 
-  if (!data.strips || !Array.isArray(data.strips)) {
-    throw new Error('Invalid response: missing strips array');
+/**
+ * Turn the model's answer text into strips with resolved IDs and clamped confidences.
+ * @param {string} text - answer text from generateContent()
+ * @param {number} imageWidth - of the image sent to Gemini
+ * @param {number} imageHeight
+ * @returns {{ strips: Array, issues: Array }}
+ */
+export function parseSlotDetectionResponse(text, imageWidth, imageHeight) {
+  console.log('Gemini slot detection raw response:', text);
+  const parsed = extractJson(text);
+  if (!parsed.data) {
+    return { strips: [], issues: [{ field: '(response)', severity: 'error', message: parsed.error }] };
   }
+  const { data, issues } = validateSlotResponse(parsed.data, imageWidth, imageHeight);
 
   const strips = data.strips.map((strip, i) => {
     const { possible_ids, resolved_id } = resolveStripIds(strip.color_name, strip.slot_count);
@@ -206,48 +306,26 @@ function parseSlotDetectionResponse(text, imageWidth, imageHeight) {
       slot_count: strip.slot_count || 0,
       possible_ids,
       resolved_id,
+      coating_id: null,
       boundingBox: strip.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
-      slots: (strip.slots || []).map(slot => ({
+      slots: strip.slots.map(slot => ({
         index: slot.index,
         occupied: !!slot.occupied,
-        confidence: typeof slot.confidence === 'number' ? slot.confidence : 1.0,
+        confidence: isNum(slot.confidence) ? Math.min(1, Math.max(0, slot.confidence)) : 1.0,
         x: slot.x || 0,
         y: slot.y || 0,
+        coating_id: null,
       })),
     };
   });
 
-  return { strips };
-}
-
-/**
- * Resize image if needed and return base64 JPEG.
- */
-function imageToBase64(image) {
-  const MAX_DIM = 4096;
-  let w = image.naturalWidth;
-  let h = image.naturalHeight;
-  let scale = 1;
-
-  if (w > MAX_DIM || h > MAX_DIM) {
-    scale = MAX_DIM / Math.max(w, h);
-    w = Math.round(w * scale);
-    h = Math.round(h * scale);
-  }
-
-  const canvas = document.createElement('canvas');
-  canvas.width = w;
-  canvas.height = h;
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(image, 0, 0, w, h);
-  const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
-  return { base64: dataUrl.split(',')[1], width: w, height: h, scale };
+  return { strips, issues };
 }
 
 /**
  * Scale all pixel coordinates back to original image dimensions.
  */
-function scaleSlotResult(result, factor) {
+export function scaleSlotResult(result, factor) {
   result.strips.forEach(strip => {
     strip.boundingBox.x *= factor;
     strip.boundingBox.y *= factor;
@@ -266,60 +344,38 @@ function scaleSlotResult(result, factor) {
  * @param {HTMLImageElement|HTMLImageElement[]} images - single image or array of images
  * @param {string} [model='gemini-3-flash-preview'] - Gemini model ID
  * @param {string} [promptVersion='v1'] - Prompt version ('v1' or 'v2')
- * @returns {Promise<{ strips: Array }>}
+ * @param {object} [options] - request options passed to generateContent() (signal, timeoutMs, onRetry)
+ * @returns {Promise<{ strips: Array, issues: Array }>} - `issues` from validateSlotResponse()
+ * @throws {GeminiError}
  */
-export async function analyzeJigSlots(apiKey, images, model = 'gemini-3-flash-preview', promptVersion = 'v1') {
+export async function analyzeJigSlots(apiKey, images, model = 'gemini-3-flash-preview', promptVersion = 'v1', options = {}) {
   // Normalize to array
   const imageArray = Array.isArray(images) ? images : [images];
   const encoded = imageArray.map(img => imageToBase64(img));
   const primary = encoded[0];
   const prompt = buildSlotDetectionPrompt(primary.width, primary.height, encoded.length, promptVersion);
-  const url = `${GEMINI_API_BASE}/${model}:generateContent`;
 
   const imageParts = encoded.map(enc => ({
     inline_data: { mime_type: 'image/jpeg', data: enc.base64 },
   }));
 
-  const response = await fetch(`${url}?key=${apiKey}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{
-        parts: [
-          { text: prompt },
-          ...imageParts,
-        ],
-      }],
-      generationConfig: {
-        temperature: 0.1,
-        maxOutputTokens: 32000,
-        thinkingConfig: { thinkingBudget: 4096 },
-      },
-    }),
+  const text = await generateContent({
+    apiKey,
+    model,
+    parts: [
+      { text: prompt },
+      ...imageParts,
+    ],
+    generationConfig: {
+      temperature: 0.1,
+      maxOutputTokens: 32000,
+      thinkingConfig: { thinkingBudget: 4096 },
+      responseMimeType: 'application/json',
+      responseSchema: SLOT_RESPONSE_SCHEMA,
+    },
+    ...options,
   });
 
-  if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    if (response.status === 401 || response.status === 403) {
-      const msg = err.error?.message || '';
-      if (msg.includes('SERVICE_DISABLED') || msg.includes('has not been used')) {
-        throw new Error('Generative Language API is not enabled. Visit console.developers.google.com to enable it for your project, or use a key from aistudio.google.com.');
-      }
-      throw new Error('Invalid API key. Check your Gemini API key and try again.');
-    }
-    if (response.status === 429) {
-      throw new Error('Rate limited. Please wait a moment and try again.');
-    }
-    throw new Error(err.error?.message || `Gemini API error (${response.status})`);
-  }
-
-  const json = await response.json();
-  const parts = json.candidates?.[0]?.content?.parts || [];
-  const text = parts.map(p => p.text || '').filter(Boolean).pop();
-  if (!text) {
-    throw new Error('Gemini returned an empty response. Try again with a clearer photo.');
-  }
-
   const result = parseSlotDetectionResponse(text, primary.width, primary.height);
 
   if (primary.scale < 1) {
@@ -327,7 +383,11 @@ export async function analyzeJigSlots(apiKey, images, model = 'gemini-3-flash-pr
   }
 
   if (result.strips.length === 0) {
-    throw new Error('No strips detected. Ensure colored strips are visible in the photo.');
+    const reason = result.issues.find(i => i.severity === 'error');
+    throw new GeminiResponseError(
+      reason ? `No usable strips in the response: ${reason.message}` : 'No strips detected. Ensure colored strips are visible in the photo.',
+      result.issues
+    );
   }
 
   return result;
@@ -0,0 +1,358 @@
+// Plane geometry helpers: distances, angles, polygons, corner ordering, homographies and ellipse handles
+
+/**
+ * Euclidean distance between two points.
+ * @param {{ x: number, y: number }} p1
+ * @param {{ x: number, y: number }} p2
+ * @returns {number}
+ */
+export function getDistance(p1, p2) {
+  return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+}
+
+/**
+ * Order four corners as top-left, top-right, bottom-right, bottom-left.
+ * The corners are wound clockwise around their centroid (the convex hull of a
+ * quadrilateral), so the labelling never crosses over itself at any rotation.
+ * The corner nearest the image's top-left becomes TL.
+ * @param {Array<{ x: number, y: number }>} points - exactly four
+ * @returns {Array<{ x: number, y: number }>} [TL, TR, BR, BL]
+ */
+export function orderCorners(points) {
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  // Increasing atan2 is clockwise on screen (y points down)
+  const wound = [...points].sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+
+  let start = 0;
+  wound.forEach((p, i) => {
+    const s = wound[start];
+    if (p.x + p.y < s.x + s.y || (p.x + p.y === s.x + s.y && p.y < s.y)) start = i;
+  });
+  return rotateCorners(wound, start);
+}
+
+/**
+ * Shift the TL/TR/BR/BL labels `steps` places clockwise: with steps = 1 the
+ * current TR becomes TL. The winding is unchanged.
+ * @param {Array<{ x: number, y: number }>} corners - [TL, TR, BR, BL]
+ * @param {number} [steps=1]
+ * @returns {Array<{ x: number, y: number }>}
+ */
+export function rotateCorners(corners, steps = 1) {
+  const n = corners.length;
+  return corners.map((_, i) => corners[(((i + steps) % n) + n) % n]);
+}
+
+/**
+ * Relabel ordered corners so the TL→TR edge matches the paper's width: the short
+ * side for a portrait size such as A4 (210×297). Of the two labellings that do,
+ * the one keeping TL nearest the image's top-left wins.
+ * @param {Array<{ x: number, y: number }>} corners - [TL, TR, BR, BL], e.g. from orderCorners()
+ * @param {{ width: number, height: number }} paper - mm
+ * @returns {Array<{ x: number, y: number }>}
+ */
+export function alignCornersToPaper(corners, paper) {
+  const edge = (i) => getDistance(corners[i], corners[(i + 1) % 4]);
+  const across = (edge(0) + edge(2)) / 2; // TL→TR and BR→BL
+  const down = (edge(1) + edge(3)) / 2;
+  const paperShortAcross = paper.width <= paper.height;
+  if ((across <= down) === paperShortAcross) return corners;
+
+  const [a, b] = [rotateCorners(corners, 1), rotateCorners(corners, 3)];
+  return a[0].x + a[0].y <= b[0].x + b[0].y ? a : b;
+}
+
+/**
+ * Solve A·x = b by Gauss-Jordan elimination with partial pivoting.
+ * @param {number[][]} A - n×n
+ * @param {number[]} b - length n
+ * @returns {number[]|null} null when A is (numerically) singular
+ */
+export function solveLinearSystem(A, b) {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let i = 0; i < n; i++) {
+    let pivotRow = i;
+    for (let j = i + 1; j < n; j++) {
+      if (Math.abs(M[j][i]) > Math.abs(M[pivotRow][i])) pivotRow = j;
+    }
+    const temp = M[i];
+    M[i] = M[pivotRow];
+    M[pivotRow] = temp;
+
+    if (Math.abs(M[i][i]) < 1e-12) return null;
+
+    const pivot = M[i][i];
+    for (let j = i; j <= n; j++) M[i][j] /= pivot;
+
+    for (let k = 0; k < n; k++) {
+      if (k !== i) {
+        const factor = M[k][i];
+        for (let j = i; j <= n; j++) M[k][j] -= factor * M[i][j];
+      }
+    }
+  }
+  return M.map(row => row[n]);
+}
+
+// True when any three of the points lie on one line (relative to the points' spread)
+function hasCollinearTriple(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const extent = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  const tolerance = 1e-9 * extent * extent;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      for (let k = j + 1; k < points.length; k++) {
+        const [a, b, c] = [points[i], points[j], points[k]];
+        const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        if (Math.abs(cross) <= tolerance) return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Homography mapping four source points onto four destination points (H[2][2] = 1).
+ * @param {Array<{ x: number, y: number }>} srcPoints
+ * @param {Array<{ x: number, y: number }>} dstPoints
+ * @returns {number[][]|null} 3×3, or null for degenerate input (e.g. three collinear points)
+ */
+export function computeHomography(srcPoints, dstPoints) {
+  if (srcPoints.length !== 4 || dstPoints.length !== 4) return null;
+  // The linear system is singular here but rounding can hide it from the pivot check
+  if (hasCollinearTriple(srcPoints) || hasCollinearTriple(dstPoints)) return null;
+  const A = [];
+  const b = [];
+  for (let i = 0; i < 4; i++) {
+    const sx = srcPoints[i].x;
+    const sy = srcPoints[i].y;
+    const dx = dstPoints[i].x;
+    const dy = dstPoints[i].y;
+    A.push([sx, sy, 1, 0, 0, 0, -sx * dx, -sy * dx]);
+    b.push(dx);
+    A.push([0, 0, 0, sx, sy, 1, -sx * dy, -sy * dy]);
+    b.push(dy);
+  }
+  const h = solveLinearSystem(A, b);
+  if (!h) return null;
+  return [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+}
+
+// Similarity moving the points' centroid to the origin with mean distance √2 (Hartley normalisation)
+function normalizingTransform(points) {
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const meanDist = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+  const s = meanDist > 0 ? Math.SQRT2 / meanDist : 1;
+  return [[s, 0, -s * cx], [0, s, -s * cy], [0, 0, 1]];
+}
+
+function multiply3(A, B) {
+  return A.map((row, i) => B[0].map((_, j) => row[0] * B[0][j] + row[1] * B[1][j] + row[2] * B[2][j]));
+}
+
+/**
+ * Least-squares homography through four or more point pairs, e.g. every corner of
+ * several detected markers. With exactly four pairs it matches computeHomography().
+ * @param {Array<{ x: number, y: number }>} srcPoints
+ * @param {Array<{ x: number, y: number }>} dstPoints - same length as srcPoints
+ * @returns {number[][]|null} 3×3 with H[2][2] = 1, or null for too few or degenerate pairs
+ */
+export function fitHomography(srcPoints, dstPoints) {
+  if (srcPoints.length < 4 || srcPoints.length !== dstPoints.length) return null;
+  const Ts = normalizingTransform(srcPoints);
+  const Td = normalizingTransform(dstPoints);
+  const src = srcPoints.map(p => applyHomography(Ts, p));
+  const dst = dstPoints.map(p => applyHomography(Td, p));
+
+  // Normal equations AᵀA·h = Aᵀb of the same rows computeHomography() solves exactly
+  const AtA = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  const Atb = new Array(8).fill(0);
+  const addRow = (row, rhs) => {
+    for (let i = 0; i < 8; i++) {
+      Atb[i] += row[i] * rhs;
+      for (let j = 0; j < 8; j++) AtA[i][j] += row[i] * row[j];
+    }
+  };
+  src.forEach((s, i) => {
+    const d = dst[i];
+    addRow([s.x, s.y, 1, 0, 0, 0, -s.x * d.x, -s.y * d.x], d.x);
+    addRow([0, 0, 0, s.x, s.y, 1, -s.x * d.y, -s.y * d.y], d.y);
+  });
+  const h = solveLinearSystem(AtA, Atb);
+  if (!h) return null;
+
+  // Undo the normalisation: H = Td⁻¹ · Hn · Ts
+  const Hn = [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+  const TdInv = [[1 / Td[0][0], 0, -Td[0][2] / Td[0][0]], [0, 1 / Td[1][1], -Td[1][2] / Td[1][1]], [0, 0, 1]];
+  const H = multiply3(multiply3(TdInv, Hn), Ts);
+  if (Math.abs(H[2][2]) < 1e-12) return null;
+  return H.map(row => row.map(v => v / H[2][2]));
+}
+
+/**
+ * Map a point through H.
+ * @param {number[][]} H
+ * @param {{ x: number, y: number }} p
+ * @returns {{ x: number, y: number }}
+ */
+export function applyHomography(H, p) {
+  const rho = H[2][0] * p.x + H[2][1] * p.y + H[2][2];
+  return {
+    x: (H[0][0] * p.x + H[0][1] * p.y + H[0][2]) / rho,
+    y: (H[1][0] * p.x + H[1][1] * p.y + H[1][2]) / rho
+  };
+}
+
+/**
+ * Map a point through H⁻¹ (e.g. paper mm back to image pixels).
+ * @param {number[][]} H
+ * @param {{ x: number, y: number }} p
+ * @returns {{ x: number, y: number }|null} null when H is singular
+ */
+export function applyInverseHomography(H, p) {
+  const det = (
+    H[0][0] * (H[1][1] * H[2][2] - H[1][2] * H[2][1]) -
+    H[0][1] * (H[1][0] * H[2][2] - H[1][2] * H[2][0]) +
+    H[0][2] * (H[1][0] * H[2][1] - H[1][1] * H[2][0])
+  );
+  if (Math.abs(det) < 1e-12) return null;
+  const invH = [
+    [(H[1][1] * H[2][2] - H[1][2] * H[2][1]) / det, (H[0][2] * H[2][1] - H[0][1] * H[2][2]) / det, (H[0][1] * H[1][2] - H[0][2] * H[1][1]) / det],
+    [(H[1][2] * H[2][0] - H[1][0] * H[2][2]) / det, (H[0][0] * H[2][2] - H[0][2] * H[2][0]) / det, (H[0][2] * H[1][0] - H[0][0] * H[1][2]) / det],
+    [(H[1][0] * H[2][1] - H[1][1] * H[2][0]) / det, (H[0][1] * H[2][0] - H[0][0] * H[2][1]) / det, (H[0][0] * H[1][1] - H[0][1] * H[1][0]) / det]
+  ];
+  return applyHomography(invH, p);
+}
+
+/**
+ * Angle at `vertex` between the arms to `a` and `b`. With H the three points are mapped
+ * first, e.g. onto the paper plane, so a corner photographed at a slant still reads 90°.
+ * @param {{ x: number, y: number }} a
+ * @param {{ x: number, y: number }} vertex
+ * @param {{ x: number, y: number }} b
+ * @param {number[][]|null} [H=null]
+ * @returns {number} degrees, 0–180
+ */
+export function angleDeg(a, vertex, b, H = null) {
+  const [pa, pv, pb] = H ? [a, vertex, b].map(p => applyHomography(H, p)) : [a, vertex, b];
+  const diff = Math.abs(Math.atan2(pa.y - pv.y, pa.x - pv.x) - Math.atan2(pb.y - pv.y, pb.x - pv.x)) * 180 / Math.PI;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Enclosed area of a simple polygon (shoelace formula), in the points' units squared.
+ * @param {Array<{ x: number, y: number }>} points - vertices in order, not repeating the first
+ * @returns {number}
+ */
+export function polygonArea(points) {
+  let twice = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    twice += p.x * q.y - q.x * p.y;
+  });
+  return Math.abs(twice) / 2;
+}
+
+/**
+ * Length of a closed polygon's outline, back to the first vertex.
+ * @param {Array<{ x: number, y: number }>} points
+ * @returns {number}
+ */
+export function polygonPerimeter(points) {
+  if (points.length < 2) return 0;
+  return points.reduce((sum, p, i) => sum + getDistance(p, points[(i + 1) % points.length]), 0);
+}
+
+/**
+ * Thin a freehand path: drop each point closer than `minDistance` to the last one kept.
+ * @param {Array<{ x: number, y: number }>} points
+ * @param {number} minDistance
+ * @returns {Array<{ x: number, y: number }>}
+ */
+export function simplifyPath(points, minDistance) {
+  const kept = [];
+  for (const p of points) {
+    if (kept.length === 0 || getDistance(kept[kept.length - 1], p) >= minDistance) kept.push(p);
+  }
+  return kept;
+}
+
+/**
+ * Drag handles of an ellipse: centre, then both ends of the first axis, then both ends of the second.
+ * @param {{ center: { x: number, y: number }, a: number, b: number, angle: number }} ellipse -
+ *   semi-axes in px; `a` lies along `angle` (radians), `b` perpendicular to it; either may be the longer
+ * @returns {Array<{ x: number, y: number }>} five points
+ */
+export function ellipseHandles({ center, a, b, angle }) {
+  const ax = { x: Math.cos(angle), y: Math.sin(angle) };
+  const bx = { x: -Math.sin(angle), y: Math.cos(angle) };
+  return [
+    center,
+    { x: center.x + ax.x * a, y: center.y + ax.y * a },
+    { x: center.x - ax.x * a, y: center.y - ax.y * a },
+    { x: center.x + bx.x * b, y: center.y + bx.y * b },
+    { x: center.x - bx.x * b, y: center.y - bx.y * b },
+  ];
+}
+
+/**
+ * Move one of ellipseHandles() to `point`. The centre handle translates the ellipse;
+ * an end of the first axis sets its length and direction; an end of the second axis
+ * sets only its length, keeping the axes perpendicular.
+ * @param {{ center: { x: number, y: number }, a: number, b: number, angle: number }} ellipse
+ * @param {number} index - 0–4, as in ellipseHandles()
+ * @param {{ x: number, y: number }} point
+ * @returns {{ center: { x: number, y: number }, a: number, b: number, angle: number }}
+ */
+export function moveEllipseHandle(ellipse, index, point) {
+  const { center, angle } = ellipse;
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  if (index === 0) return { ...ellipse, center: { x: point.x, y: point.y } };
+  if (index === 1 || index === 2) {
+    const sign = index === 1 ? 1 : -1;
+    return { ...ellipse, a: Math.max(1, Math.hypot(dx, dy)), angle: Math.atan2(sign * dy, sign * dx) };
+  }
+  const along = -dx * Math.sin(angle) + dy * Math.cos(angle);
+  return { ...ellipse, b: Math.max(1, Math.abs(along)) };
+}
+
+/**
+ * The ellipse's major axis and how far the circle it images is tilted away from the camera.
+ * A tilted disc shrinks only across the tilt axis, so the major axis keeps its true diameter.
+ * @param {{ center: { x: number, y: number }, a: number, b: number, angle: number }} ellipse
+ * @returns {{ start: { x: number, y: number }, end: { x: number, y: number }, lengthPx: number, tiltDeg: number }}
+ */
+export function ellipseMajorAxis(ellipse) {
+  const [, a1, a2, b1, b2] = ellipseHandles(ellipse);
+  const major = Math.max(ellipse.a, ellipse.b);
+  const minor = Math.min(ellipse.a, ellipse.b);
+  const [start, end] = ellipse.a >= ellipse.b ? [a2, a1] : [b2, b1];
+  return { start, end, lengthPx: 2 * major, tiltDeg: Math.acos(minor / major) * 180 / Math.PI };
+}
+
+/**
+ * Mean relative radial distance of points from an ellipse: 0 when every point lies on it.
+ * @param {{ center: { x: number, y: number }, a: number, b: number, angle: number }} ellipse
+ * @param {Array<{ x: number, y: number }>} points
+ * @returns {number}
+ */
+export function ellipseFitError({ center, a, b, angle }, points) {
+  if (points.length === 0) return Infinity;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  let sum = 0;
+  for (const p of points) {
+    const dx = p.x - center.x;
+    const dy = p.y - center.y;
+    const u = (dx * cos + dy * sin) / a;
+    const v = (-dx * sin + dy * cos) / b;
+    sum += Math.abs(Math.hypot(u, v) - 1);
+  }
+  return sum / points.length;
+}
@@ -0,0 +1,107 @@
+// Local OpenCV.js detection of a circular reference (coin, washer, ring gauge) as an ellipse
+
+import { readImageScaled } from './cvUtils.js';
+import { ellipseFitError } from './geometry.js';
+
+const MAX_DIM = 1600;
+
+// Smallest disc considered, as a fraction of the image's shorter side (diameter)
+const MIN_DIAMETER = 0.03;
+
+// Mean relative radial distance of the contour from its fitted ellipse still accepted as a disc
+const MAX_FIT_ERROR = 0.04;
+
+// Minor/major axis ratio below which the disc would be tilted more than ~70°
+const MIN_AXIS_RATIO = 0.35;
+
+/**
+ * Find the largest circular disc in the image, fitted as an ellipse so a tilted disc
+ * still measures correctly along its major axis. Closed edge contours are fitted first;
+ * Hough circles are the fallback for discs whose outline breaks up.
+ *
+ * @param {object} cv - the loaded OpenCV.js module (window.cv)
+ * @param {HTMLImageElement} image
+ * @returns {{ center: { x: number, y: number }, a: number, b: number, angle: number, method: 'ellipse'|'hough' } | null}
+ *   semi-axes in original-image px, `angle` in radians along `a` (see geometry.js ellipseHandles())
+ */
+export function detectCircleReferenceLocal(cv, image) {
+  const { src, scale } = readImageScaled(cv, image, MAX_DIM);
+  const gray = new cv.Mat();
+  const edges = new cv.Mat();
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  const circles = new cv.Mat();
+
+  try {
+    // 1. Grayscale + blur, then edges closed into outlines without growing them
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+    cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+    cv.Canny(gray, edges, 50, 150);
+    const closeKernel = cv.Mat.ones(3, 3, cv.CV_8U);
+    cv.morphologyEx(edges, edges, cv.MORPH_CLOSE, closeKernel);
+    closeKernel.delete();
+
+    // 2. Every contour, including those inside other objects (a coin lying on paper)
+    cv.findContours(edges, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_NONE);
+
+    const inv = 1 / scale;
+    const minRadius = Math.min(gray.rows, gray.cols) * MIN_DIAMETER / 2;
+
+    let best = null;
+    for (let i = 0; i < contours.size(); i++) {
+      const cnt = contours.get(i);
+      if (cnt.rows < 5) continue;
+
+      // 3. Fit an ellipse; RotatedRect width lies along its angle
+      const fit = cv.fitEllipse(cnt);
+      const ellipse = {
+        center: { x: fit.center.x, y: fit.center.y },
+        a: fit.size.width / 2,
+        b: fit.size.height / 2,
+        angle: fit.angle * Math.PI / 180,
+      };
+      const major = Math.max(ellipse.a, ellipse.b);
+      const minor = Math.min(ellipse.a, ellipse.b);
+      if (minor < minRadius || minor / major < MIN_AXIS_RATIO) continue;
+      if (best && ellipse.a * ellipse.b <= best.a * best.b) continue;
+
+      // 4. The outline must actually follow the ellipse (rejects rounded rectangles and blobs)
+      const points = [];
+      for (let j = 0; j < cnt.data32S.length; j += 2) {
+        points.push({ x: cnt.data32S[j], y: cnt.data32S[j + 1] });
+      }
+      if (ellipseFitError(ellipse, points) > MAX_FIT_ERROR) continue;
+      best = ellipse;
+    }
+
+    if (best) {
+      return {
+        center: { x: best.center.x * inv, y: best.center.y * inv },
+        a: best.a * inv,
+        b: best.b * inv,
+        angle: best.angle,
+        method: 'ellipse',
+      };
+    }
+
+    // 5. Fallback: strongest Hough circle
+    cv.HoughCircles(gray, circles, cv.HOUGH_GRADIENT, 1, gray.rows / 8, 100, 40,
+      Math.round(minRadius), Math.round(Math.min(gray.rows, gray.cols) / 2));
+    if (circles.cols === 0) return null;
+    const [x, y, r] = circles.data32F;
+    return {
+      center: { x: x * inv, y: y * inv },
+      a: r * inv,
+      b: r * inv,
+      angle: 0,
+      method: 'hough',
+    };
+  } finally {
+    src.delete();
+    gray.delete();
+    edges.delete();
+    contours.delete();
+    hierarchy.delete();
+    circles.delete();
+  }
+}
@@ -0,0 +1,109 @@
+// Local OpenCV.js multi-drill contour detection for Jig Mode (PRD FR 4.0 / 4.1)
+
+import { readImageScaled } from './cvUtils.js';
+import { rulerDistanceMm } from './rulerCalibration.js';
+
+const MAX_DIM = 1600;
+
+// How far (as a fraction of image height) a contour's bottom may sit from the base line
+const BASELINE_TOLERANCE = 0.05;
+
+/**
+ * Detect every drill standing in the jig.
+ * Returns drills in the same shape as `parseGeminiResponse()` produces.
+ *
+ * @param {object} cv - the loaded OpenCV.js module (window.cv)
+ * @param {HTMLImageElement} image
+ * @param {object} params
+ * @param {{ points?: Array, scalePxPerMm: number }} params.yRuler - heights are measured through its calibration
+ * @param {{ y: number } | null} params.baseLine - filters by proximity and anchors bottomY when set
+ * @param {{ shortMax: number, mediumMax: number }} params.thresholds
+ * @param {number} params.minArea - minimum contour area in original-image px
+ * @param {number} params.minAspect - minimum height/width ratio
+ * @returns {Array<{ id, rect, vertices, topY, bottomY, centerX, heightPx, heightMm, category }>}
+ */
+export function detectDrillsLocal(cv, image, { yRuler, baseLine, thresholds, minArea, minAspect }) {
+  const { src, scale } = readImageScaled(cv, image, MAX_DIM);
+  const gray = new cv.Mat();
+  const binary = new cv.Mat();
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+
+  try {
+    // 1–2. Grayscale + adaptive threshold (handles uneven lighting across the jig)
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+    cv.adaptiveThreshold(gray, binary, 255, cv.ADAPTIVE_THRESH_GAUSSIAN_C, cv.THRESH_BINARY_INV, 15, 5);
+
+    // 3–4. Vertical erode/dilate separates touching drills while keeping their length
+    const vKernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 7));
+    cv.erode(binary, binary, vKernel);
+    cv.dilate(binary, binary, vKernel);
+    vKernel.delete();
+
+    // 5. Cleanup
+    const closeKernel = cv.Mat.ones(5, 5, cv.CV_8U);
+    cv.morphologyEx(binary, binary, cv.MORPH_CLOSE, closeKernel);
+    closeKernel.delete();
+
+    // 6. All external contours
+    cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    const inv = 1 / scale;
+    const scaledMinArea = minArea * scale * scale;
+    const baseY = baseLine ? baseLine.y * scale : null;
+    const tolerance = gray.rows * BASELINE_TOLERANCE;
+
+    const found = [];
+    for (let i = 0; i < contours.size(); i++) {
+      const cnt = contours.get(i);
+
+      // 7a. Minimum area
+      if (cv.contourArea(cnt) < scaledMinArea) continue;
+
+      // 7b. Elongated objects only
+      const rect = cv.minAreaRect(cnt);
+      const pts = cv.RotatedRect.points(rect);
+      const ys = pts.map(p => p.y);
+      const xs = pts.map(p => p.x);
+      const heightPx = Math.max(...ys) - Math.min(...ys);
+      const widthPx = Math.max(...xs) - Math.min(...xs);
+      if (widthPx <= 0 || heightPx / widthPx < minAspect) continue;
+
+      // 7c. Bottom must sit on the base line
+      const bottom = Math.max(...ys);
+      if (baseY != null && Math.abs(bottom - baseY) > tolerance) continue;
+
+      // 8. Rotated rect → drill record in original image coordinates
+      const vertices = pts.map(p => ({ x: p.x * inv, y: p.y * inv }));
+      const topY = Math.min(...ys) * inv;
+      const bottomY = baseLine ? baseLine.y : bottom * inv;
+      found.push({ vertices, topY, bottomY, centerX: rect.center.x * inv });
+    }
+
+    return found
+      .sort((a, b) => a.centerX - b.centerX)
+      .map((d, i) => {
+        const heightPx = d.bottomY - d.topY;
+        const heightMm = rulerDistanceMm(yRuler, d.topY, d.bottomY);
+        const category = heightMm < thresholds.shortMax ? 'A'
+          : heightMm < thresholds.mediumMax ? 'B' : 'C';
+        return {
+          id: i + 1,
+          rect: null,
+          vertices: d.vertices,
+          topY: d.topY,
+          bottomY: d.bottomY,
+          centerX: d.centerX,
+          heightPx,
+          heightMm,
+          category,
+        };
+      });
+  } finally {
+    src.delete();
+    gray.delete();
+    binary.delete();
+    contours.delete();
+    hierarchy.delete();
+  }
+}
@@ -0,0 +1,131 @@
+// Local OpenCV.js detection of the printed marker sheet (see markerSheet.js)
+
+import { readImageScaled } from './cvUtils.js';
+import { orderCorners, rotateCorners, fitHomography, applyHomography, applyInverseHomography, getDistance } from './geometry.js';
+import { MARKER_SHEET, decodeMarker, markerCornersMm } from './markerSheet.js';
+
+const MAX_DIM = 1600;
+
+// Markers needed before the sheet's homography is trusted (each contributes four corners)
+export const MIN_MARKERS = 2;
+
+// Pixels per cell when a candidate square is warped flat for reading
+const CELL_PX = 10;
+
+// Smallest marker side considered, as a fraction of the image's shorter side
+const MIN_SIDE = 0.02;
+
+/**
+ * Find the sheet's markers and, when enough are visible, the homography from sheet mm to
+ * image pixels. Dark squares are found by contour, warped flat and read cell by cell;
+ * every corner of every identified marker then feeds one least-squares fit.
+ *
+ * @param {object} cv - the loaded OpenCV.js module (window.cv)
+ * @param {HTMLImageElement} image
+ * @returns {{
+ *   markers: Array<{ id: number, corners: Array<{ x: number, y: number }> }>,
+ *   homography: number[][]|null,
+ *   sheetCorners: Array<{ x: number, y: number }>|null,
+ *   rmsMm: number|null,
+ * }} marker corners (TL, TR, BR, BL in the marker's own frame) and sheet corners in original-image px;
+ *   `homography`, `sheetCorners` and `rmsMm` are null with fewer than MIN_MARKERS markers
+ */
+export function detectMarkersLocal(cv, image) {
+  const { src, scale } = readImageScaled(cv, image, MAX_DIM);
+  const gray = new cv.Mat();
+  const binary = new cv.Mat();
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+
+  try {
+    // 1. Dark regions; the window scales with the image so marker edges survive uneven light
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+    const block = Math.max(15, Math.round(Math.min(gray.rows, gray.cols) / 20) | 1);
+    cv.adaptiveThreshold(gray, binary, 255, cv.ADAPTIVE_THRESH_MEAN_C, cv.THRESH_BINARY_INV, block, 7);
+    cv.findContours(binary, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+    const minSide = Math.min(gray.rows, gray.cols) * MIN_SIDE;
+    const maxArea = gray.rows * gray.cols / 4;
+    const inv = 1 / scale;
+    const found = new Map(); // id → { corners, area }
+
+    for (let i = 0; i < contours.size(); i++) {
+      const cnt = contours.get(i);
+      const area = cv.contourArea(cnt);
+      if (area < minSide * minSide || area > maxArea) continue;
+
+      // 2. Convex quadrilaterals only
+      const approx = new cv.Mat();
+      cv.approxPolyDP(cnt, approx, 0.04 * cv.arcLength(cnt, true), true);
+      const isQuad = approx.rows === 4 && cv.isContourConvex(approx);
+      const pts = [];
+      if (isQuad) {
+        for (let j = 0; j < 4; j++) pts.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+      }
+      approx.delete();
+      if (!isQuad) continue;
+
+      // 3. Read the square's cells and match them against the marker codes
+      const square = orderCorners(pts);
+      const decoded = decodeMarker(readCells(cv, gray, square));
+      if (!decoded) continue;
+      if (found.has(decoded.id) && found.get(decoded.id).area >= area) continue;
+      found.set(decoded.id, {
+        corners: rotateCorners(square, decoded.rotation).map(p => ({ x: p.x * inv, y: p.y * inv })),
+        area,
+      });
+    }
+
+    const markers = [...found.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([id, { corners }]) => ({ id, corners }));
+    if (markers.length < MIN_MARKERS) {
+      return { markers, homography: null, sheetCorners: null, rmsMm: null };
+    }
+
+    // 4. One homography through every marker corner
+    const mm = markers.flatMap(m => markerCornersMm(m.id));
+    const px = markers.flatMap(m => m.corners);
+    const homography = fitHomography(mm, px);
+    if (!homography) return { markers, homography: null, sheetCorners: null, rmsMm: null };
+
+    const { width, height } = MARKER_SHEET.paper;
+    const sheetCorners = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }]
+      .map(p => applyHomography(homography, p));
+    const squared = px.reduce((sum, p, k) => sum + getDistance(applyInverseHomography(homography, p), mm[k]) ** 2, 0);
+    return { markers, homography, sheetCorners, rmsMm: Math.sqrt(squared / px.length) };
+  } finally {
+    src.delete();
+    gray.delete();
+    binary.delete();
+    contours.delete();
+    hierarchy.delete();
+  }
+}
+
+// Warp a square flat and sample the centre of each cell; 1 = black
+function readCells(cv, gray, square) {
+  const n = MARKER_SHEET.cells;
+  const size = n * CELL_PX;
+  const srcTri = cv.matFromArray(4, 1, cv.CV_32FC2, square.flatMap(p => [p.x, p.y]));
+  const dstTri = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, size, 0, size, size, 0, size]);
+  const M = cv.getPerspectiveTransform(srcTri, dstTri);
+  const warped = new cv.Mat();
+  try {
+    cv.warpPerspective(gray, warped, M, new cv.Size(size, size));
+    cv.threshold(warped, warped, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+    const margin = Math.round(CELL_PX / 4);
+    const inner = CELL_PX - 2 * margin;
+    return Array.from({ length: n }, (_, r) => Array.from({ length: n }, (__, c) => {
+      const cell = warped.roi(new cv.Rect(c * CELL_PX + margin, r * CELL_PX + margin, inner, inner));
+      const black = cv.countNonZero(cell) > (inner * inner) / 2 ? 1 : 0;
+      cell.delete();
+      return black;
+    }));
+  } finally {
+    srcTri.delete();
+    dstTri.delete();
+    M.delete();
+    warped.delete();
+  }
+}
@@ -0,0 +1,80 @@
+// Local OpenCV.js detection of every object lying on the paper (Standard mode)
+
+import { readImageScaled } from './cvUtils.js';
+
+const MAX_DIM = 1600;
+
+// Contours this close (px, after downscaling) to the image edge are background around the sheet
+const EDGE_MARGIN = 2;
+
+/**
+ * Detect every non-white object on a white sheet, each as a rotated bounding box.
+ *
+ * @param {object} cv - the loaded OpenCV.js module (window.cv)
+ * @param {HTMLImageElement} image - the flattened sheet, or the photo after Calibrate
+ * @param {object} params
+ * @param {number} params.minArea - minimum contour area in original-image px
+ * @returns {Array<{ id, center, size, angle, vertices }>} numbered left to right from 1, in
+ *   original-image px; `size`/`angle` are the cv.RotatedRect's, `vertices` its four corners
+ */
+export function detectObjectsLocal(cv, image, { minArea }) {
+  const { src, scale } = readImageScaled(cv, image, MAX_DIM);
+  const hsv = new cv.Mat();
+  const objectMask = new cv.Mat();
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+
+  try {
+    // 1. White paper: low saturation, high value. Everything else is an object
+    cv.cvtColor(src, hsv, cv.COLOR_RGBA2RGB);
+    cv.cvtColor(hsv, hsv, cv.COLOR_RGB2HSV);
+    const lowWhite = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [0, 0, 180, 0]);
+    const highWhite = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [180, 40, 255, 0]);
+    cv.inRange(hsv, lowWhite, highWhite, objectMask);
+    lowWhite.delete();
+    highWhite.delete();
+    cv.bitwise_not(objectMask, objectMask);
+
+    // 2. Cleanup
+    const kernel = cv.Mat.ones(5, 5, cv.CV_8U);
+    cv.morphologyEx(objectMask, objectMask, cv.MORPH_OPEN, kernel);
+    cv.morphologyEx(objectMask, objectMask, cv.MORPH_CLOSE, kernel);
+    kernel.delete();
+
+    // 3. One external contour per object
+    cv.findContours(objectMask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    const inv = 1 / scale;
+    const scaledMinArea = minArea * scale * scale;
+    const found = [];
+    for (let i = 0; i < contours.size(); i++) {
+      const cnt = contours.get(i);
+      if (cv.contourArea(cnt) < scaledMinArea) continue;
+
+      // 4. Skip the table or shadow showing past the sheet's edges
+      const box = cv.boundingRect(cnt);
+      if (box.x <= EDGE_MARGIN || box.y <= EDGE_MARGIN ||
+          box.x + box.width >= objectMask.cols - EDGE_MARGIN ||
+          box.y + box.height >= objectMask.rows - EDGE_MARGIN) continue;
+
+      // 5. Rotated rect → original image coordinates
+      const rect = cv.minAreaRect(cnt);
+      found.push({
+        center: { x: rect.center.x * inv, y: rect.center.y * inv },
+        size: { width: rect.size.width * inv, height: rect.size.height * inv },
+        angle: rect.angle,
+        vertices: cv.RotatedRect.points(rect).map(p => ({ x: p.x * inv, y: p.y * inv })),
+      });
+    }
+
+    return found
+      .sort((a, b) => a.center.x - b.center.x)
+      .map((obj, i) => ({ id: i + 1, ...obj }));
+  } finally {
+    src.delete();
+    hsv.delete();
+    objectMask.delete();
+    contours.delete();
+    hierarchy.delete();
+  }
+}
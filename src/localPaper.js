@@ -0,0 +1,138 @@
+// Local OpenCV.js detection of the paper sheet's outline (Detect Paper and the camera preview)
+
+import { getDistance } from './geometry.js';
+
+// Smallest sheet considered, as a fraction of the frame's area
+const MIN_AREA = 0.02;
+
+// Edge strategies tried after the white-mask contours: [cannyLow, cannyHigh, dilateIterations, approxEpsilon]
+const EDGE_STRATEGIES = [
+  [30, 100, 2, 0.02],   // Lower thresholds with dilation
+  [50, 150, 1, 0.02],   // Medium thresholds with some dilation
+  [20, 80, 3, 0.03],    // Very low thresholds with more dilation
+  [75, 200, 0, 0.02],   // Original strategy (fallback)
+];
+
+/**
+ * Find the largest white, roughly rectangular quadrilateral in a frame. Contours of a
+ * white-paper mask are tried first; Canny edges with increasing dilation are the fallback
+ * for sheets whose mask merges with a light background.
+ *
+ * @param {object} cv - the loaded OpenCV.js module (window.cv)
+ * @param {object} src - RGBA cv.Mat (a canvas or video frame read with cv.imread); not deleted
+ * @returns {Array<{ x: number, y: number }>|null} four corners in `src` pixels, unordered
+ *   (see geometry.js orderCorners())
+ */
+export function detectPaperLocal(cv, src) {
+  const gray = new cv.Mat();
+  const blurred = new cv.Mat();
+  const edges = new cv.Mat();
+  const dilated = new cv.Mat();
+  const hsv = new cv.Mat();
+  const whiteMask = new cv.Mat();
+  const maskedGray = new cv.Mat();
+
+  try {
+    // 1. Create a mask for white/light colored regions (paper detection)
+    cv.cvtColor(src, hsv, cv.COLOR_RGBA2RGB);
+    cv.cvtColor(hsv, hsv, cv.COLOR_RGB2HSV);
+
+    // White/light paper: very lenient to include shadowed areas
+    // saturation < 100, value > 80
+    const lowWhite = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [0, 0, 80, 0]);
+    const highWhite = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [180, 100, 255, 0]);
+    cv.inRange(hsv, lowWhite, highWhite, whiteMask);
+    lowWhite.delete();
+    highWhite.delete();
+
+    // Morphological operations to clean up the mask - larger kernel to fill gaps from marker
+    const maskKernel = cv.Mat.ones(15, 15, cv.CV_8U);
+    // Close holes (multiple iterations to fill larger gaps)
+    cv.morphologyEx(whiteMask, whiteMask, cv.MORPH_CLOSE, maskKernel, new cv.Point(-1, -1), 3);
+    // Open to remove noise
+    cv.morphologyEx(whiteMask, whiteMask, cv.MORPH_OPEN, maskKernel);
+    maskKernel.delete();
+
+    // 2. Convert to grayscale
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+
+    // 3. Apply the white mask to focus on paper region
+    cv.bitwise_and(gray, whiteMask, maskedGray);
+
+    // 4. Apply stronger Gaussian blur to reduce texture noise (wood grain, etc.)
+    cv.GaussianBlur(maskedGray, blurred, new cv.Size(9, 9), 0);
+
+    const minArea = src.rows * src.cols * MIN_AREA;
+
+    // STRATEGY 0: Find contours directly on the white mask (most reliable for white paper)
+    let paper = largestQuad(cv, whiteMask, cv.RETR_EXTERNAL, 0.02, minArea);
+
+    for (const [cannyLow, cannyHigh, dilateIter, epsilon] of EDGE_STRATEGIES) {
+      if (paper) break;
+
+      // 5. Canny edge detection
+      cv.Canny(blurred, edges, cannyLow, cannyHigh);
+
+      // 6. Dilate to connect broken edges
+      if (dilateIter > 0) {
+        const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+        cv.dilate(edges, dilated, kernel, new cv.Point(-1, -1), dilateIter);
+        kernel.delete();
+      } else {
+        edges.copyTo(dilated);
+      }
+
+      // 7. Find the largest 4-sided contour (the paper)
+      paper = largestQuad(cv, dilated, cv.RETR_LIST, epsilon, minArea);
+    }
+
+    return paper;
+  } finally {
+    gray.delete();
+    blurred.delete();
+    edges.delete();
+    dilated.delete();
+    hsv.delete();
+    whiteMask.delete();
+    maskedGray.delete();
+  }
+}
+
+// Largest contour of a binary image that simplifies to a quadrilateral with a plausible aspect ratio
+function largestQuad(cv, binary, mode, epsilon, minArea) {
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  let best = null;
+  let maxArea = minArea;
+
+  try {
+    cv.findContours(binary, contours, hierarchy, mode, cv.CHAIN_APPROX_SIMPLE);
+    for (let i = 0; i < contours.size(); i++) {
+      const cnt = contours.get(i);
+      const area = cv.contourArea(cnt);
+      if (area <= maxArea) continue;
+
+      const approx = new cv.Mat();
+      cv.approxPolyDP(cnt, approx, epsilon * cv.arcLength(cnt, true), true);
+      const pts = [];
+      if (approx.rows === 4) {
+        for (let j = 0; j < 4; j++) pts.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+      }
+      approx.delete();
+      if (pts.length !== 4) continue;
+
+      // Roughly rectangular: average side ratio between 0.3 and 3.0
+      const avgWidth = (getDistance(pts[0], pts[1]) + getDistance(pts[2], pts[3])) / 2;
+      const avgHeight = (getDistance(pts[1], pts[2]) + getDistance(pts[3], pts[0])) / 2;
+      const aspectRatio = avgWidth / avgHeight;
+      if (aspectRatio > 0.3 && aspectRatio < 3.0) {
+        maxArea = area;
+        best = pts;
+      }
+    }
+    return best;
+  } finally {
+    contours.delete();
+    hierarchy.delete();
+  }
+}
@@ -0,0 +1,317 @@
+// Local OpenCV.js ruler + tick detection for Jig Mode (PRD FR 1.0 / 1.1)
+
+import { buildRulerFromTicks } from './geminiJig.js';
+import { readImageScaled } from './cvUtils.js';
+
+const MAX_DIM = 1600;
+const MAX_TILT_DEG = 10;      // ruler edges must be within this angle of vertical
+const MIN_TICKS = 4;
+
+// Below this confidence the result should not be trusted and the user draws the ruler instead
+export const RULER_MIN_CONFIDENCE = 0.5;
+
+/**
+ * Merge collinear Hough segments into near-vertical line candidates.
+ * Each line is parameterised as x = x0 + slope * y over [yMin, yMax].
+ */
+function collectVerticalLines(cv, edges, height) {
+  const lines = new cv.Mat();
+  cv.HoughLinesP(edges, lines, 1, Math.PI / 180, 60, Math.round(height * 0.15), 10);
+
+  const segments = [];
+  for (let i = 0; i < lines.rows; i++) {
+    const [x1, y1, x2, y2] = lines.data32S.slice(i * 4, i * 4 + 4);
+    const dy = y2 - y1;
+    if (dy === 0) continue;
+    const slope = (x2 - x1) / dy;
+    if (Math.abs(Math.atan(slope)) > MAX_TILT_DEG * Math.PI / 180) continue;
+    segments.push({
+      slope,
+      x0: x1 - slope * y1,
+      yMin: Math.min(y1, y2),
+      yMax: Math.max(y1, y2),
+    });
+  }
+  lines.delete();
+
+  // Merge segments that describe the same edge
+  const xAt = (l, y) => l.x0 + l.slope * y;
+  const merged = [];
+  segments.sort((a, b) => xAt(a, height / 2) - xAt(b, height / 2));
+  for (const seg of segments) {
+    const last = merged[merged.length - 1];
+    if (last && Math.abs(xAt(last, height / 2) - xAt(seg, height / 2)) < 4 && Math.abs(last.slope - seg.slope) < 0.03) {
+      last.yMin = Math.min(last.yMin, seg.yMin);
+      last.yMax = Math.max(last.yMax, seg.yMax);
+    } else {
+      merged.push({ ...seg });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Pair parallel vertical lines into ruler candidates (the two long edges of the tape).
+ */
+function findRulerCandidates(lines, width, height) {
+  const xAt = (l, y) => l.x0 + l.slope * y;
+  const candidates = [];
+  for (let i = 0; i < lines.length; i++) {
+    for (let j = i + 1; j < lines.length; j++) {
+      const a = lines[i];
+      const b = lines[j];
+      if (Math.abs(a.slope - b.slope) > 0.035) continue;
+      const yMin = Math.max(a.yMin, b.yMin);
+      const yMax = Math.min(a.yMax, b.yMax);
+      if (yMax - yMin < height * 0.25) continue;
+      const sep = xAt(b, (yMin + yMax) / 2) - xAt(a, (yMin + yMax) / 2);
+      if (sep < width * 0.01 || sep > width * 0.12) continue;
+      candidates.push({ left: a, right: b, yMin, yMax, overlap: yMax - yMin });
+    }
+  }
+  return candidates.sort((a, b) => b.overlap - a.overlap).slice(0, 5);
+}
+
+/**
+ * Mean intensity per row across one sub-band of the ruler.
+ * @param {number} f0 - band start as a fraction of the ruler width (0 = left edge)
+ * @param {number} f1 - band end as a fraction of the ruler width
+ */
+function rowProfile(gray, cand, f0, f1) {
+  const xAt = (l, y) => l.x0 + l.slope * y;
+  const profile = [];
+  for (let y = Math.round(cand.yMin); y <= Math.round(cand.yMax); y++) {
+    const xl = xAt(cand.left, y);
+    const xr = xAt(cand.right, y);
+    const from = Math.round(xl + (xr - xl) * f0);
+    const to = Math.round(xl + (xr - xl) * f1);
+    let sum = 0;
+    let n = 0;
+    for (let x = Math.max(0, from); x <= Math.min(gray.cols - 1, to); x++) {
+      sum += gray.data[y * gray.cols + x];
+      n++;
+    }
+    profile.push(n > 0 ? sum / n : 0);
+  }
+  return profile;
+}
+
+function movingAverage(profile, window) {
+  const half = Math.max(1, Math.floor(window / 2));
+  const out = new Array(profile.length);
+  for (let i = 0; i < profile.length; i++) {
+    let sum = 0;
+    let n = 0;
+    for (let j = Math.max(0, i - half); j <= Math.min(profile.length - 1, i + half); j++) {
+      sum += profile[j];
+      n++;
+    }
+    out[i] = sum / n;
+  }
+  return out;
+}
+
+/**
+ * Widen thin ticks slightly (so a fractional px/cm period still autocorrelates at its
+ * nearest integer lag) and remove slow illumination changes.
+ */
+function conditionProfile(profile, trendWindow) {
+  const smoothed = movingAverage(profile, 5);
+  const trend = movingAverage(smoothed, trendWindow);
+  return smoothed.map((v, i) => v - trend[i]);
+}
+
+/**
+ * Dominant tick period (px per cm) from the normalised autocorrelation.
+ * The period is the shortest lag whose peak is close to the strongest one: integer lags
+ * make multiples of a fractional period look slightly stronger, while the fainter mm and
+ * half-cm ticks only produce weak peaks at fractions of the cm spacing.
+ * @returns {{ period: number, strength: number } | null}
+ */
+function findTickPeriod(signal, minLag, maxLag) {
+  const n = signal.length;
+  let energy = 0;
+  for (const v of signal) energy += v * v;
+  if (energy === 0) return null;
+
+  const ac = new Array(maxLag + 1).fill(0);
+  for (let lag = minLag; lag <= maxLag && lag < n; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) sum += signal[i] * signal[i + lag];
+    ac[lag] = (sum / (n - lag)) / (energy / n);
+  }
+
+  const peaks = [];
+  for (let lag = minLag + 1; lag < Math.min(maxLag, n - 1); lag++) {
+    if (ac[lag] > ac[lag - 1] && ac[lag] >= ac[lag + 1] && ac[lag] > 0) peaks.push(lag);
+  }
+  if (peaks.length === 0) return null;
+  const strongest = Math.max(...peaks.map(lag => ac[lag]));
+  const best = peaks.find(lag => ac[lag] >= 0.85 * strongest);
+  return { period: best, strength: Math.min(1, ac[best]) };
+}
+
+/**
+ * Snap a regular tick grid onto the profile minima (dark ticks on a light tape).
+ * @returns {{ positions: Array<{ y: number, k: number }>, coverage: number, regularity: number }}
+ *   - k is the tick's index on the regular grid, so gaps from missed ticks keep their cm offset
+ */
+function extractTicks(signal, period) {
+  let mean = 0;
+  for (const v of signal) mean += v;
+  mean /= signal.length;
+  let variance = 0;
+  for (const v of signal) variance += (v - mean) ** 2;
+  const std = Math.sqrt(variance / signal.length);
+
+  const minima = [];
+  for (let i = 1; i < signal.length - 1; i++) {
+    if (signal[i] < signal[i - 1] && signal[i] <= signal[i + 1] && signal[i] < mean - 0.5 * std) minima.push(i);
+  }
+  if (minima.length < MIN_TICKS) return { positions: [], coverage: 0, regularity: 0 };
+
+  // Phase of the tick grid: circular mean of minima positions modulo the period
+  let sx = 0;
+  let sy = 0;
+  for (const m of minima) {
+    const a = (2 * Math.PI * m) / period;
+    sx += Math.cos(a);
+    sy += Math.sin(a);
+  }
+  let phase = (Math.atan2(sy, sx) / (2 * Math.PI)) * period;
+  if (phase < 0) phase += period;
+
+  // Walk the grid from the first tick, re-anchoring on each snapped minimum so a
+  // slightly-off integer period does not drift over 40 ticks
+  const positions = [];
+  let expected = 0;
+  for (let y = phase; y < signal.length; y += period) {
+    expected++;
+    let nearest = null;
+    for (const m of minima) {
+      if (Math.abs(m - y) <= period * 0.25 && (nearest === null || Math.abs(m - y) < Math.abs(nearest - y))) nearest = m;
+    }
+    if (nearest !== null) {
+      positions.push({ y: nearest, k: expected - 1 });
+      y = nearest;
+    }
+  }
+
+  const gaps = [];
+  for (let i = 1; i < positions.length; i++) {
+    if (positions[i].k - positions[i - 1].k === 1) gaps.push(positions[i].y - positions[i - 1].y);
+  }
+  let regularity = 0;
+  if (gaps.length > 0) {
+    const g = gaps.reduce((a, b) => a + b, 0) / gaps.length;
+    const sd = Math.sqrt(gaps.reduce((a, b) => a + (b - g) ** 2, 0) / gaps.length);
+    regularity = Math.max(0, 1 - (3 * sd) / period);
+  }
+
+  return { positions, coverage: expected > 0 ? positions.length / expected : 0, regularity };
+}
+
+/**
+ * Least-squares slope of tick position against grid index.
+ */
+function fitPeriod(positions) {
+  const n = positions.length;
+  if (n < 2) return null;
+  let sk = 0, sy = 0, skk = 0, sky = 0;
+  for (const { k, y } of positions) {
+    sk += k;
+    sy += y;
+    skk += k * k;
+    sky += k * y;
+  }
+  const denom = n * skk - sk * sk;
+  return denom !== 0 ? (n * sky - sk * sy) / denom : null;
+}
+
+/**
+ * Analyse one ruler candidate: try three sub-bands across the tape (the cm ticks are
+ * the longest, so one side of the tape usually shows only cm marks) and keep the best.
+ */
+function analyzeCandidate(gray, cand) {
+  const height = gray.rows;
+  const minLag = Math.max(4, Math.round(height / 250));
+  const maxLag = Math.round(height / 8);
+
+  let best = null;
+  for (const [f0, f1] of [[0.1, 0.4], [0.35, 0.65], [0.6, 0.9]]) {
+    const signal = conditionProfile(rowProfile(gray, cand, f0, f1), Math.round(maxLag * 1.5));
+    const periodInfo = findTickPeriod(signal, minLag, maxLag);
+    if (!periodInfo) continue;
+    let ticks = extractTicks(signal, periodInfo.period);
+    if (ticks.positions.length < MIN_TICKS) continue;
+
+    // Refine the integer lag to a sub-pixel period with a fit over the snapped ticks
+    const period = fitPeriod(ticks.positions) || periodInfo.period;
+    const refined = extractTicks(signal, period);
+    if (refined.positions.length >= MIN_TICKS) ticks = refined;
+
+    const confidence = periodInfo.strength * ticks.coverage * ticks.regularity;
+    if (!best || confidence > best.confidence) {
+      best = { confidence, period, positions: ticks.positions };
+    }
+  }
+  return best;
+}
+
+/**
+ * Detect the vertical jig ruler and its cm ticks without Gemini.
+ *
+ * Tick labels are not read, so cm values count upward from the lowest visible tick
+ * (0 cm). Heights only depend on the tick spacing, so this does not affect drill
+ * measurements.
+ *
+ * @param {object} cv - the loaded OpenCV.js module (window.cv)
+ * @param {HTMLImageElement} image
+ * @returns {{ yRuler: object|null, confidence: number, tickCount: number }}
+ */
+export function detectRulerLocal(cv, image) {
+  const { src, scale } = readImageScaled(cv, image, MAX_DIM);
+  const gray = new cv.Mat();
+  const blurred = new cv.Mat();
+  const edges = new cv.Mat();
+
+  try {
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+    cv.GaussianBlur(gray, blurred, new cv.Size(3, 3), 0);
+    cv.Canny(blurred, edges, 50, 150);
+
+    const lines = collectVerticalLines(cv, edges, gray.rows);
+    const candidates = findRulerCandidates(lines, gray.cols, gray.rows);
+
+    let best = null;
+    for (const cand of candidates) {
+      const result = analyzeCandidate(gray, cand);
+      if (result && (!best || result.confidence > best.result.confidence)) best = { cand, result };
+    }
+    if (!best) return { yRuler: null, confidence: 0, tickCount: 0 };
+
+    const { cand, result } = best;
+    const inv = 1 / scale;
+    const lowestK = result.positions[result.positions.length - 1].k;
+    const ticks = result.positions.map(pos => ({
+      cm: lowestK - pos.k,
+      pixelY: (cand.yMin + pos.y) * inv,
+    }));
+
+    // The tape's centre line, so the ruler sits on the actual tape instead of the image edge
+    const midX = (l, y) => l.x0 + l.slope * y;
+    const pixelX = ((midX(cand.left, cand.yMin) + midX(cand.right, cand.yMin)) / 2) * inv;
+    const yRuler = buildRulerFromTicks({ ticks, pixelX });
+
+    return {
+      yRuler,
+      confidence: Math.round(result.confidence * 100) / 100,
+      tickCount: ticks.length,
+    };
+  } finally {
+    src.delete();
+    gray.delete();
+    blurred.delete();
+    edges.delete();
+  }
+}
@@ -0,0 +1,271 @@
+// Local OpenCV.js slot occupancy detection for Jig Mode (offline alternative to Gemini)
+
+import stripsConfig from './config/strips.json';
+import { resolveStripIds, scaleSlotResult } from './geminiSlots.js';
+import { readImageScaled } from './cvUtils.js';
+
+const MAX_DIM = 1600;
+
+// Lab tolerances for colour segmentation (OpenCV 8-bit Lab: L, a, b all 0–255)
+const LAB_TOLERANCE = { l: 45, ab: 20 };
+
+const DEFAULT_OPTIONS = {
+  minStripAreaRatio: 0.002, // strip contour area as a fraction of the image
+  minStripAspect: 3,        // long side / short side of the strip's rotated rect
+  occupiedThreshold: 0.5,   // occupancy score above which a slot is marked occupied
+};
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * Convert a hex colour to OpenCV 8-bit Lab.
+ */
+function hexToLab(cv, hex) {
+  const px = cv.matFromArray(1, 1, cv.CV_8UC3, hexToRgb(hex));
+  const lab = new cv.Mat();
+  cv.cvtColor(px, lab, cv.COLOR_RGB2Lab);
+  const out = [lab.data[0], lab.data[1], lab.data[2]];
+  px.delete();
+  lab.delete();
+  return out;
+}
+
+function rectIoU(a, b) {
+  const x1 = Math.max(a.x, b.x);
+  const y1 = Math.max(a.y, b.y);
+  const x2 = Math.min(a.x + a.width, b.x + b.width);
+  const y2 = Math.min(a.y + a.height, b.y + b.height);
+  const inter = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = a.width * a.height + b.width * b.height - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+/**
+ * Find strip candidates for one palette colour.
+ * @returns {Array<{ color_name, area, rect, boundingBox, thickness, horizontal }>}
+ */
+function findStripsForColor(cv, lab, colorName, hex, options) {
+  const [L, A, B] = hexToLab(cv, hex);
+  const low = new cv.Mat(lab.rows, lab.cols, lab.type(), [
+    Math.max(0, L - LAB_TOLERANCE.l), Math.max(0, A - LAB_TOLERANCE.ab), Math.max(0, B - LAB_TOLERANCE.ab), 0,
+  ]);
+  const high = new cv.Mat(lab.rows, lab.cols, lab.type(), [
+    Math.min(255, L + LAB_TOLERANCE.l), Math.min(255, A + LAB_TOLERANCE.ab), Math.min(255, B + LAB_TOLERANCE.ab), 255,
+  ]);
+  const mask = new cv.Mat();
+  cv.inRange(lab, low, high, mask);
+  low.delete();
+  high.delete();
+
+  const kernel = cv.Mat.ones(7, 7, cv.CV_8U);
+  cv.morphologyEx(mask, mask, cv.MORPH_CLOSE, kernel, new cv.Point(-1, -1), 2);
+  cv.morphologyEx(mask, mask, cv.MORPH_OPEN, kernel);
+  kernel.delete();
+
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+  const minArea = lab.rows * lab.cols * options.minStripAreaRatio;
+  const found = [];
+  for (let i = 0; i < contours.size(); i++) {
+    const cnt = contours.get(i);
+    const area = cv.contourArea(cnt);
+    if (area < minArea) continue;
+
+    const rect = cv.minAreaRect(cnt);
+    const long = Math.max(rect.size.width, rect.size.height);
+    const short = Math.min(rect.size.width, rect.size.height);
+    if (short <= 0 || long / short < options.minStripAspect) continue;
+
+    const br = cv.boundingRect(cnt);
+    found.push({
+      color_name: colorName,
+      area,
+      rect,
+      boundingBox: { x: br.x, y: br.y, width: br.width, height: br.height },
+      thickness: short,
+      horizontal: br.width >= br.height,
+    });
+  }
+
+  contours.delete();
+  hierarchy.delete();
+  mask.delete();
+  return found;
+}
+
+/**
+ * Find the ring holders inside a strip with Hough circles.
+ * @returns {Array<{ x, y, r }>} in image coordinates, ordered along the strip
+ */
+function findRingHolders(cv, gray, strip) {
+  const pad = Math.round(strip.thickness * 0.5);
+  const x = Math.max(0, strip.boundingBox.x - pad);
+  const y = Math.max(0, strip.boundingBox.y - pad);
+  const w = Math.min(gray.cols - x, strip.boundingBox.width + pad * 2);
+  const h = Math.min(gray.rows - y, strip.boundingBox.height + pad * 2);
+  if (w <= 0 || h <= 0) return [];
+
+  const roi = gray.roi(new cv.Rect(x, y, w, h));
+  const blurred = new cv.Mat();
+  cv.GaussianBlur(roi, blurred, new cv.Size(5, 5), 0);
+
+  const circles = new cv.Mat();
+  const minRadius = Math.max(3, Math.round(strip.thickness * 0.2));
+  const maxRadius = Math.max(minRadius + 1, Math.round(strip.thickness * 0.6));
+  cv.HoughCircles(blurred, circles, cv.HOUGH_GRADIENT, 1, minRadius * 2, 100, 20, minRadius, maxRadius);
+
+  const rings = [];
+  for (let i = 0; i < circles.cols; i++) {
+    const cx = circles.data32F[i * 3] + x;
+    const cy = circles.data32F[i * 3 + 1] + y;
+    const r = circles.data32F[i * 3 + 2];
+    // Keep only circles whose centre lies on the strip's axis band
+    const bb = strip.boundingBox;
+    const onStrip = strip.horizontal
+      ? cx >= bb.x && cx <= bb.x + bb.width && Math.abs(cy - (bb.y + bb.height / 2)) <= bb.height / 2 + r * 0.5
+      : cy >= bb.y && cy <= bb.y + bb.height && Math.abs(cx - (bb.x + bb.width / 2)) <= bb.width / 2 + r * 0.5;
+    if (onStrip) rings.push({ x: cx, y: cy, r });
+  }
+
+  roi.delete();
+  blurred.delete();
+  circles.delete();
+
+  rings.sort((a, b) => strip.horizontal ? a.x - b.x : a.y - b.y);
+  return rings;
+}
+
+/**
+ * Mean and standard deviation of a single-channel Mat inside a disc.
+ */
+function discStats(cv, mat, cx, cy, r) {
+  const size = Math.max(1, Math.round(r * 2));
+  const x = Math.max(0, Math.round(cx - r));
+  const y = Math.max(0, Math.round(cy - r));
+  const w = Math.min(mat.cols - x, size);
+  const h = Math.min(mat.rows - y, size);
+  if (w <= 0 || h <= 0) return { mean: 0, stddev: 0 };
+
+  const roi = mat.roi(new cv.Rect(x, y, w, h));
+  const mask = cv.Mat.zeros(h, w, cv.CV_8U);
+  cv.circle(mask, new cv.Point(cx - x, cy - y), Math.max(1, Math.round(r)), new cv.Scalar(255), -1);
+  const mean = new cv.Mat();
+  const stddev = new cv.Mat();
+  cv.meanStdDev(roi, mean, stddev, mask);
+  const out = { mean: mean.data64F[0], stddev: stddev.data64F[0] };
+  roi.delete();
+  mask.delete();
+  mean.delete();
+  stddev.delete();
+  return out;
+}
+
+/**
+ * Occupancy heuristic for a single ring holder.
+ * A drill in the ring shows up as a bright, low-saturation, textured (fluted) centre;
+ * an empty holder is a dark, uniform recess. Uncertain slots lean towards empty.
+ * @returns {{ occupied: boolean, confidence: number }}
+ */
+function classifySlot(cv, gray, sat, ring, threshold) {
+  const inner = discStats(cv, gray, ring.x, ring.y, ring.r * 0.55);
+  const innerSat = discStats(cv, sat, ring.x, ring.y, ring.r * 0.55);
+
+  const brightness = inner.mean / 255;       // metallic glint vs. shadowed hole
+  const texture = Math.min(1, inner.stddev / 40); // flutes and reflections
+  const neutral = 1 - innerSat.mean / 255;   // steel is grey, plastic is coloured
+
+  const score = 0.4 * brightness + 0.35 * texture + 0.25 * neutral;
+  const occupied = score > threshold;
+  const confidence = Math.min(0.95, 0.5 + Math.abs(score - threshold) * 2);
+  return { occupied, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Detect strips and slot occupancy in a jig photo with OpenCV.js only.
+ * Returns the same structure as `analyzeJigSlots()`.
+ * @param {object} cv - the loaded OpenCV.js module (window.cv)
+ * @param {HTMLImageElement} image
+ * @param {object} [options] - overrides for DEFAULT_OPTIONS
+ * @returns {{ strips: Array }}
+ */
+export function detectJigSlotsLocal(cv, image, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  const { src, scale } = readImageScaled(cv, image, MAX_DIM);
+  const rgb = new cv.Mat();
+  const lab = new cv.Mat();
+  const hsv = new cv.Mat();
+  const gray = new cv.Mat();
+  cv.cvtColor(src, rgb, cv.COLOR_RGBA2RGB);
+  cv.cvtColor(rgb, lab, cv.COLOR_RGB2Lab);
+  cv.cvtColor(rgb, hsv, cv.COLOR_RGB2HSV);
+  cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+  const channels = new cv.MatVector();
+  cv.split(hsv, channels);
+  const sat = channels.get(1);
+
+  try {
+    // 1. Segment strips per palette colour
+    const candidates = [];
+    for (const [colorName, hex] of Object.entries(stripsConfig.color_palette)) {
+      candidates.push(...findStripsForColor(cv, lab, colorName, hex, opts));
+    }
+
+    // 2. Where palette colours overlap (e.g. geel/oranje), keep the larger segment
+    candidates.sort((a, b) => b.area - a.area);
+    const kept = [];
+    for (const c of candidates) {
+      if (!kept.some(k => rectIoU(k.boundingBox, c.boundingBox) > 0.5)) kept.push(c);
+    }
+
+    // 3. Ring holders + occupancy per strip
+    const strips = [];
+    for (const strip of kept) {
+      const rings = findRingHolders(cv, gray, strip);
+      if (rings.length === 0) continue;
+
+      const slots = rings.map((ring, i) => ({
+        index: i + 1,
+        ...classifySlot(cv, gray, sat, ring, opts.occupiedThreshold),
+        x: ring.x,
+        y: ring.y,
+        coating_id: null,
+      }));
+      const { possible_ids, resolved_id } = resolveStripIds(strip.color_name, slots.length);
+      strips.push({
+        color_name: strip.color_name,
+        slot_count: slots.length,
+        possible_ids,
+        resolved_id,
+        coating_id: null,
+        boundingBox: { ...strip.boundingBox },
+        slots,
+      });
+    }
+
+    // Order strips as they appear (top-to-bottom, then left-to-right)
+    strips.sort((a, b) => a.boundingBox.y - b.boundingBox.y || a.boundingBox.x - b.boundingBox.x);
+    strips.forEach((s, i) => { s.index = i; });
+
+    const result = { strips };
+    if (scale < 1) scaleSlotResult(result, 1 / scale);
+
+    if (result.strips.length === 0) {
+      throw new Error('No strips detected. Ensure colored strips are visible in the photo.');
+    }
+    return result;
+  } finally {
+    src.delete();
+    rgb.delete();
+    lab.delete();
+    hsv.delete();
+    gray.delete();
+    sat.delete();
+    channels.delete();
+  }
+}
@@ -0,0 +1,93 @@
+// Printable calibration sheet: four ArUco-style square markers at known positions on an A4 page
+
+/**
+ * Layout of the sheet in mm. Marker `id` is its index in `origins` (top-left corner of the marker).
+ * Each marker is a `cells`×`cells` grid: a one-cell black border around a 4×4 code.
+ */
+export const MARKER_SHEET = {
+  paper: { width: 210, height: 297 },
+  markerMm: 42,
+  cells: 6,
+  origins: [
+    { x: 15, y: 15 },
+    { x: 153, y: 15 },
+    { x: 153, y: 240 },
+    { x: 15, y: 240 },
+  ],
+};
+
+// 4×4 codes, 1 = black. At least 7 bits apart from each other and from their own rotations
+const MARKER_CODES = [
+  ['1111', '0110', '1100', '0011'],
+  ['0000', '1111', '1100', '0111'],
+  ['1101', '1111', '0000', '0100'],
+  ['1011', '0110', '0001', '1110'],
+].map(rows => rows.map(row => [...row].map(Number)));
+
+// Code bits that may be misread and still decode
+export const MAX_BIT_ERRORS = 2;
+
+// Border cells that may be misread (glare, a finger over the edge) before the square is rejected
+const MAX_BORDER_ERRORS = 2;
+
+// Quarter turn clockwise
+function rotateGrid(grid) {
+  const n = grid.length;
+  return grid.map((_, r) => grid.map((__, c) => grid[n - 1 - c][r]));
+}
+
+/**
+ * Full cell grid of a marker, border included, as printed.
+ * @param {number} id
+ * @returns {number[][]} cells×cells, 1 = black
+ */
+export function markerCells(id) {
+  const n = MARKER_SHEET.cells;
+  return Array.from({ length: n }, (_, r) => Array.from({ length: n }, (__, c) => (
+    r === 0 || c === 0 || r === n - 1 || c === n - 1 ? 1 : MARKER_CODES[id][r - 1][c - 1]
+  )));
+}
+
+/**
+ * Identify a marker from cells sampled off a square, row 0 running from the square's
+ * first corner to its second (clockwise on screen).
+ * `rotation` is how many quarter turns clockwise the marker appears: its own top-left
+ * corner is the square's corner at that index, so `rotateCorners(square, rotation)`
+ * lists the marker's TL, TR, BR, BL.
+ * @param {number[][]} cells - cells×cells, 1 = black
+ * @returns {{ id: number, rotation: number, errors: number }|null}
+ */
+export function decodeMarker(cells) {
+  const n = MARKER_SHEET.cells;
+  let borderErrors = 0;
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if ((r === 0 || c === 0 || r === n - 1 || c === n - 1) && cells[r][c] !== 1) borderErrors++;
+    }
+  }
+  if (borderErrors > MAX_BORDER_ERRORS) return null;
+
+  const inner = cells.slice(1, n - 1).map(row => row.slice(1, n - 1));
+  let best = null;
+  MARKER_CODES.forEach((code, id) => {
+    let grid = code;
+    for (let rotation = 0; rotation < 4; rotation++) {
+      let errors = 0;
+      grid.forEach((row, r) => row.forEach((bit, c) => { if (bit !== inner[r][c]) errors++; }));
+      if (!best || errors < best.errors) best = { id, rotation, errors };
+      grid = rotateGrid(grid);
+    }
+  });
+  return best.errors <= MAX_BIT_ERRORS ? best : null;
+}
+
+/**
+ * A marker's corners on the sheet.
+ * @param {number} id
+ * @returns {Array<{ x: number, y: number }>} [TL, TR, BR, BL] in mm
+ */
+export function markerCornersMm(id) {
+  const { x, y } = MARKER_SHEET.origins[id];
+  const s = MARKER_SHEET.markerMm;
+  return [{ x, y }, { x: x + s, y }, { x: x + s, y: y + s }, { x, y: y + s }];
+}
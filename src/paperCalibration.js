@@ -0,0 +1,116 @@
+// Paper calibration: sheet orientation, per-axis px/mm and paper-size matching from four corners
+
+import { getDistance, angleDeg } from './geometry.js';
+
+// Relative difference between measured and expected long/short ratio still accepted as a match
+export const ASPECT_TOLERANCE = 0.1;
+
+// Relative ratio difference below which two sizes count as the same shape, like A3, A4 and A5
+// (all √2); far tighter than ASPECT_TOLERANCE, so A4 and Letter stay distinct
+export const SAME_RATIO_TOLERANCE = 0.01;
+
+// Limits for an outline seen close enough to head-on to capture: opposite sides may differ by
+// `sideRatio` of the longer one, and each corner may be `angleDeg` off square
+export const FRONTO_PARALLEL_TOLERANCE = { sideRatio: 0.15, angleDeg: 12 };
+
+/**
+ * Measure a sheet from its labelled corners. The longer labelled direction is matched
+ * to the paper's long side, so a sheet photographed sideways calibrates correctly.
+ * @param {Array<{ x: number, y: number }>} corners - [TL, TR, BR, BL]
+ * @param {{ width: number, height: number }} paper - mm, width ≤ height
+ * @returns {{
+ *   orientation: 'portrait'|'landscape',
+ *   acrossMm: number, downMm: number,
+ *   pxPerMmAcross: number, pxPerMmDown: number, pxPerMm: number,
+ *   disagreement: number,
+ * }} `across` is TL→TR, `down` is TL→BL; `disagreement` is |Δ| / max of the two px/mm values
+ */
+export function measurePaper(corners, paper) {
+  const acrossPx = (getDistance(corners[0], corners[1]) + getDistance(corners[3], corners[2])) / 2;
+  const downPx = (getDistance(corners[0], corners[3]) + getDistance(corners[1], corners[2])) / 2;
+  const shortMm = Math.min(paper.width, paper.height);
+  const longMm = Math.max(paper.width, paper.height);
+
+  const orientation = acrossPx > downPx ? 'landscape' : 'portrait';
+  const acrossMm = orientation === 'landscape' ? longMm : shortMm;
+  const downMm = orientation === 'landscape' ? shortMm : longMm;
+  const pxPerMmAcross = acrossPx / acrossMm;
+  const pxPerMmDown = downPx / downMm;
+
+  return {
+    orientation,
+    acrossMm,
+    downMm,
+    pxPerMmAcross,
+    pxPerMmDown,
+    pxPerMm: (pxPerMmAcross + pxPerMmDown) / 2,
+    disagreement: Math.abs(pxPerMmAcross - pxPerMmDown) / Math.max(pxPerMmAcross, pxPerMmDown),
+  };
+}
+
+/**
+ * Check a sheet's measured long/short ratio against the selected paper size and, when it
+ * does not fit, find a size that does. ISO sizes (A3, A4, A5) share the same √2 ratio, so a
+ * size within SAME_RATIO_TOLERANCE of the selected one's ratio is never offered instead of it;
+ * when only such a size fits, the selected size is kept.
+ * @param {Array<{ x: number, y: number }>} corners - [TL, TR, BR, BL]
+ * @param {Object<string, { width: number, height: number }>} sizes - e.g. PAPER_SIZES
+ * @param {string|null} [selected] - key of the size the user chose; without one the closest size is matched
+ * @returns {{ key: string|null, measuredAspect: number, error: number }} `key` is the selected
+ *   size when it fits, else the closest other size within ASPECT_TOLERANCE, else null;
+ *   `error` is the relative aspect difference to `key` (to the closest other size when null)
+ */
+export function matchPaperSize(corners, sizes, selected = null) {
+  const acrossPx = (getDistance(corners[0], corners[1]) + getDistance(corners[3], corners[2])) / 2;
+  const downPx = (getDistance(corners[0], corners[3]) + getDistance(corners[1], corners[2])) / 2;
+  const measuredAspect = Math.max(acrossPx, downPx) / Math.min(acrossPx, downPx);
+  const aspectOf = (size) => Math.max(size.width, size.height) / Math.min(size.width, size.height);
+  const relative = (a, b) => Math.abs(a - b) / b;
+
+  const selectedSize = selected ? sizes[selected] : null;
+  const selectedError = selectedSize ? relative(measuredAspect, aspectOf(selectedSize)) : Infinity;
+  if (selectedError <= ASPECT_TOLERANCE) return { key: selected, measuredAspect, error: selectedError };
+
+  let best = { key: null, error: Infinity };
+  let similarFits = false;
+  for (const [key, size] of Object.entries(sizes)) {
+    const aspect = aspectOf(size);
+    const error = relative(measuredAspect, aspect);
+    // Indistinguishable from the selected size by shape alone: its fit counts as the selected size's
+    if (selectedSize && relative(aspect, aspectOf(selectedSize)) <= SAME_RATIO_TOLERANCE) {
+      similarFits = similarFits || error <= ASPECT_TOLERANCE;
+      continue;
+    }
+    if (error < best.error) best = { key, error };
+  }
+  if (similarFits) return { key: selected, measuredAspect, error: selectedError };
+  return {
+    key: best.error <= ASPECT_TOLERANCE ? best.key : null,
+    measuredAspect,
+    error: best.error,
+  };
+}
+
+/**
+ * How far a sheet's outline is from the rectangle a head-on camera would see. A tilted
+ * camera makes the far side shorter (keystone) and the corners lose their right angles.
+ * @param {Array<{ x: number, y: number }>} corners - in order around the sheet
+ * @param {{ sideRatio: number, angleDeg: number }} [tolerance]
+ * @returns {{ sideMismatch: number, angleErrorDeg: number, frontoParallel: boolean }}
+ *   `sideMismatch` is the worst |Δ| / longer of the two pairs of opposite sides,
+ *   `angleErrorDeg` the worst corner's deviation from 90°
+ */
+export function assessFrontoParallel(corners, tolerance = FRONTO_PARALLEL_TOLERANCE) {
+  const sides = corners.map((p, i) => getDistance(p, corners[(i + 1) % 4]));
+  const mismatch = (a, b) => Math.abs(a - b) / Math.max(a, b);
+  const sideMismatch = Math.max(mismatch(sides[0], sides[2]), mismatch(sides[1], sides[3]));
+  const angleErrorDeg = Math.max(...corners.map((p, i) => (
+    Math.abs(angleDeg(corners[(i + 3) % 4], p, corners[(i + 1) % 4]) - 90)
+  )));
+
+  return {
+    sideMismatch,
+    angleErrorDeg,
+    frontoParallel: sideMismatch <= tolerance.sideRatio && angleErrorDeg <= tolerance.angleDeg,
+  };
+}
@@ -0,0 +1,109 @@
+// Project files: the photo plus all calibration, measurement and jig state as versioned JSON
+
+export const PROJECT_FORMAT = 'photoscaler-project';
+export const PROJECT_VERSION = 1;
+
+// Every piece of PhotoScaleApp state that is saved in a project (transient UI state is not)
+export const PROJECT_STATE_KEYS = [
+  // Standard mode
+  'scaleFactor',
+  'referenceLine',
+  'measurements',
+  'angleMeasurements',
+  'areaMeasurements',
+  'calcDiameterId',
+  'calcLengthId',
+  'autoDiameter',
+  'autoUnit',
+  'paperCorners',
+  'paperSize',
+  'showGrid',
+  'paperCalibration',
+  'detectedObjects',
+  'objectMinAreaMm2',
+  // Jig mode
+  'jigMode',
+  'xRuler',
+  'yRuler',
+  'yRulerConfidence',
+  'baseLine',
+  'detectedDrills',
+  'categoryThresholds',
+  'drillDetectParams',
+  'slotDetector',
+  'slotGeminiModel',
+  'slotPromptVersion',
+  'slotDetectionResult',
+  'werkbonFields',
+];
+
+/**
+ * Serialise a project to a JSON string.
+ * @param {object} project
+ * @param {string} project.imageSrc - data URL of the original photo
+ * @param {string|null} project.correctedImageSrc - data URL of the flattened photo, if any
+ * @param {object} project.state - values for PROJECT_STATE_KEYS
+ * @returns {string}
+ */
+export function serializeProject({ imageSrc, correctedImageSrc, state }) {
+  const saved = {};
+  for (const key of PROJECT_STATE_KEYS) {
+    if (state[key] !== undefined) saved[key] = state[key];
+  }
+  return JSON.stringify({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    image: imageSrc,
+    correctedImage: correctedImageSrc || null,
+    state: saved,
+  });
+}
+
+/**
+ * Parse and validate a project file's text.
+ * @param {string} text
+ * @returns {{ imageSrc: string, correctedImageSrc: string|null, state: object }}
+ * @throws {Error} when the file is not a project or was written by a newer version
+ */
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON.');
+  }
+  if (!data || data.format !== PROJECT_FORMAT) {
+    throw new Error('File is not a PhotoScale project.');
+  }
+  if (typeof data.version !== 'number' || data.version > PROJECT_VERSION) {
+    throw new Error(`Unsupported project version ${data.version} (this app reads up to ${PROJECT_VERSION}).`);
+  }
+  if (typeof data.image !== 'string' || !data.image.startsWith('data:image/')) {
+    throw new Error('Project has no embedded image.');
+  }
+
+  const state = {};
+  for (const key of PROJECT_STATE_KEYS) {
+    if (data.state && key in data.state) state[key] = data.state[key];
+  }
+  // Projects saved before multi-object detection hold a single `detectedObject`
+  if (data.state?.detectedObject && !('detectedObjects' in state)) {
+    state.detectedObjects = [{ id: 1, ...data.state.detectedObject }];
+  }
+  return { imageSrc: data.image, correctedImageSrc: data.correctedImage || null, state };
+}
+
+/**
+ * Load a data URL into an HTMLImageElement.
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not decode the project image.'));
+    img.src = src;
+  });
+}
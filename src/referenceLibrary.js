@@ -0,0 +1,88 @@
+// Reference objects of known size: built-in paper and cards, coins, drill diameters and user-defined entries
+
+import referencesConfig from './config/references.json';
+import stripsConfig from './config/strips.json';
+import { createStoredId, loadStoredList, saveStoredList } from './storedList.js';
+
+export const CUSTOM_REFERENCES_KEY = 'custom_references';
+
+// One circular reference per drill diameter in the strip catalogue
+const DRILL_REFERENCES = [...new Set(stripsConfig.strips.map(s => s.diameter_mm))]
+  .sort((a, b) => a - b)
+  .map(d => ({ id: `drill-${d}`, shape: 'circle', diameter_mm: d, label: `Drill Ø${d}mm` }));
+
+export const BUILTIN_REFERENCES = [...referencesConfig.references, ...DRILL_REFERENCES];
+
+/**
+ * Check a user-defined reference before it is saved.
+ * @param {{ label?: string, shape?: string, width_mm?: number, height_mm?: number, diameter_mm?: number }} ref
+ * @returns {string|null} what is wrong, or null when valid
+ */
+export function validateReference(ref) {
+  if (!ref.label || !ref.label.trim()) return 'Give the reference a name.';
+  const positive = (v) => typeof v === 'number' && isFinite(v) && v > 0;
+  if (ref.shape === 'rectangle') {
+    if (!positive(ref.width_mm) || !positive(ref.height_mm)) return 'Width and height must be positive numbers of mm.';
+  } else if (ref.shape === 'circle') {
+    if (!positive(ref.diameter_mm)) return 'Diameter must be a positive number of mm.';
+  } else {
+    return 'Shape must be rectangle or circle.';
+  }
+  return null;
+}
+
+/**
+ * Build a stored reference from form values. Rectangles are stored portrait (width ≤ height).
+ * @param {{ label: string, shape: 'rectangle'|'circle', width_mm?: number, height_mm?: number, diameter_mm?: number }} ref
+ * @returns {object}
+ */
+export function createReference(ref) {
+  const id = createStoredId('custom');
+  const label = ref.label.trim();
+  if (ref.shape === 'circle') return { id, shape: 'circle', diameter_mm: ref.diameter_mm, label, custom: true };
+  return {
+    id,
+    shape: 'rectangle',
+    width_mm: Math.min(ref.width_mm, ref.height_mm),
+    height_mm: Math.max(ref.width_mm, ref.height_mm),
+    label,
+    custom: true,
+  };
+}
+
+/**
+ * User-defined references from localStorage. Invalid entries are skipped.
+ * @returns {Array<object>}
+ */
+export function loadCustomReferences() {
+  return loadStoredList(CUSTOM_REFERENCES_KEY, validateReference);
+}
+
+/**
+ * @param {Array<object>} references - user-defined entries only
+ */
+export function saveCustomReferences(references) {
+  saveStoredList(CUSTOM_REFERENCES_KEY, references);
+}
+
+/**
+ * Rectangular references keyed by id, in the `{ width, height, label }` shape used for paper sizes.
+ * @param {Array<object>} references
+ * @returns {Object<string, { width: number, height: number, label: string, custom: boolean }>}
+ */
+export function rectangleSizes(references) {
+  const sizes = {};
+  for (const r of references) {
+    if (r.shape === 'rectangle') sizes[r.id] = { width: r.width_mm, height: r.height_mm, label: r.label, custom: !!r.custom };
+  }
+  return sizes;
+}
+
+/**
+ * Circular references (coins, drills, custom discs).
+ * @param {Array<object>} references
+ * @returns {Array<{ id: string, diameter_mm: number, label: string, custom?: boolean }>}
+ */
+export function circleReferences(references) {
+  return references.filter(r => r.shape === 'circle');
+}
@@ -0,0 +1,79 @@
+// Ruler calibration helpers: piecewise-linear pixel → mm mapping across observed ticks
+
+/**
+ * Map a pixel coordinate along a ruler's axis to mm by interpolating between the
+ * two neighbouring ticks in `ruler.points`. Outside the observed range the nearest
+ * end segment is extrapolated.
+ * @param {{ points: Array<{ pixel: number, mm: number }> }} ruler
+ * @param {number} pixel - Y for a vertical ruler, X for a horizontal one
+ * @returns {number|null} null when the ruler has fewer than two points
+ */
+export function rulerPixelToMm(ruler, pixel) {
+  const points = (ruler?.points || []).slice().sort((a, b) => a.pixel - b.pixel);
+  if (points.length < 2) return null;
+
+  let i = 1;
+  while (i < points.length - 1 && pixel > points[i].pixel) i++;
+  const a = points[i - 1];
+  const b = points[i];
+  if (b.pixel === a.pixel) return a.mm;
+  return a.mm + ((pixel - a.pixel) / (b.pixel - a.pixel)) * (b.mm - a.mm);
+}
+
+/**
+ * Real-world distance in mm between two pixel positions along the ruler.
+ * Falls back to the uniform `scalePxPerMm` when the ruler has no tick points.
+ * @param {{ points?: Array, scalePxPerMm: number }} ruler
+ * @param {number} fromPx
+ * @param {number} toPx
+ * @returns {number}
+ */
+export function rulerDistanceMm(ruler, fromPx, toPx) {
+  const a = rulerPixelToMm(ruler, fromPx);
+  const b = rulerPixelToMm(ruler, toPx);
+  if (a == null || b == null) return Math.abs(toPx - fromPx) / ruler.scalePxPerMm;
+  return Math.abs(b - a);
+}
+
+/**
+ * Per-tick residuals against a single least-squares px/mm fit — how far each
+ * observed tick deviates from a uniform scale (i.e. what the piecewise model absorbs).
+ * @param {{ points?: Array<{ pixel: number, mm: number }> }} ruler
+ * @returns {Array<{ mm: number, pixel: number, residualMm: number }>} empty with fewer than three points
+ */
+export function rulerTickResiduals(ruler) {
+  const points = (ruler?.points || []).slice().sort((a, b) => a.mm - b.mm);
+  const n = points.length;
+  if (n < 3) return [];
+
+  let sumPx = 0, sumMm = 0, sumPxMm = 0, sumPx2 = 0;
+  for (const p of points) {
+    sumPx += p.pixel;
+    sumMm += p.mm;
+    sumPxMm += p.pixel * p.mm;
+    sumPx2 += p.pixel * p.pixel;
+  }
+  const denom = n * sumPx2 - sumPx * sumPx;
+  if (denom === 0) return [];
+  const slope = (n * sumPxMm - sumPx * sumMm) / denom; // mm per px
+  const intercept = (sumMm - slope * sumPx) / n;
+
+  return points.map(p => ({
+    mm: p.mm,
+    pixel: p.pixel,
+    residualMm: p.mm - (intercept + slope * p.pixel),
+  }));
+}
+
+/**
+ * Project a point onto the infinite line through `line.start` → `line.end`.
+ * @returns {{ x: number, y: number }}
+ */
+export function projectOntoLine(line, p) {
+  const dx = line.end.x - line.start.x;
+  const dy = line.end.y - line.start.y;
+  const len2 = dx * dx + dy * dy;
+  if (len2 === 0) return { x: line.start.x, y: line.start.y };
+  const t = ((p.x - line.start.x) * dx + (p.y - line.start.y) * dy) / len2;
+  return { x: line.start.x + t * dx, y: line.start.y + t * dy };
+}
@@ -0,0 +1,34 @@
+// Lists of user-created entries kept in localStorage (custom references, calibration presets)
+
+/**
+ * A unique id for a new entry, e.g. 'custom-lx3k2f-9a1c'.
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function createStoredId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Entries stored under `key`. Entries without an id or that `validate` rejects are skipped;
+ * missing or corrupt storage gives an empty list.
+ * @param {string} key
+ * @param {(entry: object) => string|null} validate - returns what is wrong, or null when valid
+ * @returns {Array<object>}
+ */
+export function loadStoredList(key, validate) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(stored) ? stored.filter(entry => entry && entry.id && !validate(entry)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {Array<object>} entries
+ */
+export function saveStoredList(key, entries) {
+  localStorage.setItem(key, JSON.stringify(entries));
+}
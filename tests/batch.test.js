@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { runWithConcurrency, combineInventory } from '../src/batch.js';
+
+// A task that resolves (or rejects) when the test says so, and records when it started
+function deferredTask(log, name) {
+  let settle;
+  const done = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+  const task = () => {
+    log.push(name);
+    return done;
+  };
+  return { task, ...settle };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// One strip as parseSlotDetectionResponse() returns it; `occupied` lists the occupied slot indices
+const strip = (color_name, slot_count, resolved_id, occupied = []) => ({
+  color_name,
+  slot_count,
+  resolved_id,
+  slots: Array.from({ length: slot_count }, (_, index) => ({ index, occupied: occupied.includes(index) })),
+});
+
+describe('runWithConcurrency', () => {
+  it('never has more than `limit` tasks in flight', async () => {
+    const started = [];
+    const tasks = ['a', 'b', 'c', 'd'].map(name => deferredTask(started, name));
+    const pending = runWithConcurrency(tasks.map(t => t.task), 2);
+
+    await flush();
+    expect(started).toEqual(['a', 'b']);
+    tasks[1].resolve('B');
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c']);
+    tasks[0].resolve('A');
+    tasks[2].resolve('C');
+    tasks[3].resolve('D');
+    await pending;
+    expect(started).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('returns results in task order, not completion order', async () => {
+    const tasks = [30, 0, 10].map((ms, i) => () => new Promise(resolve => setTimeout(() => resolve(i), ms)));
+    const results = await runWithConcurrency(tasks, 3);
+    expect(results).toEqual([{ ok: true, value: 0 }, { ok: true, value: 1 }, { ok: true, value: 2 }]);
+  });
+
+  it('captures failures per task and keeps going', async () => {
+    const error = new Error('quota');
+    const results = await runWithConcurrency([
+      async () => 'first',
+      async () => { throw error; },
+      async () => 'third',
+    ], 1);
+    expect(results).toEqual([{ ok: true, value: 'first' }, { ok: false, error }, { ok: true, value: 'third' }]);
+  });
+
+  it('runs at least one worker and handles an empty queue', async () => {
+    expect(await runWithConcurrency([async () => 1, async () => 2], 0)).toEqual([{ ok: true, value: 1 }, { ok: true, value: 2 }]);
+    expect(await runWithConcurrency([], 3)).toEqual([]);
+  });
+});
+
+describe('combineInventory', () => {
+  it('sums occupied and total slots of the same strip across photos', () => {
+    const inventory = combineInventory([
+      { slotResult: { strips: [strip('blauw', 7, 'S16', [0, 1])] } },
+      { slotResult: { strips: [strip('blauw', 7, 'S16', [3])] } },
+    ]);
+    expect(inventory.strips).toEqual([{
+      key: 'S16', stripId: 'S16', colorName: 'blauw', diameterMm: 16, occupied: 3, total: 14, photos: 2,
+    }]);
+  });
+
+  it('keys unresolved strips by colour and slot count', () => {
+    const { strips } = combineInventory([
+      { slotResult: { strips: [strip('zwart', 5, null, [0]), strip('zwart', 13, null)] } },
+      { slotResult: { strips: [strip('zwart', 5, null, [1, 2])] } },
+    ]);
+    expect(strips.map(s => [s.key, s.stripId, s.diameterMm, s.occupied, s.photos])).toEqual([
+      ['zwart/13', null, null, 0, 1],
+      ['zwart/5', null, null, 3, 2],
+    ]);
+  });
+
+  it('sorts resolved strips by diameter, unresolved ones last', () => {
+    const { strips } = combineInventory([{
+      slotResult: { strips: [strip('zwart', 5, null), strip('oranje', 7, 'S20'), strip('geel', 13, 'S08'), strip('blauw', 7, 'S16')] },
+    }]);
+    expect(strips.map(s => s.key)).toEqual(['S08', 'S16', 'S20', 'zwart/5']);
+  });
+
+  it('counts drills per category and skips photos without results', () => {
+    const inventory = combineInventory([
+      { drills: [{ category: 'A' }, { category: 'C' }], slotResult: null },
+      { drills: [{ category: 'A' }, { category: 'B' }] },
+      {},
+    ]);
+    expect(inventory.categories).toEqual({ A: 2, B: 1, C: 1 });
+    expect(inventory.drillCount).toBe(4);
+    expect(inventory.strips).toEqual([]);
+  });
+});
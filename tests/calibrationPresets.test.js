@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CALIBRATION_PRESETS_KEY,
+  PRESET_DRIFT_TOLERANCE,
+  validatePreset,
+  createPreset,
+  loadCalibrationPresets,
+  saveCalibrationPresets,
+  presetReferenceCorners,
+  presetDrift,
+} from '../src/calibrationPresets.js';
+import { useMemoryStorage } from './memoryStorage.js';
+
+useMemoryStorage();
+
+const A4_CORNERS = [{ x: 400, y: 300 }, { x: 1030, y: 300 }, { x: 1030, y: 1191 }, { x: 400, y: 1191 }];
+
+const jigPreset = () => createPreset({
+  name: ' Station 1 ',
+  mode: 'jig',
+  imageWidth: 4000,
+  imageHeight: 3000,
+  state: {
+    xRuler: { scalePxPerMm: 3 },
+    yRuler: { scalePxPerMm: 2.5 },
+    yRulerConfidence: 0.9,
+    paperCorners: A4_CORNERS,
+    baseLine: { y: 2500, mmValue: 0 },
+    categoryThresholds: { shortMax: 200, mediumMax: 300 },
+    drillDetectParams: { minArea: 1000, minAspect: 3 },
+    detectedDrills: [{ id: 1 }],
+  },
+});
+
+const standardPreset = () => createPreset({
+  name: 'Copy stand',
+  mode: 'standard',
+  imageWidth: 4000,
+  imageHeight: 3000,
+  state: {
+    scaleFactor: 3,
+    referenceLine: { realLength: 297, unit: 'mm' },
+    paperSize: 'a4',
+    paperCalibration: { corners: A4_CORNERS, pxPerMm: 3 },
+    measurements: [{ id: 1 }],
+  },
+});
+
+describe('createPreset', () => {
+  it('keeps only the calibration of its mode', () => {
+    const preset = jigPreset();
+    expect(preset.name).toBe('Station 1');
+    expect(preset.id).toMatch(/^preset-/);
+    expect(Object.keys(preset.state).sort()).toEqual(
+      ['baseLine', 'categoryThresholds', 'drillDetectParams', 'paperCorners', 'xRuler', 'yRuler', 'yRulerConfidence'],
+    );
+    expect(standardPreset().state).not.toHaveProperty('measurements');
+  });
+
+  it('copies the state instead of sharing it', () => {
+    const state = { scaleFactor: 3, paperCalibration: { corners: A4_CORNERS.map(p => ({ ...p })) } };
+    const preset = createPreset({ name: 'x', mode: 'standard', imageWidth: 10, imageHeight: 10, state });
+    state.paperCalibration.corners[0].x = 0;
+    expect(preset.state.paperCalibration.corners[0].x).toBe(400);
+  });
+});
+
+describe('validatePreset', () => {
+  it('accepts calibrated presets of either mode', () => {
+    expect(validatePreset(jigPreset())).toBeNull();
+    expect(validatePreset(standardPreset())).toBeNull();
+  });
+
+  it('rejects missing names, sizes and calibration', () => {
+    expect(validatePreset({ ...standardPreset(), name: '  ' })).toMatch(/name/);
+    expect(validatePreset({ ...standardPreset(), mode: 'other' })).toMatch(/Mode/);
+    expect(validatePreset({ ...standardPreset(), imageWidth: 0 })).toMatch(/size/);
+    expect(validatePreset({ ...standardPreset(), state: {} })).toMatch(/Calibrate/);
+    expect(validatePreset({ ...jigPreset(), state: {} })).toMatch(/Y ruler/);
+  });
+});
+
+describe('preset persistence', () => {
+  it('round-trips through localStorage', () => {
+    const presets = [jigPreset(), standardPreset()];
+    saveCalibrationPresets(presets);
+    expect(loadCalibrationPresets()).toEqual(presets);
+  });
+
+  it('skips invalid entries and survives corrupt storage', () => {
+    localStorage.setItem(CALIBRATION_PRESETS_KEY, JSON.stringify([standardPreset(), { id: 'bad', name: 'Bad' }, null]));
+    expect(loadCalibrationPresets().map(p => p.name)).toEqual(['Copy stand']);
+
+    localStorage.setItem(CALIBRATION_PRESETS_KEY, '{not json');
+    expect(loadCalibrationPresets()).toEqual([]);
+  });
+
+  it('drops state keys that do not belong to the preset mode', () => {
+    const standard = standardPreset();
+    const jig = jigPreset();
+    localStorage.setItem(CALIBRATION_PRESETS_KEY, JSON.stringify([
+      { ...standard, state: { ...standard.state, futureKey: 1, yRuler: { scalePxPerMm: 2 } } },
+      { ...jig, state: { ...jig.state, scaleFactor: 3 } },
+    ]));
+    const [loadedStandard, loadedJig] = loadCalibrationPresets();
+    expect(loadedStandard.state).toEqual(standard.state);
+    expect(loadedJig.state).toEqual(jig.state);
+  });
+
+  it('starts empty', () => {
+    expect(loadCalibrationPresets()).toEqual([]);
+  });
+});
+
+describe('presetReferenceCorners', () => {
+  it('uses the ground plane in Jig Mode and the calibrated sheet in Standard mode', () => {
+    expect(presetReferenceCorners(jigPreset())).toEqual(A4_CORNERS);
+    expect(presetReferenceCorners(standardPreset())).toEqual(A4_CORNERS);
+    expect(presetReferenceCorners({ state: { scaleFactor: 3 } })).toBeNull();
+  });
+});
+
+describe('presetDrift', () => {
+  const same = { imageWidth: 4000, imageHeight: 3000 };
+
+  it('is silent for a matching photo', () => {
+    expect(presetDrift(jigPreset(), { ...same, corners: A4_CORNERS, xRuler: { scalePxPerMm: 3 }, yRuler: { scalePxPerMm: 2.51 } })).toEqual([]);
+  });
+
+  it('warns about a different resolution', () => {
+    const [warning] = presetDrift(standardPreset(), { imageWidth: 3000, imageHeight: 4000 });
+    expect(warning).toMatch(/3000×4000.*4000×3000/);
+  });
+
+  it('tolerates small corner jitter and warns about a shifted camera', () => {
+    const jitter = A4_CORNERS.map(p => ({ x: p.x + 10, y: p.y - 10 }));
+    expect(presetDrift(standardPreset(), { ...same, corners: jitter })).toEqual([]);
+    expect(presetDrift(standardPreset(), { ...same, corners: [...jitter.slice(1), jitter[0]] })).toEqual([]);
+
+    const limit = 5000 * PRESET_DRIFT_TOLERANCE.cornerShift;
+    const shifted = A4_CORNERS.map(p => ({ x: p.x + limit + 20, y: p.y }));
+    const [warning] = presetDrift(standardPreset(), { ...same, corners: shifted });
+    expect(warning).toMatch(/moved up to 70 px/);
+  });
+
+  it('says when the paper could not be found to check', () => {
+    expect(presetDrift(jigPreset(), { ...same, corners: null })[0]).toMatch(/not found/);
+    expect(presetDrift({ ...standardPreset(), state: { scaleFactor: 3 } }, { ...same, corners: null })).toEqual([]);
+  });
+
+  it('warns when a re-detected ruler or scale differs', () => {
+    const warnings = presetDrift(jigPreset(), { ...same, xRuler: { scalePxPerMm: 3.3 }, yRuler: null });
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatch(/X ruler is 3\.30 px\/mm.*3\.00 px\/mm \(10\.0% off\)/);
+
+    expect(presetDrift(standardPreset(), { ...same, scaleFactor: 2.8 })[0]).toMatch(/^Scale/);
+  });
+});
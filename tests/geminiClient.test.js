@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { generateContent, GeminiRateLimitError, GeminiAuthError } from '../src/geminiClient.js';
+import { createMockFetch, fixtureText, selectFixture, handmadeFixture } from './mockGemini.js';
+
+const fixtures = new Map([
+  ['test1.jig', handmadeFixture('{"drills":[]}', { kind: 'jig', width: 2048, height: 1152 })],
+  ['test3.jig', handmadeFixture('{"drills":[{"centerX":1}]}', { kind: 'jig', width: 1152, height: 2048 })],
+  ['bucket-placements.slots', handmadeFixture('{"strips":[]}', { kind: 'slots', width: 1152, height: 2048 })],
+]);
+const request = (overrides = {}) => ({
+  apiKey: 'test-key',
+  model: 'gemini-2.5-flash',
+  parts: [{ text: 'prompt' }],
+  baseUrl: 'http://localhost:8787/',
+  ...overrides,
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+describe('generateContent', () => {
+  it('posts to the configured base URL and returns the answer text', async () => {
+    const fixture = fixtures.get('test1.jig');
+    const mockFetch = createMockFetch(fixture);
+    vi.stubGlobal('fetch', mockFetch);
+
+    const text = await generateContent(request());
+    expect(text).toBe(fixtureText(fixture));
+    expect(mockFetch.calls).toHaveLength(1);
+    expect(mockFetch.calls[0].url).toBe('http://localhost:8787/v1beta/models/gemini-2.5-flash:generateContent?key=test-key');
+  });
+
+  it('retries a 429 after Retry-After', async () => {
+    vi.useFakeTimers();
+    const fixture = fixtures.get('test3.jig');
+    const mockFetch = createMockFetch(fixture, { failures: [{ status: 429, headers: { 'Retry-After': '3' } }] });
+    vi.stubGlobal('fetch', mockFetch);
+    const onRetry = vi.fn();
+
+    const pending = generateContent(request({ onRetry }));
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(await pending).toBe(fixtureText(fixture));
+    expect(mockFetch.calls).toHaveLength(2);
+    expect(onRetry).toHaveBeenCalledWith(1, 3000, expect.any(GeminiRateLimitError));
+  });
+
+  it('does not retry auth failures', async () => {
+    const mockFetch = createMockFetch(fixtures.get('test1.jig'), { failures: [{ status: 403 }] });
+    vi.stubGlobal('fetch', mockFetch);
+    await expect(generateContent(request())).rejects.toBeInstanceOf(GeminiAuthError);
+    expect(mockFetch.calls).toHaveLength(1);
+  });
+});
+
+describe('selectFixture', () => {
+  const body = (kind, w, h) => ({
+    contents: [{ parts: [{ text: `The image is ${w}×${h} pixels.` }] }],
+    generationConfig: { responseSchema: { properties: kind === 'jig' ? { drills: {} } : { strips: {} } } },
+  });
+
+  it('matches on request kind and image size', () => {
+    expect(selectFixture(fixtures, body('jig', 2048, 1152)).name).toBe('test1.jig');
+    expect(selectFixture(fixtures, body('slots', 1152, 2048)).name).toBe('bucket-placements.slots');
+    expect(selectFixture(fixtures, body('slots', 640, 480))).toBeNull();
+  });
+
+  it('prefers an explicitly selected fixture', () => {
+    expect(selectFixture(fixtures, body('jig', 1152, 2048), 'test3').name).toBe('test3.jig');
+  });
+});
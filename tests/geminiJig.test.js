@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import { buildRulerFromTicks, parseGeminiResponse } from '../src/geminiJig.js';
+import { rulerDistanceMm, rulerPixelToMm } from '../src/rulerCalibration.js';
+
+const THRESHOLDS = { shortMax: 200, mediumMax: 300 };
+
+// Hand-made answer in the shape of a 2048×1152 jig photo (tape at 4–20 cm, three drills)
+const HANDMADE_JIG = JSON.stringify({
+  ruler: { pixelX: 1850, ticks: [{ cm: 4, pixelY: 446 }, { cm: 8, pixelY: 355 }, { cm: 12, pixelY: 262 }, { cm: 16, pixelY: 167 }, { cm: 20, pixelY: 71 }] },
+  a4Paper: { nearEdgePx: 722, farEdgePx: 451, perspectiveRatio: 1.6, scalePxPerMm: 3.44 },
+  baseLineY: 405,
+  drills: [
+    { centerX: 1628, topY: 150, widthPx: 90, heightMm: 109, category: 'A' },
+    { centerX: 992, topY: 352, widthPx: 34, heightMm: 23, category: 'A' },
+    { centerX: 1100, topY: 128, widthPx: 80, heightMm: 118, category: 'A' },
+  ],
+});
+const HANDMADE_SIZE = [2048, 1152];
+
+// What every well-formed jig answer must parse into
+function expectMeasuredDrills(result) {
+  expect(result.issues.filter(i => i.severity === 'error')).toEqual([]);
+  expect(result.yRuler.points.length).toBeGreaterThanOrEqual(4);
+  expect(result.yRuler.scalePxPerMm).toBeGreaterThan(1);
+  expect(result.yRuler.scalePxPerMm).toBeLessThan(4);
+  expect(result.xRuler.length).toBe(210);
+  expect(result.baseLine.mmValue).toBeCloseTo(rulerPixelToMm(result.yRuler, result.baseLine.y));
+
+  expect(result.drills.length).toBeGreaterThan(0);
+  result.drills.forEach((d, i) => {
+    expect(d.id).toBe(i + 1);
+    if (i > 0) expect(d.centerX).toBeGreaterThan(result.drills[i - 1].centerX);
+    expect(d.bottomY).toBe(result.baseLine.y);
+    expect(d.heightPx).toBe(d.bottomY - d.topY);
+    expect(d.heightMm).toBeCloseTo(rulerDistanceMm(result.yRuler, d.topY, d.bottomY));
+    expect(d.category).toBe(d.heightMm < THRESHOLDS.shortMax ? 'A' : d.heightMm < THRESHOLDS.mediumMax ? 'B' : 'C');
+    expect(d.vertices).toHaveLength(4);
+  });
+}
+
+describe('buildRulerFromTicks', () => {
+  it('fits px/mm and the 0 cm reference from evenly spaced ticks', () => {
+    // Tape reads upwards: 0 cm at y=1000, 2.5 px per mm
+    const ruler = buildRulerFromTicks({ pixelX: 1800, ticks: [10, 20, 30, 40].map(cm => ({ cm, pixelY: 1000 - cm * 25 })) });
+    expect(ruler.scalePxPerMm).toBeCloseTo(2.5);
+    expect(ruler.refPixelY).toBeCloseTo(1000);
+    expect(ruler.length).toBe(300);
+    expect(ruler.line.start).toEqual({ x: 1800, y: 750 });
+    expect(ruler.line.end).toEqual({ x: 1800, y: 0 });
+    expect(ruler.ticks.map(t => t.px)).toEqual([250, 500, 750, 1000].map(px => expect.closeTo(px)));
+  });
+
+  it('sorts ticks by cm and keeps every observed tick as a point', () => {
+    const ruler = buildRulerFromTicks({ ticks: [{ cm: 30, pixelY: 200 }, { cm: 10, pixelY: 700 }, { cm: 20, pixelY: 440 }] });
+    expect(ruler.points).toEqual([
+      { pixel: 700, mm: 100 },
+      { pixel: 440, mm: 200 },
+      { pixel: 200, mm: 300 },
+    ]);
+    // The piecewise mapping goes through every tick, unlike the single fit
+    expect(rulerPixelToMm(ruler, 440)).toBeCloseTo(200);
+  });
+
+  it('builds an x ruler from pixelX', () => {
+    const ruler = buildRulerFromTicks({ pixelY: 900, ticks: [{ cm: 0, pixelX: 100 }, { cm: 10, pixelX: 400 }] }, 'x');
+    expect(ruler.scalePxPerMm).toBeCloseTo(3);
+    expect(ruler.refPixelX).toBeCloseTo(100);
+    expect(ruler.refPixelY).toBeUndefined();
+    expect(ruler.line).toEqual({ start: { x: 100, y: 900 }, end: { x: 400, y: 900 } });
+  });
+
+  it('has no line when the tape position is unknown', () => {
+    const ruler = buildRulerFromTicks({ ticks: [{ cm: 10, pixelY: 700 }, { cm: 20, pixelY: 440 }] });
+    expect(ruler.line).toBeNull();
+    expect(ruler.scalePxPerMm).toBeCloseTo(2.6);
+  });
+
+  it('needs at least two ticks', () => {
+    expect(buildRulerFromTicks({ ticks: [{ cm: 5, pixelY: 100 }] })).toBeNull();
+    expect(buildRulerFromTicks({})).toBeNull();
+  });
+});
+
+describe('parseGeminiResponse', () => {
+  it('builds rulers and measures drills through the ruler, sorted left to right', () => {
+    const result = parseGeminiResponse(HANDMADE_JIG, ...HANDMADE_SIZE, THRESHOLDS);
+    expectMeasuredDrills(result);
+    expect(result.drills.map(d => d.centerX)).toEqual([992, 1100, 1628]);
+  });
+
+  it('categorises against the given thresholds', () => {
+    const result = parseGeminiResponse(HANDMADE_JIG, ...HANDMADE_SIZE, { shortMax: 30, mediumMax: 100 });
+    for (const d of result.drills) {
+      expect(d.category).toBe(d.heightMm < 30 ? 'A' : d.heightMm < 100 ? 'B' : 'C');
+    }
+  });
+
+  it('accepts answers wrapped in markdown fences', () => {
+    const fenced = '```json\n' + HANDMADE_JIG + '\n```';
+    const result = parseGeminiResponse(fenced, ...HANDMADE_SIZE, THRESHOLDS);
+    expect(result.drills.length).toBeGreaterThan(0);
+  });
+
+  it('reports unparseable text as an error issue', () => {
+    const result = parseGeminiResponse('not json', 1000, 1000, THRESHOLDS);
+    expect(result.drills).toEqual([]);
+    expect(result.issues).toEqual([expect.objectContaining({ field: '(response)', severity: 'error' })]);
+  });
+
+  it('drops drills outside the image and reports them', () => {
+    const text = JSON.stringify({
+      ruler: { pixelX: 950, ticks: [{ cm: 0, pixelY: 900 }, { cm: 10, pixelY: 600 }, { cm: 20, pixelY: 300 }, { cm: 30, pixelY: 0 }] },
+      a4Paper: { nearEdgePx: 630, farEdgePx: 420, perspectiveRatio: 1.5, scalePxPerMm: 3 },
+      baseLineY: 900,
+      drills: [
+        { centerX: 500, topY: 600, heightMm: 100, category: 'A' },
+        { centerX: 5000, topY: 600, heightMm: 100, category: 'A' },
+      ],
+    });
+    const result = parseGeminiResponse(text, 1000, 1000, THRESHOLDS);
+    expect(result.drills).toHaveLength(1);
+    expect(result.drills[0].heightMm).toBeCloseTo(100);
+    expect(result.issues).toEqual([expect.objectContaining({ field: 'drills[1]', severity: 'error' })]);
+  });
+
+  it('places the ruler on the reported tape and drops the line without one', () => {
+    const result = parseGeminiResponse(HANDMADE_JIG, ...HANDMADE_SIZE, THRESHOLDS);
+    expect(result.yRuler.line.start).toEqual({ x: 1850, y: 446 });
+    expect(result.yRuler.line.end).toEqual({ x: 1850, y: 71 });
+    expect(result.issues).toEqual([]);
+
+    const data = JSON.parse(HANDMADE_JIG);
+    for (const pixelX of [undefined, 3000]) {
+      const unplaced = parseGeminiResponse(JSON.stringify({ ...data, ruler: { ...data.ruler, pixelX } }), ...HANDMADE_SIZE, THRESHOLDS);
+      expect(unplaced.yRuler.line).toBeNull();
+      expect(unplaced.drills.map(d => d.heightMm)).toEqual(result.drills.map(d => d.heightMm));
+      expect(unplaced.issues).toEqual([expect.objectContaining({ field: 'ruler.pixelX', severity: 'warning' })]);
+    }
+  });
+
+  it('falls back to the model height without a ruler', () => {
+    const text = JSON.stringify({
+      a4Paper: { nearEdgePx: 630, farEdgePx: 420, perspectiveRatio: 1.5, scalePxPerMm: 3 },
+      baseLineY: 900,
+      drills: [{ centerX: 500, topY: 600, heightMm: 123, category: 'A' }],
+    });
+    const result = parseGeminiResponse(text, 1000, 1000, THRESHOLDS);
+    expect(result.yRuler).toBeNull();
+    expect(result.drills[0].heightMm).toBe(123);
+  });
+});
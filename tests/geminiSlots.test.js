@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { resolveStripIds, scaleSlotResult, parseSlotDetectionResponse } from '../src/geminiSlots.js';
+
+// Hand-made answer in the shape of the 1152×2048 bucket photo: [color, slot count, box x, box width, occupied slots]
+// (slot numbers are 1-based, as the prompt asks)
+const HANDMADE_STRIPS = [
+  ['blauw', 7, 160, 120, [1, 2, 3]],
+  ['zwart', 5, 280, 175, [1, 4]],
+  ['grijs', 7, 465, 128, []],
+  ['oranje', 13, 588, 66, [4, 6]],
+  ['geel', 13, 650, 56, [2, 9, 10, 11, 13]],
+  ['oranje', 7, 712, 134, [2, 5, 6, 7]],
+  ['zwart', 13, 842, 60, []],
+];
+const HANDMADE_SLOTS = JSON.stringify({
+  strips: HANDMADE_STRIPS.map(([color_name, slot_count, x, width, occupied]) => ({
+    color_name,
+    slot_count,
+    boundingBox: { x, y: 330, width, height: 1100 },
+    slots: Array.from({ length: slot_count }, (_, i) => ({
+      index: i + 1,
+      occupied: occupied.includes(i + 1),
+      confidence: i === 2 ? 0.62 : 0.95,
+      x: x + Math.round(width / 2),
+      y: 330 + Math.round((i + 0.5) * 1100 / slot_count),
+    })),
+  })),
+});
+const parseHandmade = () => parseSlotDetectionResponse(HANDMADE_SLOTS, 1152, 2048);
+
+// What every well-formed slots answer must parse into
+function expectResolvedStrips(result) {
+  expect(result.issues.filter(i => i.severity === 'error')).toEqual([]);
+  expect(result.strips.length).toBeGreaterThan(0);
+  for (const strip of result.strips) {
+    expect(strip.slots).toHaveLength(strip.slot_count);
+    expect(strip.slots.every(s => s.confidence >= 0 && s.confidence <= 1)).toBe(true);
+    expect(strip.resolved_id === null || strip.possible_ids.includes(strip.resolved_id)).toBe(true);
+  }
+}
+
+describe('resolveStripIds', () => {
+  it('resolves a unique colour + slot count', () => {
+    expect(resolveStripIds('blauw', 7)).toEqual({ possible_ids: ['S16'], resolved_id: 'S16' });
+    expect(resolveStripIds('geel', 13)).toEqual({ possible_ids: ['S08'], resolved_id: 'S08' });
+  });
+
+  it('lists candidates when several strips share colour and slot count', () => {
+    expect(resolveStripIds('zwart', 5)).toEqual({ possible_ids: ['S32', 'S36', 'S40'], resolved_id: null });
+    expect(resolveStripIds('zwart', 13)).toEqual({ possible_ids: ['S03', 'S12'], resolved_id: null });
+  });
+
+  it('falls back to every strip of the colour when the slot count matches none', () => {
+    expect(resolveStripIds('blauw', 9)).toEqual({ possible_ids: ['S11', 'S16'], resolved_id: null });
+  });
+
+  it('returns nothing for an unknown colour', () => {
+    expect(resolveStripIds('magenta', 7)).toEqual({ possible_ids: [], resolved_id: null });
+  });
+});
+
+describe('parseSlotDetectionResponse', () => {
+  it('resolves the strips by colour and slot count', () => {
+    const result = parseHandmade();
+    expect(result.issues).toEqual([]);
+    expectResolvedStrips(result);
+    expect(result.strips.map(s => s.resolved_id)).toEqual(['S16', null, 'S25', 'S10', 'S08', 'S20', null]);
+    expect(result.strips[1].possible_ids).toEqual(['S32', 'S36', 'S40']);
+  });
+
+  it('clamps confidence to 0–1 and reports it', () => {
+    const text = JSON.stringify({
+      strips: [{
+        color_name: 'grijs',
+        slot_count: 1,
+        boundingBox: { x: 0, y: 0, width: 10, height: 10 },
+        slots: [{ index: 1, occupied: true, confidence: 1.4, x: 5, y: 5 }],
+      }],
+    });
+    const result = parseSlotDetectionResponse(text, 100, 100);
+    expect(result.strips[0].slots[0].confidence).toBe(1);
+    expect(result.issues).toEqual([expect.objectContaining({ field: 'strips[0].slots[0].confidence', severity: 'warning' })]);
+  });
+
+  it('drops slots that are not objects and strips left without slots', () => {
+    const slot = { index: 1, occupied: true, confidence: 0.9, x: 5, y: 5 };
+    const strip = (slots) => ({ color_name: 'grijs', slot_count: 1, boundingBox: { x: 0, y: 0, width: 10, height: 10 }, slots });
+    const text = JSON.stringify({ strips: [strip([null, slot]), strip([null, 'x'])] });
+    const result = parseSlotDetectionResponse(text, 100, 100);
+    expect(result.strips).toHaveLength(1);
+    expect(result.strips[0].slots).toEqual([expect.objectContaining({ index: 1, occupied: true })]);
+    expect(result.issues.map(i => [i.field, i.severity])).toEqual([
+      ['strips[0].slots[0]', 'error'],
+      ['strips[1].slots[0]', 'error'],
+      ['strips[1].slots[1]', 'error'],
+      ['strips[1].slots', 'error'],
+    ]);
+  });
+});
+
+describe('scaleSlotResult', () => {
+  it('scales bounding boxes and slot centres', () => {
+    const result = parseHandmade();
+    const before = structuredClone(result);
+    scaleSlotResult(result, 2);
+    result.strips.forEach((strip, i) => {
+      const orig = before.strips[i];
+      expect(strip.boundingBox).toEqual({
+        x: orig.boundingBox.x * 2,
+        y: orig.boundingBox.y * 2,
+        width: orig.boundingBox.width * 2,
+        height: orig.boundingBox.height * 2,
+      });
+      strip.slots.forEach((slot, j) => {
+        expect(slot.x).toBe(orig.slots[j].x * 2);
+        expect(slot.y).toBe(orig.slots[j].y * 2);
+        expect(slot.occupied).toBe(orig.slots[j].occupied);
+        expect(slot.confidence).toBe(orig.slots[j].confidence);
+      });
+    });
+  });
+
+  it('round-trips with the inverse factor', () => {
+    const result = parseHandmade();
+    const before = structuredClone(result);
+    scaleSlotResult(result, 4096 / 2048);
+    scaleSlotResult(result, 2048 / 4096);
+    expect(result).toEqual(before);
+  });
+});
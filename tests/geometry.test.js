@@ -0,0 +1,497 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDistance,
+  orderCorners,
+  rotateCorners,
+  alignCornersToPaper,
+  solveLinearSystem,
+  computeHomography,
+  fitHomography,
+  applyHomography,
+  applyInverseHomography,
+  angleDeg,
+  polygonArea,
+  polygonPerimeter,
+  simplifyPath,
+  ellipseHandles,
+  moveEllipseHandle,
+  ellipseMajorAxis,
+  ellipseFitError,
+} from '../src/geometry.js';
+
+// Small seeded PRNG (mulberry32) so every property run sees the same cases
+function rng(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const RUNS = 200;
+const between = (rand, lo, hi) => lo + rand() * (hi - lo);
+const point = (rand) => ({ x: between(rand, 0, 4000), y: between(rand, 0, 3000) });
+const shuffle = (rand, arr) => {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+// A photographed sheet: a rectangle, tilted a little, with the far edge shrunk by perspective
+function photographedQuad(rand, maxTiltDeg = 20, minTiltDeg = -maxTiltDeg) {
+  const cx = between(rand, 1000, 3000);
+  const cy = between(rand, 800, 2200);
+  const w = between(rand, 300, 900);
+  const h = between(rand, 300, 900);
+  const shrink = between(rand, 0.6, 1);
+  const angle = between(rand, minTiltDeg, maxTiltDeg) * Math.PI / 180;
+  const local = [
+    { x: -w / 2 * shrink, y: -h / 2 },
+    { x: w / 2 * shrink, y: -h / 2 },
+    { x: w / 2, y: h / 2 },
+    { x: -w / 2, y: h / 2 },
+  ];
+  return local.map(p => ({
+    x: cx + p.x * Math.cos(angle) - p.y * Math.sin(angle),
+    y: cy + p.x * Math.sin(angle) + p.y * Math.cos(angle),
+  }));
+}
+
+const A4 = [{ x: 0, y: 0 }, { x: 210, y: 0 }, { x: 210, y: 297 }, { x: 0, y: 297 }];
+
+// Shoelace sum: positive for clockwise order in image coordinates (y down)
+const signedArea = (pts) => pts.reduce((sum, p, i) => {
+  const q = pts[(i + 1) % pts.length];
+  return sum + (p.x * q.y - q.x * p.y);
+}, 0) / 2;
+
+const expectPoint = (actual, expected, digits = 6) => {
+  expect(actual.x).toBeCloseTo(expected.x, digits);
+  expect(actual.y).toBeCloseTo(expected.y, digits);
+};
+
+describe('getDistance', () => {
+  it('is symmetric, zero on the same point and obeys the triangle inequality', () => {
+    const rand = rng(1);
+    for (let i = 0; i < RUNS; i++) {
+      const [a, b, c] = [point(rand), point(rand), point(rand)];
+      expect(getDistance(a, b)).toBeCloseTo(getDistance(b, a), 9);
+      expect(getDistance(a, a)).toBe(0);
+      expect(getDistance(a, c)).toBeLessThanOrEqual(getDistance(a, b) + getDistance(b, c) + 1e-9);
+    }
+  });
+
+  it('measures a 3-4-5 triangle', () => {
+    expect(getDistance({ x: 1, y: 1 }, { x: 4, y: 5 })).toBe(5);
+  });
+});
+
+describe('solveLinearSystem', () => {
+  it('solves random diagonally dominant systems', () => {
+    const rand = rng(2);
+    for (let i = 0; i < RUNS; i++) {
+      const n = 2 + Math.floor(rand() * 7);
+      const A = Array.from({ length: n }, (_, r) =>
+        Array.from({ length: n }, (_, c) => (r === c ? n * 2 : 0) + between(rand, -1, 1)));
+      const x = Array.from({ length: n }, () => between(rand, -100, 100));
+      const b = A.map(row => row.reduce((sum, v, c) => sum + v * x[c], 0));
+      solveLinearSystem(A, b).forEach((v, c) => expect(v).toBeCloseTo(x[c], 6));
+    }
+  });
+
+  it('needs pivoting when the leading entry is zero', () => {
+    expect(solveLinearSystem([[0, 1], [1, 0]], [2, 3])).toEqual([3, 2]);
+  });
+
+  it('returns null for a singular matrix', () => {
+    expect(solveLinearSystem([[1, 2], [2, 4]], [3, 6])).toBeNull();
+  });
+
+  it('does not modify its inputs', () => {
+    const A = [[2, 1], [1, 3]];
+    const b = [3, 5];
+    solveLinearSystem(A, b);
+    expect(A).toEqual([[2, 1], [1, 3]]);
+    expect(b).toEqual([3, 5]);
+  });
+});
+
+describe('computeHomography', () => {
+  it('maps each source corner onto its destination', () => {
+    const rand = rng(3);
+    for (let i = 0; i < RUNS; i++) {
+      const src = photographedQuad(rand);
+      const H = computeHomography(src, A4);
+      src.forEach((p, k) => expectPoint(applyHomography(H, p), A4[k], 6));
+    }
+  });
+
+  it('is the identity for identical point sets', () => {
+    const H = computeHomography(A4, A4);
+    [[1, 0, 0], [0, 1, 0], [0, 0, 1]].forEach((row, r) =>
+      row.forEach((v, c) => expect(H[r][c]).toBeCloseTo(v, 12)));
+  });
+
+  it('reduces to scale + translation for an axis-aligned rectangle', () => {
+    const src = [{ x: 100, y: 50 }, { x: 520, y: 50 }, { x: 520, y: 644 }, { x: 100, y: 644 }];
+    const H = computeHomography(src, A4);
+    expect(H[0][0]).toBeCloseTo(0.5, 12);
+    expect(H[1][1]).toBeCloseTo(0.5, 12);
+    expect(H[2][0]).toBeCloseTo(0, 12);
+    expect(H[2][1]).toBeCloseTo(0, 12);
+    expectPoint(applyHomography(H, { x: 310, y: 347 }), { x: 105, y: 148.5 });
+  });
+
+  it('rejects anything but four point pairs', () => {
+    expect(computeHomography(A4.slice(0, 3), A4.slice(0, 3))).toBeNull();
+    expect(computeHomography([...A4, { x: 1, y: 1 }], [...A4, { x: 1, y: 1 }])).toBeNull();
+  });
+
+  it('returns null for degenerate corners', () => {
+    const line = [{ x: 0, y: 0 }, { x: 100, y: 100 }, { x: 200, y: 200 }, { x: 300, y: 300 }];
+    expect(computeHomography(line, A4)).toBeNull();
+    const repeated = [{ x: 10, y: 10 }, { x: 10, y: 10 }, { x: 500, y: 40 }, { x: 80, y: 600 }];
+    expect(computeHomography(repeated, A4)).toBeNull();
+  });
+
+  it('returns null when three corners are collinear', () => {
+    const rand = rng(4);
+    for (let i = 0; i < RUNS; i++) {
+      const a = point(rand);
+      const b = point(rand);
+      const t = between(rand, 0.2, 0.8);
+      const onAB = { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+      expect(computeHomography([a, onAB, b, point(rand)], A4)).toBeNull();
+    }
+  });
+});
+
+describe('fitHomography', () => {
+  it('agrees with computeHomography for four pairs', () => {
+    const rand = rng(21);
+    for (let i = 0; i < RUNS; i++) {
+      const src = photographedQuad(rand);
+      const fitted = fitHomography(src, A4);
+      const exact = computeHomography(src, A4);
+      const p = point(rand);
+      expectPoint(applyHomography(fitted, p), applyHomography(exact, p), 4);
+    }
+  });
+
+  it('recovers the mapping from many noisy pairs', () => {
+    const rand = rng(22);
+    // A 4×4 grid spread over the sheet, like the corners of printed markers
+    const mm = [15, 75, 135, 195].flatMap(x => [15, 104, 193, 282].map(y => ({ x, y })));
+    for (let i = 0; i < RUNS; i++) {
+      const H = computeHomography(A4, photographedQuad(rand));
+      const img = mm.map(p => {
+        const q = applyHomography(H, p);
+        return { x: q.x + between(rand, -0.5, 0.5), y: q.y + between(rand, -0.5, 0.5) };
+      });
+      const fitted = fitHomography(mm, img);
+      // Half-pixel noise on 16 points stays around a pixel out to the sheet's corners
+      A4.forEach(c => expect(getDistance(applyHomography(fitted, c), applyHomography(H, c))).toBeLessThan(1.5));
+    }
+  });
+
+  it('rejects too few, mismatched or collinear pairs', () => {
+    expect(fitHomography(A4.slice(0, 3), A4.slice(0, 3))).toBeNull();
+    expect(fitHomography(A4, A4.slice(0, 3))).toBeNull();
+    const line = [0, 1, 2, 3, 4].map(t => ({ x: 10 * t, y: 5 * t }));
+    expect(fitHomography(line, line)).toBeNull();
+  });
+});
+
+describe('applyHomography / applyInverseHomography', () => {
+  it('round-trips points through H and H⁻¹', () => {
+    const rand = rng(5);
+    for (let i = 0; i < RUNS; i++) {
+      const H = computeHomography(photographedQuad(rand), A4);
+      const img = { x: between(rand, 0, 4000), y: between(rand, 0, 3000) };
+      const mm = { x: between(rand, 0, 210), y: between(rand, 0, 297) };
+      expectPoint(applyInverseHomography(H, applyHomography(H, img)), img, 4);
+      expectPoint(applyHomography(H, applyInverseHomography(H, mm)), mm, 6);
+    }
+  });
+
+  it('maps the paper corners back to the image corners', () => {
+    const rand = rng(6);
+    for (let i = 0; i < RUNS; i++) {
+      const src = photographedQuad(rand);
+      const H = computeHomography(src, A4);
+      A4.forEach((p, k) => expectPoint(applyInverseHomography(H, p), src[k], 4));
+    }
+  });
+
+  it('keeps straight lines straight', () => {
+    const rand = rng(7);
+    for (let i = 0; i < RUNS; i++) {
+      const H = computeHomography(photographedQuad(rand), A4);
+      const a = { x: between(rand, 0, 210), y: between(rand, 0, 297) };
+      const b = { x: between(rand, 0, 210), y: between(rand, 0, 297) };
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      const [pa, pb, pm] = [a, b, mid].map(p => applyInverseHomography(H, p));
+      const cross = (pb.x - pa.x) * (pm.y - pa.y) - (pb.y - pa.y) * (pm.x - pa.x);
+      expect(Math.abs(cross) / getDistance(pa, pb)).toBeLessThan(1e-6);
+    }
+  });
+
+  it('returns null for a singular H', () => {
+    expect(applyInverseHomography([[1, 2, 3], [2, 4, 6], [0, 0, 1]], { x: 1, y: 1 })).toBeNull();
+  });
+});
+
+describe('orderCorners', () => {
+  it('orders an upright rectangle TL, TR, BR, BL from any input order', () => {
+    const rect = [{ x: 100, y: 100 }, { x: 400, y: 100 }, { x: 400, y: 500 }, { x: 100, y: 500 }];
+    const rand = rng(8);
+    for (let i = 0; i < 24; i++) {
+      expect(orderCorners(shuffle(rand, rect))).toEqual(rect);
+    }
+  });
+
+  it('recovers tilted, perspective-distorted quadrilaterals from shuffled corners', () => {
+    const rand = rng(9);
+    for (let i = 0; i < RUNS; i++) {
+      const quad = photographedQuad(rand, 20);
+      expect(orderCorners(shuffle(rand, quad))).toEqual(quad);
+    }
+  });
+
+  it('returns a clockwise labelling of the input at any rotation', () => {
+    const rand = rng(10);
+    for (let i = 0; i < RUNS; i++) {
+      const quad = photographedQuad(rand, 180, -180);
+      const ordered = orderCorners(shuffle(rand, quad));
+      expect([0, 1, 2, 3].some(steps => rotateCorners(quad, steps).every((p, j) => p === ordered[j]))).toBe(true);
+      expect(signedArea(ordered)).toBeGreaterThan(0);
+    }
+  });
+
+  it('does not twist a sheet rotated by 45°', () => {
+    const diamond = [{ x: 500, y: 100 }, { x: 900, y: 500 }, { x: 500, y: 900 }, { x: 100, y: 500 }];
+    const rand = rng(11);
+    for (let i = 0; i < 24; i++) {
+      const ordered = orderCorners(shuffle(rand, diamond));
+      expect(signedArea(ordered)).toBeGreaterThan(0);
+      expect(ordered[0]).toEqual(diamond[0]);
+    }
+  });
+
+  it('picks the corner nearest the image origin as TL', () => {
+    const rand = rng(12);
+    for (let i = 0; i < RUNS; i++) {
+      const ordered = orderCorners(shuffle(rand, photographedQuad(rand, 180, -180)));
+      const sums = ordered.map(p => p.x + p.y);
+      expect(sums[0]).toBe(Math.min(...sums));
+    }
+  });
+
+  it('does not modify its input', () => {
+    const input = [{ x: 5, y: 9 }, { x: 1, y: 1 }, { x: 9, y: 1 }, { x: 1, y: 9 }];
+    const copy = input.map(p => ({ ...p }));
+    orderCorners(input);
+    expect(input).toEqual(copy);
+  });
+});
+
+describe('rotateCorners', () => {
+  const corners = [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 3 }, { x: 0, y: 3 }];
+
+  it('moves each label one corner clockwise per step', () => {
+    expect(rotateCorners(corners)).toEqual([corners[1], corners[2], corners[3], corners[0]]);
+  });
+
+  it('returns to the start after four steps and undoes with negative steps', () => {
+    expect(rotateCorners(corners, 4)).toEqual(corners);
+    expect(rotateCorners(rotateCorners(corners, 1), -1)).toEqual(corners);
+    expect(rotateCorners(corners, 3)).toEqual(rotateCorners(corners, -1));
+  });
+});
+
+describe('alignCornersToPaper', () => {
+  const A4_SIZE = { width: 210, height: 297 };
+  const edge = (c, i) => getDistance(c[i], c[(i + 1) % 4]);
+
+  it('keeps a portrait sheet as it is', () => {
+    const portrait = [{ x: 100, y: 100 }, { x: 310, y: 100 }, { x: 310, y: 397 }, { x: 100, y: 397 }];
+    expect(alignCornersToPaper(portrait, A4_SIZE)).toBe(portrait);
+  });
+
+  it('relabels a landscape sheet so TL→TR is the short side', () => {
+    const landscape = [{ x: 100, y: 100 }, { x: 397, y: 100 }, { x: 397, y: 310 }, { x: 100, y: 310 }];
+    const aligned = alignCornersToPaper(landscape, A4_SIZE);
+    expect(edge(aligned, 0)).toBeCloseTo(210);
+    expect(edge(aligned, 1)).toBeCloseTo(297);
+    expect(signedArea(aligned)).toBeGreaterThan(0);
+  });
+
+  it('matches the short side at any rotation and perspective', () => {
+    const rand = rng(13);
+    for (let i = 0; i < RUNS; i++) {
+      const aligned = alignCornersToPaper(orderCorners(shuffle(rand, photographedQuad(rand, 180, -180))), A4_SIZE);
+      expect(edge(aligned, 0) + edge(aligned, 2)).toBeLessThanOrEqual(edge(aligned, 1) + edge(aligned, 3));
+      expect(signedArea(aligned)).toBeGreaterThan(0);
+    }
+  });
+
+  it('flattens a rotated landscape photo without mirroring', () => {
+    // A4 lying sideways and turned 40°: mm corners → image, then back through the aligned labelling
+    const angle = 40 * Math.PI / 180;
+    const toImage = (p) => ({
+      x: 1000 + 3 * (p.x * Math.cos(angle) - p.y * Math.sin(angle)),
+      y: 600 + 3 * (p.x * Math.sin(angle) + p.y * Math.cos(angle)),
+    });
+    const sheet = [{ x: 0, y: 0 }, { x: 297, y: 0 }, { x: 297, y: 210 }, { x: 0, y: 210 }].map(toImage);
+    const aligned = alignCornersToPaper(orderCorners(sheet), A4_SIZE);
+    const H = computeHomography(aligned, A4);
+    // A clockwise image quad must map to a clockwise paper quad (no mirror image)
+    expect(signedArea(aligned.map(p => applyHomography(H, p)))).toBeGreaterThan(0);
+    expect(getDistance(applyHomography(H, aligned[0]), applyHomography(H, aligned[1]))).toBeCloseTo(210, 6);
+  });
+});
+
+describe('angleDeg', () => {
+  it('measures the smaller angle between the arms', () => {
+    const v = { x: 10, y: 10 };
+    expect(angleDeg({ x: 20, y: 10 }, v, { x: 10, y: 0 })).toBeCloseTo(90);
+    expect(angleDeg({ x: 20, y: 10 }, v, { x: 0, y: 10 })).toBeCloseTo(180);
+    expect(angleDeg({ x: 20, y: 20 }, v, { x: 20, y: 0 })).toBeCloseTo(90);
+    expect(angleDeg({ x: 0, y: 9 }, v, { x: 0, y: 11 })).toBeCloseTo(2 * Math.atan(0.1) * 180 / Math.PI);
+  });
+
+  it('is symmetric in its arms', () => {
+    const rand = rng(23);
+    for (let i = 0; i < RUNS; i++) {
+      const [a, v, b] = [point(rand), point(rand), point(rand)];
+      expect(angleDeg(a, v, b)).toBeCloseTo(angleDeg(b, v, a), 9);
+    }
+  });
+
+  it('reads a sheet corner as a right angle through the paper homography', () => {
+    const rand = rng(24);
+    for (let i = 0; i < RUNS; i++) {
+      const quad = photographedQuad(rand, 20);
+      const H = computeHomography(quad, A4);
+      expect(angleDeg(quad[1], quad[0], quad[3], H)).toBeCloseTo(90, 6);
+    }
+  });
+});
+
+describe('polygonArea / polygonPerimeter', () => {
+  it('measures a rectangle in either winding', () => {
+    expect(polygonArea(A4)).toBeCloseTo(210 * 297);
+    expect(polygonArea([...A4].reverse())).toBeCloseTo(210 * 297);
+    expect(polygonPerimeter(A4)).toBeCloseTo(2 * (210 + 297));
+  });
+
+  it('is unchanged by rotating and shifting the polygon', () => {
+    const rand = rng(25);
+    for (let i = 0; i < RUNS; i++) {
+      const poly = Array.from({ length: 6 }, (_, k) => {
+        const r = between(rand, 50, 200);
+        const t = (k / 6) * 2 * Math.PI;
+        return { x: r * Math.cos(t), y: r * Math.sin(t) };
+      });
+      const angle = between(rand, 0, 2 * Math.PI);
+      const shift = point(rand);
+      const moved = poly.map(p => ({
+        x: shift.x + p.x * Math.cos(angle) - p.y * Math.sin(angle),
+        y: shift.y + p.x * Math.sin(angle) + p.y * Math.cos(angle),
+      }));
+      expect(polygonArea(moved)).toBeCloseTo(polygonArea(poly), 6);
+      expect(polygonPerimeter(moved)).toBeCloseTo(polygonPerimeter(poly), 6);
+    }
+  });
+
+  it('recovers the sheet area through the paper homography', () => {
+    const rand = rng(26);
+    for (let i = 0; i < RUNS; i++) {
+      const quad = photographedQuad(rand);
+      const H = computeHomography(quad, A4);
+      expect(polygonArea(quad.map(p => applyHomography(H, p)))).toBeCloseTo(210 * 297, 4);
+    }
+  });
+
+  it('is zero for degenerate outlines', () => {
+    expect(polygonArea([])).toBe(0);
+    expect(polygonArea([{ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 20, y: 20 }])).toBe(0);
+    expect(polygonPerimeter([{ x: 1, y: 1 }])).toBe(0);
+  });
+});
+
+describe('simplifyPath', () => {
+  it('keeps the first point and drops points bunched behind it', () => {
+    const path = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 5, y: 0 }, { x: 6, y: 0 }, { x: 10, y: 0 }];
+    expect(simplifyPath(path, 4)).toEqual([{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 }]);
+    expect(simplifyPath([], 4)).toEqual([]);
+  });
+});
+
+describe('ellipse handles', () => {
+  const randomEllipse = (rand) => ({
+    center: point(rand),
+    a: between(rand, 20, 400),
+    b: between(rand, 20, 400),
+    angle: between(rand, -Math.PI, Math.PI),
+  });
+
+  it('puts the axis handles on the ellipse', () => {
+    const rand = rng(17);
+    for (let i = 0; i < RUNS; i++) {
+      const ellipse = randomEllipse(rand);
+      const [center, ...ends] = ellipseHandles(ellipse);
+      expect(center).toEqual(ellipse.center);
+      expect(ellipseFitError(ellipse, ends)).toBeLessThan(1e-9);
+    }
+  });
+
+  it('returns every handle to where it was dragged', () => {
+    const rand = rng(19);
+    for (let i = 0; i < RUNS; i++) {
+      const ellipse = randomEllipse(rand);
+      // Dragging a handle onto its own position changes nothing
+      for (let h = 0; h < 5; h++) {
+        const moved = moveEllipseHandle(ellipse, h, ellipseHandles(ellipse)[h]);
+        ellipseHandles(moved).forEach((p, k) => {
+          expect(p.x).toBeCloseTo(ellipseHandles(ellipse)[k].x, 6);
+          expect(p.y).toBeCloseTo(ellipseHandles(ellipse)[k].y, 6);
+        });
+      }
+      // The dragged end of the first axis lands on the pointer
+      const target = point(rand);
+      const moved = moveEllipseHandle(ellipse, 2, target);
+      expect(ellipseHandles(moved)[2].x).toBeCloseTo(target.x, 6);
+      expect(ellipseHandles(moved)[2].y).toBeCloseTo(target.y, 6);
+    }
+  });
+
+  it('keeps the second axis perpendicular while resizing it', () => {
+    const ellipse = { center: { x: 100, y: 100 }, a: 50, b: 30, angle: 0 };
+    const moved = moveEllipseHandle(ellipse, 3, { x: 140, y: 160 });
+    expect(moved.b).toBeCloseTo(60);
+    expect(moved.angle).toBe(0);
+    expect(moved.a).toBe(50);
+  });
+
+  it('measures the major axis whichever axis is longer', () => {
+    const tilted = { center: { x: 0, y: 0 }, a: 25, b: 50, angle: 0 };
+    const major = ellipseMajorAxis(tilted);
+    expect(major.lengthPx).toBe(100);
+    expect(getDistance(major.start, major.end)).toBeCloseTo(100);
+    expect(major.start.x).toBeCloseTo(0);
+    expect(major.tiltDeg).toBeCloseTo(60);
+    expect(ellipseMajorAxis({ ...tilted, b: 25 }).tiltDeg).toBe(0);
+  });
+
+  it('scores points off the ellipse by their relative radial distance', () => {
+    const circle = { center: { x: 0, y: 0 }, a: 100, b: 100, angle: 0.3 };
+    expect(ellipseFitError(circle, [{ x: 110, y: 0 }, { x: 0, y: -90 }])).toBeCloseTo(0.1);
+    expect(ellipseFitError(circle, [])).toBe(Infinity);
+  });
+});
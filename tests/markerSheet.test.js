@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { MARKER_SHEET, MAX_BIT_ERRORS, markerCells, decodeMarker, markerCornersMm } from '../src/markerSheet.js';
+
+const IDS = MARKER_SHEET.origins.map((_, id) => id);
+
+// Quarter turn clockwise, as the marker appears when the sheet is turned
+const turn = (grid) => grid.map((_, r) => grid.map((__, c) => grid[grid.length - 1 - c][r]));
+const turned = (grid, times) => Array.from({ length: times }).reduce(turn, grid);
+
+describe('markerCells', () => {
+  it('draws a black border around each code', () => {
+    const n = MARKER_SHEET.cells;
+    IDS.forEach(id => {
+      const cells = markerCells(id);
+      expect(cells).toHaveLength(n);
+      cells.forEach((row, r) => row.forEach((bit, c) => {
+        if (r === 0 || c === 0 || r === n - 1 || c === n - 1) expect(bit).toBe(1);
+      }));
+    });
+  });
+});
+
+describe('decodeMarker', () => {
+  it('identifies every marker at every rotation', () => {
+    IDS.forEach(id => {
+      for (let rotation = 0; rotation < 4; rotation++) {
+        expect(decodeMarker(turned(markerCells(id), rotation))).toEqual({ id, rotation, errors: 0 });
+      }
+    });
+  });
+
+  it(`tolerates up to ${MAX_BIT_ERRORS} misread code bits`, () => {
+    IDS.forEach(id => {
+      const cells = markerCells(id).map(row => [...row]);
+      cells[1][1] ^= 1;
+      cells[3][4] ^= 1;
+      expect(decodeMarker(cells)).toMatchObject({ id, rotation: 0, errors: 2 });
+    });
+  });
+
+  it('rejects squares without a border or code', () => {
+    const n = MARKER_SHEET.cells;
+    const white = Array.from({ length: n }, () => new Array(n).fill(0));
+    const black = Array.from({ length: n }, () => new Array(n).fill(1));
+    expect(decodeMarker(white)).toBeNull();
+    expect(decodeMarker(black)).toBeNull();
+  });
+});
+
+describe('markerCornersMm', () => {
+  it('lists each marker clockwise, fully on the page with a print margin', () => {
+    const { paper, markerMm } = MARKER_SHEET;
+    IDS.forEach(id => {
+      const [tl, tr, br, bl] = markerCornersMm(id);
+      expect(tr.x - tl.x).toBe(markerMm);
+      expect(br.y - tr.y).toBe(markerMm);
+      expect(bl.x).toBe(tl.x);
+      [tl, br].forEach(p => {
+        expect(Math.min(p.x, p.y, paper.width - p.x, paper.height - p.y)).toBeGreaterThanOrEqual(10);
+      });
+    });
+  });
+});
@@ -0,0 +1,24 @@
+// In-memory localStorage for tests of modules that persist to the browser
+
+import { vi, beforeEach, afterEach } from 'vitest';
+
+/**
+ * A Map-backed object with the getItem/setItem/removeItem subset of the Storage API.
+ * @returns {{ getItem: Function, setItem: Function, removeItem: Function }}
+ */
+export function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+}
+
+/**
+ * Give every test in the calling file a fresh, empty global localStorage.
+ */
+export function useMemoryStorage() {
+  beforeEach(() => vi.stubGlobal('localStorage', memoryStorage()));
+  afterEach(() => vi.unstubAllGlobals());
+}
@@ -0,0 +1,129 @@
+// Replay of Gemini responses stored as fixtures, shared by the tests and the local stand-in server
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'gemini');
+
+/**
+ * Load every fixture in `dir`. A fixture is `{ image, kind, model, width, height, recordedAt, synthetic, response }`
+ * where `response` is a generateContent body. Recorded fixtures hold the body exactly as the API
+ * returned it; `synthetic: true` marks hand-written ones (`recordedAt: null`), which are not real
+ * model output.
+ * @param {string} [dir=FIXTURE_DIR]
+ * @returns {Map<string, object>} keyed by file name without `.json`, e.g. 'test1.jig'
+ */
+export function loadFixtures(dir = FIXTURE_DIR) {
+  const fixtures = new Map();
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    fixtures.set(file.slice(0, -'.json'.length), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+  return fixtures;
+}
+
+/**
+ * Which analysis a generateContent request body is for, from its response schema.
+ * @param {object} body
+ * @returns {'jig'|'slots'|null}
+ */
+export function requestKind(body) {
+  const props = body?.generationConfig?.responseSchema?.properties || {};
+  if (props.drills) return 'jig';
+  if (props.strips) return 'slots';
+  return null;
+}
+
+/**
+ * Image size quoted in the request prompt ("... 1152×2048 ...").
+ * @param {object} body
+ * @returns {{ width: number, height: number }|null}
+ */
+export function requestSize(body) {
+  const text = (body?.contents?.[0]?.parts || []).map(p => p.text || '').join('\n');
+  const m = text.match(/(\d+)×(\d+)/);
+  return m ? { width: Number(m[1]), height: Number(m[2]) } : null;
+}
+
+/**
+ * Pick the fixture that answers a request. An explicit `name` wins ('test2' or 'test2.jig');
+ * otherwise the first fixture of the same kind whose image size matches the prompt.
+ * @param {Map<string, object>} fixtures
+ * @param {object} body - generateContent request body
+ * @param {string} [name]
+ * @returns {{ name: string, fixture: object }|null}
+ */
+export function selectFixture(fixtures, body, name) {
+  const kind = requestKind(body);
+  if (name) {
+    for (const key of [name, `${name}.${kind}`]) {
+      if (fixtures.has(key)) return { name: key, fixture: fixtures.get(key) };
+    }
+    return null;
+  }
+  const size = requestSize(body);
+  for (const [key, fixture] of fixtures) {
+    if (fixture.kind !== kind) continue;
+    if (size && (fixture.width !== size.width || fixture.height !== size.height)) continue;
+    return { name: key, fixture };
+  }
+  return null;
+}
+
+/**
+ * A fetch() stand-in that answers every request with a fixture's response.
+ * `failures` are served first, one per call, e.g. `{ status: 429, headers: { 'Retry-After': '2' } }`.
+ * The returned function records each call as `{ url, body }` in `.calls`.
+ * @param {object} fixture
+ * @param {{ failures?: Array<{ status: number, headers?: object, body?: object }> }} [options]
+ * @returns {Function & { calls: Array<{ url: string, body: object }> }}
+ */
+export function createMockFetch(fixture, { failures = [] } = {}) {
+  const pending = [...failures];
+  const mockFetch = async (url, init = {}) => {
+    mockFetch.calls.push({ url: String(url), body: JSON.parse(init.body || '{}') });
+    const failure = pending.shift();
+    if (failure) {
+      const body = failure.body || { error: { code: failure.status, message: `Mock failure ${failure.status}` } };
+      return new Response(JSON.stringify(body), {
+        status: failure.status,
+        headers: { 'Content-Type': 'application/json', ...failure.headers },
+      });
+    }
+    return new Response(JSON.stringify(fixture.response), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+  mockFetch.calls = [];
+  return mockFetch;
+}
+
+/**
+ * The answer text inside a fixture's response (last text part, like generateContent()).
+ * @param {object} fixture
+ * @returns {string}
+ */
+export function fixtureText(fixture) {
+  const parts = fixture.response.candidates?.[0]?.content?.parts || [];
+  return parts.map(p => p.text || '').filter(Boolean).pop();
+}
+
+/**
+ * A fixture around a hand-written answer, for edge cases no recording covers.
+ * @param {string} text - the model's answer text
+ * @param {{ kind?: 'jig'|'slots', width?: number, height?: number }} [meta]
+ * @returns {object} same shape as a stored fixture, marked `synthetic`
+ */
+export function handmadeFixture(text, { kind = 'jig', width = null, height = null } = {}) {
+  return {
+    image: null,
+    kind,
+    model: 'gemini-2.5-flash',
+    width,
+    height,
+    recordedAt: null,
+    synthetic: true,
+    response: { candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP', index: 0 }] },
+  };
+}
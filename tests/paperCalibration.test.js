@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { measurePaper, matchPaperSize, assessFrontoParallel, ASPECT_TOLERANCE, FRONTO_PARALLEL_TOLERANCE } from '../src/paperCalibration.js';
+
+const SIZES = {
+  a4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 },
+  a5: { width: 148, height: 210 },
+};
+
+// Corners [TL, TR, BR, BL] of an axis-aligned w×h pixel rectangle
+const rect = (w, h, x = 100, y = 100) => [
+  { x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h },
+];
+
+describe('measurePaper', () => {
+  it('calibrates a portrait A4 on both axes', () => {
+    const m = measurePaper(rect(630, 891), SIZES.a4);
+    expect(m.orientation).toBe('portrait');
+    expect(m.acrossMm).toBe(210);
+    expect(m.downMm).toBe(297);
+    expect(m.pxPerMmAcross).toBeCloseTo(3);
+    expect(m.pxPerMmDown).toBeCloseTo(3);
+    expect(m.pxPerMm).toBeCloseTo(3);
+    expect(m.disagreement).toBeCloseTo(0);
+  });
+
+  it('recognises a landscape A4 instead of squashing it onto portrait', () => {
+    const m = measurePaper(rect(891, 630), SIZES.a4);
+    expect(m.orientation).toBe('landscape');
+    expect(m.acrossMm).toBe(297);
+    expect(m.downMm).toBe(210);
+    expect(m.pxPerMmAcross).toBeCloseTo(3);
+    expect(m.pxPerMmDown).toBeCloseTo(3);
+  });
+
+  it('reports how far the two axes disagree', () => {
+    // Vertical foreshortening: the sheet looks 20% shorter than it is
+    const m = measurePaper(rect(630, 891 * 0.8), SIZES.a4);
+    expect(m.pxPerMmAcross).toBeCloseTo(3);
+    expect(m.pxPerMmDown).toBeCloseTo(2.4);
+    expect(m.pxPerMm).toBeCloseTo(2.7);
+    expect(m.disagreement).toBeCloseTo(0.2);
+  });
+
+  it('averages opposite edges of a perspective trapezoid', () => {
+    const trapezoid = [{ x: 150, y: 100 }, { x: 650, y: 100 }, { x: 700, y: 900 }, { x: 100, y: 900 }];
+    const m = measurePaper(trapezoid, SIZES.a4);
+    expect(m.pxPerMmAcross).toBeCloseTo((500 + 600) / 2 / 210);
+  });
+});
+
+describe('matchPaperSize', () => {
+  it('matches the closest size in either orientation', () => {
+    expect(matchPaperSize(rect(630, 891), SIZES).key).toBe('a4');
+    expect(matchPaperSize(rect(891, 630), SIZES).key).toBe('a4');
+    expect(matchPaperSize(rect(2159, 2794), SIZES).key).toBe('letter');
+  });
+
+  it('reports the measured aspect ratio', () => {
+    const match = matchPaperSize(rect(891, 630), SIZES);
+    expect(match.measuredAspect).toBeCloseTo(297 / 210);
+    expect(match.error).toBeLessThan(0.01);
+  });
+
+  it('keeps the selected ISO size for a noisy sheet instead of a same-shaped neighbour', () => {
+    const iso = { ...SIZES, a3: { width: 297, height: 420 } };
+    // Slightly off-√2 A4 sheets: closest by aspect alone would be A3 and A5 respectively
+    const towardA3 = rect(700, 989.8);
+    const towardA5 = [{ x: 103, y: 98 }, { x: 801, y: 101 }, { x: 799, y: 1093 }, { x: 100, y: 1089 }];
+    expect(matchPaperSize(towardA3, iso).key).toBe('a3');
+    expect(matchPaperSize(rect(700, 992), iso).key).toBe('a5');
+
+    for (const corners of [towardA3, rect(700, 992), towardA5]) {
+      const match = matchPaperSize(corners, iso, 'a4');
+      expect(match.key).toBe('a4');
+      expect(match.error).toBeLessThan(ASPECT_TOLERANCE);
+    }
+    expect(matchPaperSize(rect(700, 992), iso, 'a3').key).toBe('a3');
+  });
+
+  it('offers another size only when the selected one does not fit and the other does', () => {
+    const square = rect(500, 500);
+    expect(matchPaperSize(rect(540, 856), SIZES, 'a4').key).toBe(null);
+    const cards = { ...SIZES, card: { width: 53.98, height: 85.6 } };
+    expect(matchPaperSize(rect(540, 856), cards, 'a4').key).toBe('card');
+    expect(matchPaperSize(square, cards, 'a4').key).toBeNull();
+  });
+
+  it('suggests Letter for a Letter-shaped sheet when A4 is selected', () => {
+    // 1.27 is too far from A4's 1.414 but fits Letter's 1.294; Letter is not the same shape as A4
+    const match = matchPaperSize(rect(1000, 1270), SIZES, 'a4');
+    expect(match.key).toBe('letter');
+    expect(match.error).toBeLessThan(ASPECT_TOLERANCE);
+  });
+
+  it('matches nothing when the aspect ratio is off by more than the tolerance', () => {
+    const square = matchPaperSize(rect(500, 500), SIZES);
+    expect(square.key).toBeNull();
+    expect(square.error).toBeGreaterThan(ASPECT_TOLERANCE);
+  });
+});
+
+describe('assessFrontoParallel', () => {
+  it('accepts a sheet seen head-on, rotated in the image', () => {
+    const c = Math.cos(0.3), s = Math.sin(0.3);
+    const rotated = rect(630, 891, 0, 0).map(p => ({ x: 500 + p.x * c - p.y * s, y: 100 + p.x * s + p.y * c }));
+    const a = assessFrontoParallel(rotated);
+    expect(a.sideMismatch).toBeCloseTo(0);
+    expect(a.angleErrorDeg).toBeCloseTo(0);
+    expect(a.frontoParallel).toBe(true);
+  });
+
+  it('accepts the slight keystone of a hand-held camera', () => {
+    const trapezoid = [{ x: 120, y: 100 }, { x: 680, y: 100 }, { x: 700, y: 900 }, { x: 100, y: 900 }];
+    expect(assessFrontoParallel(trapezoid).frontoParallel).toBe(true);
+  });
+
+  it('rejects a strongly tilted sheet', () => {
+    const trapezoid = [{ x: 250, y: 100 }, { x: 550, y: 100 }, { x: 700, y: 900 }, { x: 100, y: 900 }];
+    const a = assessFrontoParallel(trapezoid);
+    expect(a.sideMismatch).toBeCloseTo(0.5);
+    expect(a.sideMismatch).toBeGreaterThan(FRONTO_PARALLEL_TOLERANCE.sideRatio);
+    expect(a.frontoParallel).toBe(false);
+  });
+
+  it('rejects a sheared outline with equal opposite sides', () => {
+    const parallelogram = [{ x: 300, y: 100 }, { x: 900, y: 100 }, { x: 700, y: 900 }, { x: 100, y: 900 }];
+    const a = assessFrontoParallel(parallelogram);
+    expect(a.sideMismatch).toBeCloseTo(0);
+    expect(a.angleErrorDeg).toBeGreaterThan(FRONTO_PARALLEL_TOLERANCE.angleDeg);
+    expect(a.frontoParallel).toBe(false);
+  });
+
+  it('takes a custom tolerance', () => {
+    const trapezoid = [{ x: 120, y: 100 }, { x: 680, y: 100 }, { x: 700, y: 900 }, { x: 100, y: 900 }];
+    expect(assessFrontoParallel(trapezoid, { sideRatio: 0.01, angleDeg: 12 }).frontoParallel).toBe(false);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { serializeProject, parseProject, PROJECT_FORMAT, PROJECT_VERSION } from '../src/projectFile.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+const projectText = (state) => JSON.stringify({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  image: IMAGE,
+  correctedImage: null,
+  state,
+});
+
+describe('parseProject', () => {
+  it('round-trips the saved state keys and drops unknown ones', () => {
+    const objects = [{ id: 1, widthMm: 10, heightMm: 20 }, { id: 2, widthMm: 5, heightMm: 8 }];
+    const text = serializeProject({
+      imageSrc: IMAGE,
+      correctedImageSrc: null,
+      state: { scaleFactor: 3, detectedObjects: objects, objectMinAreaMm2: 40, isProcessing: true },
+    });
+    const { imageSrc, state } = parseProject(text);
+    expect(imageSrc).toBe(IMAGE);
+    expect(state).toEqual({ scaleFactor: 3, detectedObjects: objects, objectMinAreaMm2: 40 });
+  });
+
+  it('reads the single detected object of older projects as a one-item list', () => {
+    const legacy = { widthMm: 12, heightMm: 34, vertices: [] };
+    const { state } = parseProject(projectText({ detectedObject: legacy }));
+    expect(state.detectedObjects).toEqual([{ id: 1, ...legacy }]);
+    expect(state).not.toHaveProperty('detectedObject');
+  });
+
+  it('rejects files that are not projects', () => {
+    expect(() => parseProject('not json')).toThrow('not valid JSON');
+    expect(() => parseProject(JSON.stringify({ format: 'other' }))).toThrow('not a PhotoScale project');
+    expect(() => parseProject(JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION + 1 }))).toThrow('Unsupported');
+  });
+});
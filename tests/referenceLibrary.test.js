@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BUILTIN_REFERENCES,
+  CUSTOM_REFERENCES_KEY,
+  validateReference,
+  createReference,
+  loadCustomReferences,
+  saveCustomReferences,
+  rectangleSizes,
+  circleReferences,
+} from '../src/referenceLibrary.js';
+import stripsConfig from '../src/config/strips.json';
+import { matchPaperSize } from '../src/paperCalibration.js';
+import { useMemoryStorage } from './memoryStorage.js';
+
+useMemoryStorage();
+
+describe('built-in references', () => {
+  it('keeps the original paper sizes', () => {
+    const sizes = rectangleSizes(BUILTIN_REFERENCES);
+    expect(sizes.a4).toMatchObject({ width: 210, height: 297 });
+    expect(sizes.letter).toMatchObject({ width: 215.9, height: 279.4 });
+    expect(sizes.a5).toMatchObject({ width: 148, height: 210 });
+    expect(sizes.a3).toMatchObject({ width: 297, height: 420 });
+  });
+
+  it('never flags the selected ISO size as another ISO size', () => {
+    const sizes = rectangleSizes(BUILTIN_REFERENCES);
+    // Sheets of each ISO size photographed with a few px of corner noise, both orientations
+    const noisy = (w, h) => [{ x: 3, y: -2 }, { x: w - 1, y: 2 }, { x: w + 2, y: h - 3 }, { x: -2, y: h + 1 }];
+    for (const key of ['a3', 'a4', 'a5']) {
+      const { width, height } = sizes[key];
+      const pxPerMm = 700 / width;
+      for (const [w, h] of [[700, height * pxPerMm], [height * pxPerMm, 700]]) {
+        expect(matchPaperSize(noisy(w, h), sizes, key).key).toBe(key);
+      }
+    }
+  });
+
+  it('offers every drill diameter from strips.json once', () => {
+    const drills = circleReferences(BUILTIN_REFERENCES).filter(r => r.id.startsWith('drill-'));
+    const diameters = [...new Set(stripsConfig.strips.map(s => s.diameter_mm))].sort((a, b) => a - b);
+    expect(drills.map(r => r.diameter_mm)).toEqual(diameters);
+  });
+
+  it('are all valid with unique ids', () => {
+    for (const ref of BUILTIN_REFERENCES) expect(validateReference(ref)).toBeNull();
+    expect(new Set(BUILTIN_REFERENCES.map(r => r.id)).size).toBe(BUILTIN_REFERENCES.length);
+  });
+});
+
+describe('validateReference', () => {
+  it('needs a name and positive sizes', () => {
+    expect(validateReference({ label: ' ', shape: 'circle', diameter_mm: 10 })).toMatch(/name/);
+    expect(validateReference({ label: 'Plate', shape: 'rectangle', width_mm: 100, height_mm: NaN })).toMatch(/Width/);
+    expect(validateReference({ label: 'Disc', shape: 'circle', diameter_mm: -3 })).toMatch(/Diameter/);
+    expect(validateReference({ label: 'Blob', shape: 'triangle' })).toMatch(/Shape/);
+    expect(validateReference({ label: 'Plate', shape: 'rectangle', width_mm: 100, height_mm: 150 })).toBeNull();
+  });
+});
+
+describe('createReference', () => {
+  it('stores rectangles portrait and marks them custom', () => {
+    const ref = createReference({ label: ' Plate ', shape: 'rectangle', width_mm: 150, height_mm: 100 });
+    expect(ref).toMatchObject({ shape: 'rectangle', width_mm: 100, height_mm: 150, label: 'Plate', custom: true });
+    expect(ref.id).toMatch(/^custom-/);
+  });
+
+  it('keeps only the diameter for circles', () => {
+    const ref = createReference({ label: 'Washer', shape: 'circle', diameter_mm: 30, width_mm: NaN, height_mm: NaN });
+    expect(ref).toEqual({ id: ref.id, shape: 'circle', diameter_mm: 30, label: 'Washer', custom: true });
+  });
+});
+
+describe('custom reference persistence', () => {
+  it('round-trips through localStorage', () => {
+    const refs = [
+      createReference({ label: 'Plate', shape: 'rectangle', width_mm: 100, height_mm: 150 }),
+      createReference({ label: 'Washer', shape: 'circle', diameter_mm: 30 }),
+    ];
+    saveCustomReferences(refs);
+    expect(loadCustomReferences()).toEqual(refs);
+  });
+
+  it('skips invalid entries and survives corrupt storage', () => {
+    localStorage.setItem(CUSTOM_REFERENCES_KEY, JSON.stringify([
+      { id: 'ok', label: 'Disc', shape: 'circle', diameter_mm: 12, custom: true },
+      { id: 'bad', label: 'Disc', shape: 'circle', diameter_mm: 0 },
+      null,
+    ]));
+    expect(loadCustomReferences().map(r => r.id)).toEqual(['ok']);
+
+    localStorage.setItem(CUSTOM_REFERENCES_KEY, '{not json');
+    expect(loadCustomReferences()).toEqual([]);
+  });
+
+  it('starts empty', () => {
+    expect(loadCustomReferences()).toEqual([]);
+  });
+});
+
+describe('rectangleSizes / circleReferences', () => {
+  it('splits the library by shape and flags custom rectangles', () => {
+    const plate = createReference({ label: 'Plate', shape: 'rectangle', width_mm: 100, height_mm: 150 });
+    const washer = createReference({ label: 'Washer', shape: 'circle', diameter_mm: 30 });
+    const library = [...BUILTIN_REFERENCES, plate, washer];
+    expect(rectangleSizes(library)[plate.id]).toEqual({ width: 100, height: 150, label: 'Plate', custom: true });
+    expect(rectangleSizes(library).a4.custom).toBe(false);
+    expect(circleReferences(library)).toContain(washer);
+    expect(circleReferences(library).every(r => r.shape === 'circle')).toBe(true);
+  });
+});
@@ -5,4 +5,9 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/photoscaler/',
+  test: {
+    include: ['tests/**/*.test.js'],
+    // The parsers log every raw model answer; keep test output readable
+    onConsoleLog: (log) => !log.includes('raw response'),
+  },
 })